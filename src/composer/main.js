@@ -0,0 +1,164 @@
+import {
+  CARD_FONTS,
+  CARD_PARAM,
+  encodeCard,
+  readCard,
+} from "../core/CardLink.js";
+import { DEFAULT_THEME, THEME_NAMES, THEMES } from "../core/Theme.js";
+import { SHAPE_NAMES } from "../features/shake/ShapeLibrary.js";
+
+// What index.html shows without a card; fields left at these values stay
+// out of the link so it stays short. Colors left at the theme's own stay
+// out too.
+const DEFAULT_CARD = {
+  entries: ["Love", "HEART_SHAPE", "Be Mine"],
+  message: "You make my heart bloom",
+  bloomShape: null, // The heart
+  palette: null,
+  background: null,
+  font: "script",
+  theme: DEFAULT_THEME,
+};
+
+const PALETTE_INPUTS = "#palette input";
+
+// The palette inputs as a theme fills them
+function themePalette(theme) {
+  const { palette } = THEMES[theme];
+  return [...document.querySelectorAll(PALETTE_INPUTS)].map(
+    (input, i) => palette[i % palette.length],
+  );
+}
+
+const $ = (id) => document.getElementById(id);
+
+function toHex(color) {
+  return `#${color.toString(16).padStart(6, "0")}`;
+}
+
+function fromHex(value) {
+  return parseInt(value.slice(1), 16);
+}
+
+// "HEART_SHAPE" -> "Heart shape"
+function label(name) {
+  const words = name.toLowerCase().replace(/_/g, " ");
+  return words[0].toUpperCase() + words.slice(1);
+}
+
+function addOptions(select, options) {
+  options.forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+}
+
+function sameColors(a, b) {
+  return a.length === b.length && a.every((color, i) => color === b[i]);
+}
+
+function fillColors(palette, background) {
+  document.querySelectorAll(PALETTE_INPUTS).forEach((input, i) => {
+    input.value = toHex(palette[i % palette.length]);
+  });
+  const [center, edge] = background;
+  $("bg-center").value = toHex(center);
+  $("bg-edge").value = toHex(edge);
+}
+
+function fill(card) {
+  $("entries").value = card.entries.join("\n");
+  $("message").value = card.message ?? DEFAULT_CARD.message;
+  $("bloom-shape").value = card.bloomShape ?? "";
+  $("font").value = card.font ?? DEFAULT_CARD.font;
+  const theme = card.theme ?? DEFAULT_CARD.theme;
+  $("theme").value = theme;
+  fillColors(
+    card.palette ?? THEMES[theme].palette,
+    card.background ?? THEMES[theme].background,
+  );
+}
+
+function read() {
+  const entries = $("entries")
+    .value.split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const message = $("message").value.trim();
+  const palette = [...document.querySelectorAll(PALETTE_INPUTS)].map(
+    (input) => fromHex(input.value),
+  );
+  const background = [$("bg-center").value, $("bg-edge").value].map(fromHex);
+  const font = $("font").value;
+  const theme = $("theme").value;
+  return {
+    entries,
+    message: message !== DEFAULT_CARD.message ? message : null,
+    bloomShape: $("bloom-shape").value || null,
+    palette: sameColors(palette, themePalette(theme)) ? null : palette,
+    background: sameColors(background, THEMES[theme].background)
+      ? null
+      : background,
+    font: font !== DEFAULT_CARD.font ? font : null,
+    theme: theme !== DEFAULT_CARD.theme ? theme : null,
+  };
+}
+
+function update() {
+  const error = $("error");
+  try {
+    const url = new URL("./index.html", window.location.href);
+    url.searchParams.set(CARD_PARAM, encodeCard(read()));
+    $("link").value = url.href;
+    $("open").href = url.href;
+    error.classList.add("hidden");
+  } catch (err) {
+    $("link").value = "";
+    $("open").removeAttribute("href");
+    error.textContent = err.message;
+    error.classList.remove("hidden");
+  }
+}
+
+function init() {
+  const shapes = SHAPE_NAMES.map((name) => [name, label(name)]);
+  addOptions($("add-shape"), shapes);
+  addOptions($("bloom-shape"), [["", "Heart (default)"], ...shapes]);
+  addOptions($("font"), CARD_FONTS.map((font) => [font, label(font)]));
+  addOptions(
+    $("theme"),
+    THEME_NAMES.map((name) => [name, THEMES[name].label]),
+  );
+
+  // Opening the composer from a card link edits that card
+  fill(readCard(window.location.search) ?? DEFAULT_CARD);
+
+  $("add-shape").addEventListener("change", (e) => {
+    const name = e.target.value;
+    if (!name) return;
+    const entries = $("entries");
+    entries.value = `${entries.value.trimEnd()}\n${name}`.trimStart();
+    e.target.value = "";
+    update();
+  });
+  // A theme brings its own colors; they can still be changed after
+  $("theme").addEventListener("change", (e) => {
+    const { palette, background } = THEMES[e.target.value];
+    fillColors(palette, background);
+    update();
+  });
+  document.querySelector(".composer").addEventListener("input", update);
+  $("copy").addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText($("link").value);
+      $("copy").textContent = "Copied!";
+    } catch {
+      $("link").select(); // Let the user copy by hand
+    }
+  });
+  update();
+}
+
+window.addEventListener("DOMContentLoaded", init);
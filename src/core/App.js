@@ -1,11 +1,46 @@
 import * as THREE from "three";
+import gsap from "gsap";
 import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
 import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
 import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass.js";
 import { ParticleSystem } from "./ParticleSystem.js";
+import { GPUSimulation } from "./GPUSimulation.js";
 import { SceneBackground } from "./SceneBackground.js";
+import { InputManager } from "./InputManager.js";
+import { CameraRig } from "./CameraRig.js";
+import { Projection, createCamera } from "./Projection.js";
+import { EXPERIENCE, ExperienceMachine } from "./ExperienceMachine.js";
+import { SteppableClock } from "./Clock.js";
+import { EventBus } from "./EventBus.js";
+import { readCard } from "./CardLink.js";
+import { DEFAULT_THEME, THEME_NAMES, THEMES } from "./Theme.js";
+import { ThemeManager } from "./ThemeManager.js";
+import { QualityGovernor } from "./QualityGovernor.js";
 import { ShakeController } from "../features/shake/ShakeController.js";
+import { ShapePlaylist } from "../features/shake/ShapePlaylist.js";
 import { BloomController } from "../features/bloom/BloomController.js";
+import { CaptureController } from "../features/capture/CaptureController.js";
+import { AudioController } from "../features/audio/AudioController.js";
+import { HapticController } from "../features/haptics/HapticController.js";
+import { OrbitController } from "../features/orbit/OrbitController.js";
+import { createCaptureEncoder } from "../features/capture/CaptureEncoders.js";
+
+// What each motion gesture does (the shake itself forms shapes). See
+// bindMotionGestures() for the actions; ?gestures=flip:none,tilt:next-theme
+// remaps them.
+export const GESTURE_ACTIONS = {
+  doubleshake: "next-shape",
+  tilt: "pulse",
+  flip: "hush",
+};
+
+// Where a tilt's pulse starts, in world units from the center
+const TILT_PULSES = {
+  left: [-300, 0],
+  right: [300, 0],
+  forward: [0, 300],
+  back: [0, -300],
+};
 
 export class App {
   constructor() {
@@ -14,9 +49,11 @@ export class App {
     this.scene.background = null; // Transparent to let CSS background show
 
     // 2. Camera Setup
-    const aspect = window.innerWidth / window.innerHeight;
-    this.camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 4000);
-    this.camera.position.z = 600;
+    this.camera = createCamera(window.innerWidth / window.innerHeight);
+    // Parallax: tilting the phone or moving the mouse drifts the camera
+    this.cameraRig = new CameraRig(this.camera);
+    // Screen points to world points through the camera, wherever it is
+    this.projection = new Projection(this.camera, window);
 
     // 3. Renderer Setup
     this.renderer = new THREE.WebGLRenderer({
@@ -34,111 +71,395 @@ export class App {
     this.composer.addPass(new RenderPass(this.scene, this.camera));
 
     const isMobile = window.innerWidth < 600;
+    // Strength, radius and threshold come from the theme (see below)
     this.bloomPass = new UnrealBloomPass(
       new THREE.Vector2(window.innerWidth, window.innerHeight),
-      isMobile ? 1.5 : 1.1, // Softer on Desktop
-      0.8, // Radius
-      isMobile ? 0.15 : 0.4, // Strict threshold for Desktop to prevent screen-burn
+      0,
+      0,
+      0,
     );
     this.composer.addPass(this.bloomPass);
 
-    // 5. Core Modules
+    // 5. One clock for the simulation, the features and GSAP. It follows
+    // real time, except while capturing: then every frame advances it by a
+    // fixed step, however long the frame took to render and encode.
+    this.time = new SteppableClock();
+    this.lastFrameTime = this.time.now();
+    this.gsapStart = gsap.ticker.time;
+    this.timeStart = this.lastFrameTime;
+    gsap.ticker.remove(gsap.updateRoot); // Tweens advance in step() instead
+    this.capturing = false;
+    this.captureStopped = false;
+
+    // 6. Core Modules
     this.background = new SceneBackground(this.scene);
-    this.particleSystem = new ParticleSystem(this.scene);
-    this.shakeController = new ShakeController(this.particleSystem);
-    this.bloomController = new BloomController(this.particleSystem);
+    // Desktop GPUs simulate 100k stars in textures (GPGPU ping-pong)
+    this.particleSystem = new ParticleSystem(this.scene, {
+      renderer: this.renderer,
+      gpu: !isMobile && GPUSimulation.isSupported(this.renderer),
+      clock: this.time,
+    });
+    // Shake and bloom take turns with the stars through one state machine,
+    // and announce what they do on one event bus (sound and vibration listen)
+    this.experience = new ExperienceMachine();
+    this.events = new EventBus();
+    const features = {
+      experience: this.experience,
+      clock: this.time,
+      events: this.events,
+      projection: this.projection,
+    };
+    this.shakeController = new ShakeController(this.particleSystem, features);
+    this.bloomController = new BloomController(this.particleSystem, features);
+    // Dragging a formed shape orbits the camera around it
+    this.orbitController = new OrbitController(
+      this.cameraRig,
+      this.shakeController,
+      features,
+    );
+    this.captureController = new CaptureController(this);
+    this.audio = new AudioController(this.events);
+    this.haptics = new HapticController(this.events);
+    this.input = new InputManager(window);
+
+    // 7. Theme: palette, background, star sprite, bloom and UI accent
+    this.themes = new ThemeManager(
+      {
+        background: this.background,
+        bloomPass: this.bloomPass,
+        particleSystem: this.particleSystem,
+        shakeController: this.shakeController,
+        root: document.documentElement,
+      },
+      { isMobile },
+    );
+    this.themes.apply(DEFAULT_THEME, { duration: 0 });
 
-    this.clock = new THREE.Clock();
+    // 8. Quality: the governor watches frame times and steps the running
+    // stars, pixel ratio, bloom resolution and pulse count up or down
+    this.quality = new QualityGovernor();
+    this.pixelRatio = window.devicePixelRatio;
+    this.bloomScale = 1;
+    this.pinQuality();
+    this.applyQuality(this.quality.tier);
+    this.quality.onChange((tier) => this.applyQuality(tier));
+    // A resized pool runs the tier's share of its new size
+    this.particleSystem.onResize(() => this.applyQuality(this.quality.tier));
   }
 
   async init() {
+    // One input subsystem: features subscribe by priority (bloom 20, orbit
+    // 15, shake 10, ambient 0; the trail only observes). Events flow from
+    // attach().
+    this.bloomController.bindInput(this.input);
+    this.orbitController.bindInput(this.input);
+    this.shakeController.bindInput(this.input);
+    this.bindMotionGestures();
+
+    // A ?card= link personalizes every module; without one the shake
+    // falls back to ?playlist= / ?words= or the default cycle
+    const card = readCard(window.location.search);
+    this.applyStartTheme(card);
+    if (card?.message) this.bloomController.setMessage(card.message);
+
     await this.particleSystem.init();
-    await this.shakeController.init();
-    await this.bloomController.init();
+    await this.shakeController.init(card && ShapePlaylist.fromCard(card));
+    await this.bloomController.init(this.shakeController.playlist.bloom);
+    this.captureController.init();
+    this.audio.init();
+    this.haptics.init();
+    this.bindThemePicker();
+    this.bindParallax();
+    this.bindStarCount();
 
-    this.renderer.setAnimationLoop(() => this.render());
+    this.startLoop();
     window.addEventListener("resize", () => this.onResize());
 
-    // Mouse Tracking for Magic Trail
-    this.mouse = new THREE.Vector2(-999, -999);
-    window.addEventListener("mousemove", (e) => {
-      this.mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-      this.mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-    });
-    window.addEventListener(
-      "touchstart",
-      (e) => {
-        if (e.touches.length === 1) {
-          this.mouse.x = (e.touches[0].clientX / window.innerWidth) * 2 - 1;
-          this.mouse.y = -(e.touches[0].clientY / window.innerHeight) * 2 + 1;
-        }
+    // Mouse Tracking for Magic Trail (hover, or one finger down)
+    // (screen px, mapped through the camera every step as it moves)
+    this.pointer = null;
+    const track = ({ x, y }) => {
+      this.pointer = { x, y };
+    };
+    this.input.on("press", track, { priority: 100 });
+    this.input.on("move", track, { priority: 100 });
+
+    // The camera rig follows the mouse on desktops and the tilt on phones;
+    // a long still press recenters it
+    this.input.on(
+      "move",
+      ({ x, y, pointerType }) => {
+        if (pointerType !== "mouse") return;
+        const { x: nx, y: ny } = this.projection.toNDC(x, y);
+        this.cameraRig.pointTo(nx, ny);
       },
-      { passive: true },
+      { priority: 100 },
     );
-    window.addEventListener(
-      "touchmove",
-      (e) => {
-        if (e.touches.length === 1) {
-          this.mouse.x = (e.touches[0].clientX / window.innerWidth) * 2 - 1;
-          this.mouse.y = -(e.touches[0].clientY / window.innerHeight) * 2 + 1;
-        }
-      },
-      { passive: true },
+    this.input.on("orientation", (angles) =>
+      this.cameraRig.orient(angles, window.screen.orientation?.angle ?? 0),
     );
-    // Interaction Branching: Phase 69
-    const isMobile = window.innerWidth < 600;
+    this.input.on("longpress", () => {
+      this.cameraRig.recenter();
+      return true;
+    });
 
-    const triggerPulse = (e) => {
-      const x = e.clientX || (e.touches && e.touches[0].clientX);
-      const y = e.clientY || (e.touches && e.touches[0].clientY);
-      if (x !== undefined && y !== undefined) {
-        const worldX = (x / window.innerWidth) * 2 - 1;
-        const worldY = -(y / window.innerHeight) * 2 + 1;
-        this.particleSystem.addPulse(worldX * 450, worldY * 460, 600, 400);
-      }
+    // Taps with a finger or pen send out a pulse
+    this.input.on("tap", ({ x, y, pointerType }) => {
+      if (pointerType === "mouse") return false;
+      const world = this.projection.screenToWorld(x, y);
+      if (!world) return false;
+      this.particleSystem.addPulse(world.x, world.y, 600, 400);
+      this.events.emit("pulse", { strength: 600 });
+      return true;
+    });
+    this.input.attach();
+  }
+
+  // Each motion gesture runs the action GESTURE_ACTIONS maps it to
+  bindMotionGestures() {
+    const actions = {
+      "next-shape": () => this.shakeController.skip(),
+      "next-theme": () => {
+        const index = THEME_NAMES.indexOf(this.themes.theme.name);
+        this.themes.apply(THEME_NAMES[(index + 1) % THEME_NAMES.length]);
+      },
+      // A pulse from the side the phone dipped toward
+      pulse: ({ direction }) => {
+        const [x, y] = TILT_PULSES[direction] ?? [0, 0];
+        this.particleSystem.addPulse(x, y, 600, 400);
+        this.events.emit("pulse", { strength: 600 });
+      },
+      explode: () => {
+        if (this.shakeController.isShaking) this.experience.send("settle");
+      },
+      // Face down silences the sound until the phone turns back up
+      hush: ({ faceDown }) => this.audio.hush(faceDown === true),
+      recenter: () => this.cameraRig.recenter(),
+      none: () => {},
     };
+    const mapping = { ...GESTURE_ACTIONS };
+    const param = new URLSearchParams(window.location.search).get("gestures");
+    param?.split(",").forEach((pair) => {
+      const [gesture, action] = pair.split(":");
+      if (Object.hasOwn(mapping, gesture) && Object.hasOwn(actions, action)) {
+        mapping[gesture] = action;
+      } else {
+        console.warn(`Ignoring ?gestures= entry "${pair}"`);
+      }
+    });
+    Object.entries(mapping).forEach(([gesture, action]) =>
+      this.input.on(gesture, (detail) => {
+        actions[action](detail);
+        return true;
+      }),
+    );
+  }
 
-    if (isMobile) {
-      // MOBILE: Taps trigger Pulse (Shake handled by sensors)
-      window.addEventListener(
-        "touchstart",
-        (e) => {
-          if (e.touches.length === 1) triggerPulse(e);
+  // The card's theme (with its own colors on top), or ?theme=<preset>
+  applyStartTheme(card) {
+    const name =
+      card?.theme ||
+      new URLSearchParams(window.location.search).get("theme") ||
+      DEFAULT_THEME;
+    try {
+      this.themes.apply(
+        {
+          name,
+          palette: card?.palette ?? undefined,
+          background: card?.background ?? undefined,
         },
-        { passive: true },
+        { duration: 0, base: name },
       );
-    } else {
-      // DESKTOP: Clicks trigger Shape Change (Shake Simulation)
-      window.addEventListener("mousedown", () => {
-        this.shakeController.handleShake(20);
-      });
-      // Desktop Hover Pulse is already handled in ParticleSystem.update()
+    } catch (err) {
+      console.warn("Keeping the default theme:", err);
     }
   }
 
+  // Switching presets at runtime cross-fades the whole scene
+  bindThemePicker() {
+    const select = document.getElementById("theme-select");
+    if (!select) return;
+    THEME_NAMES.forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = THEMES[name].label;
+      select.appendChild(option);
+    });
+    select.value = this.themes.theme.name ?? "";
+    select.addEventListener("change", () => this.themes.apply(select.value));
+    this.themes.onChange((theme) => (select.value = theme.name ?? ""));
+  }
+
+  // The parallax toggle; ?parallax=off starts with the camera still
+  bindParallax() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("parallax") === "off") this.cameraRig.setEnabled(false);
+    const button = document.getElementById("parallax-toggle");
+    if (!button) return;
+    const update = () => {
+      button.setAttribute("aria-pressed", String(this.cameraRig.enabled));
+      button.classList.toggle("off", !this.cameraRig.enabled);
+    };
+    button.addEventListener("click", () => {
+      this.cameraRig.setEnabled(!this.cameraRig.enabled);
+      update();
+    });
+    update();
+  }
+
+  // The settings panel's Stars slider resizes the pool, relative to the
+  // device's default size (the quality tier then runs its share of it)
+  bindStarCount() {
+    const slider = document.getElementById("stars-slider");
+    if (!slider) return;
+    const base = this.particleSystem.maxParticles;
+    // On release only: a resize reallocates every buffer
+    slider.addEventListener("change", () =>
+      this.particleSystem.resize(base * Number(slider.value)),
+    );
+  }
+
+  // ?quality=low|medium|high pins a tier (debugging, slow-device repros)
+  pinQuality() {
+    const tier = new URLSearchParams(window.location.search).get("quality");
+    if (!tier) return;
+    try {
+      this.quality.lock(tier);
+    } catch (err) {
+      console.warn("Ignoring ?quality=:", err);
+    }
+  }
+
+  // The current tier also shows as <html data-quality="..."> for debugging
+  applyQuality(tier) {
+    const { particleSystem } = this;
+    particleSystem.setActiveCount(particleSystem.maxParticles * tier.particles);
+    particleSystem.setMaxPulses(tier.pulses);
+    this.pixelRatio = Math.min(window.devicePixelRatio, tier.pixelRatio);
+    this.bloomScale = tier.bloomScale;
+    this.onResize();
+    document.documentElement.dataset.quality = tier.name;
+  }
+
+  startLoop() {
+    this.lastFrameTime = this.time.now();
+    this.renderer.setAnimationLoop(() => this.render());
+  }
+
   render() {
-    const dt = Math.min(0.05, this.clock.getDelta());
+    const now = this.time.now();
+    const frameMs = now - this.lastFrameTime;
+    const dt = Math.min(0.05, frameMs / 1000);
+    this.lastFrameTime = now;
+    this.quality.sample(frameMs);
+
+    this.step(dt);
+    // Live frames only: a capture steps the clock without buzzing
+    this.haptics.update(this.particleSystem.simulation.time);
+
+    // Use Composer for Bloom
+    this.composer.render();
+  }
+
+  // Advance everything by `dt` seconds of the app clock
+  step(dt) {
+    gsap.updateRoot(this.gsapStart + (this.time.now() - this.timeStart) / 1000);
 
     this.shakeController.update(dt);
-    this.bloomController.update(dt);
 
     // Role-based coordinate
-    this.particleSystem.isInteracting =
-      this.shakeController.isShaking || this.bloomController.active;
+    this.particleSystem.isInteracting = !this.experience.is(EXPERIENCE.IDLE);
+    this.orbitController.update(dt);
+    this.cameraRig.update(dt);
+    this.particleSystem.setViewpoint(this.camera.position);
 
-    this.particleSystem.update(dt, this.mouse);
+    const { pointer, projection } = this;
+    const trail = pointer && projection.screenToWorld(pointer.x, pointer.y);
+    this.particleSystem.update(dt, trail);
+  }
 
-    // Use Composer for Bloom
-    this.composer.render();
+  // Renders `duration` seconds as `format` (see CAPTURE_FORMATS) at
+  // `width` x `height`, off the real-time loop: the clock is held and stepped
+  // by exactly 1/fps per frame. Resolves with the encoded Blob (shorter if
+  // stopCapture() was called).
+  async capture({ format, width, height, duration, onProgress }) {
+    if (this.capturing) throw new Error("A capture is already running");
+    // Video codecs want even sizes
+    const frameWidth = Math.round(width / 2) * 2;
+    const frameHeight = Math.round(height / 2) * 2;
+    const encoder = createCaptureEncoder(format, {
+      width: frameWidth,
+      height: frameHeight,
+    });
+
+    this.capturing = true;
+    this.captureStopped = false;
+    this.renderer.setAnimationLoop(null);
+    // Clips get full-resolution bloom whatever the live tier
+    this.setSize(frameWidth, frameHeight, {
+      updateStyle: false,
+      pixelRatio: 1,
+      bloomScale: 1,
+    });
+
+    const frame = document.createElement("canvas");
+    frame.width = frameWidth;
+    frame.height = frameHeight;
+    const context = frame.getContext("2d");
+
+    const dt = 1 / encoder.fps;
+    const frames = Math.max(1, Math.round(duration * encoder.fps));
+    this.time.hold();
+    try {
+      await encoder.start(frame);
+      for (let i = 0; i < frames && !this.captureStopped; i++) {
+        this.time.advance(dt * 1000);
+        this.step(dt);
+        this.composer.render();
+        // Copy right away: the WebGL buffer is not kept between frames
+        context.drawImage(this.renderer.domElement, 0, 0);
+        await encoder.addFrame(frame, i);
+        if (onProgress) onProgress((i + 1) / frames);
+      }
+      return await encoder.finish();
+    } finally {
+      this.time.resume();
+      this.capturing = false;
+      this.onResize();
+      this.startLoop();
+    }
+  }
+
+  stopCapture() {
+    this.captureStopped = true;
   }
 
   onResize() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    if (this.capturing) return; // Restored when the capture ends
+    this.setSize(window.innerWidth, window.innerHeight);
+  }
 
+  // Pixel ratio and bloom scale default to the quality tier's
+  setSize(
+    width,
+    height,
+    {
+      updateStyle = true,
+      pixelRatio = this.pixelRatio,
+      bloomScale = this.bloomScale,
+    } = {},
+  ) {
     this.camera.aspect = width / height;
     this.camera.updateProjectionMatrix();
-    this.renderer.setSize(width, height);
+    this.renderer.setPixelRatio(pixelRatio);
+    this.renderer.setSize(width, height, updateStyle);
+    this.composer.setPixelRatio(pixelRatio);
     this.composer.setSize(width, height);
+    // The composer sized the bloom buffers to the frame; lower tiers shrink
+    // them (the glow is blurred anyway)
+    this.bloomPass.setSize(
+      Math.round(width * pixelRatio * bloomScale),
+      Math.round(height * pixelRatio * bloomScale),
+    );
   }
 }
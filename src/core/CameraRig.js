@@ -0,0 +1,90 @@
+// Parallax: the camera drifts around its home position while it keeps
+// looking at the center, so near stars slide across far ones and formed
+// shapes show their depth. Phones steer it by tilting (deviceorientation),
+// desktops with the pointer. Either input sets a target in -1..1, clamped
+// to the unit circle; the camera eases toward it. On top of that, `orbit`
+// turns the whole view around the center (OrbitController inspecting a
+// formed shape). No DOM: App feeds it.
+export class CameraRig {
+  constructor(camera, { range = 90, maxTilt = 20, smoothing = 4 } = {}) {
+    this.camera = camera;
+    const { x, y, z } = camera.position;
+    this.home = { x, y, z };
+    this.range = range; // World units the camera drifts at full deflection
+    this.maxTilt = maxTilt; // Degrees of tilt for full deflection
+    this.smoothing = smoothing; // Per second: higher follows faster
+    this.enabled = true;
+    this.target = { x: 0, y: 0 };
+    this.offset = { x: 0, y: 0 };
+    this.reference = null; // The pose that counts as centered
+    // Radians around the vertical and the horizontal axis, and the distance
+    // relative to home. Applied as set: whoever orbits does the easing.
+    this.orbit = { yaw: 0, pitch: 0, zoom: 1 };
+  }
+
+  // Normalized pointer position, y up
+  pointTo(x, y) {
+    const length = Math.hypot(x, y);
+    const scale = length > 1 ? 1 / length : 1;
+    this.target.x = x * scale;
+    this.target.y = y * scale;
+  }
+
+  // deviceorientation angles in degrees. `screenAngle` is the screen's
+  // rotation (screen.orientation.angle): the axes turn with it. The first
+  // reading after recenter() or a screen rotation is the neutral pose.
+  orient({ beta, gamma }, screenAngle = 0) {
+    if (!this.reference || this.reference.screenAngle !== screenAngle) {
+      this.reference = { beta, gamma, screenAngle };
+    }
+    const roll = wrapDegrees(gamma - this.reference.gamma);
+    const pitch = wrapDegrees(beta - this.reference.beta);
+    const a = (screenAngle * Math.PI) / 180;
+    this.pointTo(
+      (roll * Math.cos(a) - pitch * Math.sin(a)) / this.maxTilt,
+      (roll * Math.sin(a) + pitch * Math.cos(a)) / this.maxTilt,
+    );
+  }
+
+  // The current pose becomes the center
+  recenter() {
+    this.reference = null;
+    this.target.x = 0;
+    this.target.y = 0;
+  }
+
+  // Off, the camera eases home and stays there
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.recenter();
+  }
+
+  update(dt) {
+    const goal = this.enabled ? this.target : { x: 0, y: 0 };
+    const k = 1 - Math.exp(-this.smoothing * dt);
+    this.offset.x += (goal.x - this.offset.x) * k;
+    this.offset.y += (goal.y - this.offset.y) * k;
+    const { home, range, orbit } = this;
+    const x = (home.x + this.offset.x * range) * orbit.zoom;
+    const y = (home.y + this.offset.y * range) * orbit.zoom;
+    const z = home.z * orbit.zoom;
+    // Pitch about the x axis, then yaw about the y axis
+    const cp = Math.cos(orbit.pitch);
+    const sp = Math.sin(orbit.pitch);
+    const cy = Math.cos(orbit.yaw);
+    const sy = Math.sin(orbit.yaw);
+    const pitchedZ = y * sp + z * cp;
+    this.camera.position.set(
+      x * cy + pitchedZ * sy,
+      y * cp - z * sp,
+      -x * sy + pitchedZ * cy,
+    );
+    this.camera.lookAt(0, 0, 0);
+    this.camera.updateMatrixWorld(); // Unprojections this step see the move
+  }
+}
+
+// Degrees into [-180, 180) so a turn across the seam stays small
+function wrapDegrees(d) {
+  return d - 360 * Math.floor((d + 180) / 360);
+}
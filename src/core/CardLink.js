@@ -0,0 +1,262 @@
+import { SHAPE_NAMES } from "../features/shake/ShapeLibrary.js";
+import { THEME_NAMES } from "./Theme.js";
+
+// Personalized cards in one URL parameter: ?card=<code>. The code packs the
+// shake entries (words or built-in shapes), the bloom message and shape,
+// the theme with its palette and background overrides and the font into a
+// few bytes, then base64url, so one build serves any number of cards.
+// composer.html writes the links; App reads them on load.
+//
+// Card object (decoded; optional fields are null when absent):
+// {
+//   entries: ["Love", "HEART_SHAPE", "Be Mine"],  // shake cycle
+//   message: "You make my heart bloom",           // text at full bloom
+//   bloomShape: "ROSE",                           // pinch target
+//   palette: [0xff1493, 0xffffff],                // star colors
+//   background: [0x0a0005, 0x000000],             // gradient center, edge
+//   font: "serif",
+//   theme: "birthday",                            // Theme.js preset
+// }
+//
+// Layout (version 1): version byte, flags byte, entry count + entries (tag 0
+// = text, n = SHAPE_NAMES[n - 1]), then each optional field its flag marks.
+// Shape, font and theme indices are part of the format: only append to the
+// lists.
+export const CARD_PARAM = "card";
+export const CARD_FONTS = ["script", "serif", "mono"];
+
+const VERSION = 1;
+const MAX_ENTRIES = 16;
+const MAX_COLORS = 8;
+const MAX_TEXT_BYTES = 300;
+
+const FLAGS = {
+  palette: 1,
+  background: 2,
+  message: 4,
+  font: 8,
+  bloomShape: 16,
+  theme: 32,
+};
+
+function invalid(reason) {
+  return new Error(`Invalid card link: ${reason}`);
+}
+
+function checkColor(color) {
+  if (!Number.isInteger(color) || color < 0 || color > 0xffffff) {
+    throw invalid(`color "${color}"`);
+  }
+  return color;
+}
+
+export function encodeCard(card) {
+  const entries = card.entries || [];
+  if (entries.length === 0 || entries.length > MAX_ENTRIES) {
+    throw invalid(`needs 1 to ${MAX_ENTRIES} entries`);
+  }
+  const palette = card.palette?.length ? card.palette : null;
+  if (palette && palette.length > MAX_COLORS) {
+    throw invalid(`at most ${MAX_COLORS} palette colors`);
+  }
+  if (card.background && card.background.length !== 2) {
+    throw invalid("background needs a center and an edge color");
+  }
+
+  const out = new ByteWriter();
+  out.byte(VERSION);
+  let flags = 0;
+  if (palette) flags |= FLAGS.palette;
+  if (card.background) flags |= FLAGS.background;
+  if (card.message) flags |= FLAGS.message;
+  if (card.font) flags |= FLAGS.font;
+  if (card.bloomShape) flags |= FLAGS.bloomShape;
+  if (card.theme) flags |= FLAGS.theme;
+  out.byte(flags);
+
+  out.varint(entries.length);
+  entries.forEach((entry) => {
+    const shape = SHAPE_NAMES.indexOf(entry);
+    if (shape >= 0) {
+      out.varint(shape + 1);
+    } else {
+      if (typeof entry !== "string" || entry.trim() === "") {
+        throw invalid("empty entry");
+      }
+      out.varint(0);
+      out.text(entry);
+    }
+  });
+
+  if (palette) {
+    out.byte(palette.length);
+    palette.forEach((color) => out.color(checkColor(color)));
+  }
+  if (card.background) {
+    card.background.forEach((color) => out.color(checkColor(color)));
+  }
+  if (card.message) out.text(card.message);
+  if (card.font) out.byte(lookup(CARD_FONTS, card.font, "font"));
+  if (card.bloomShape) {
+    out.byte(lookup(SHAPE_NAMES, card.bloomShape, "shape"));
+  }
+  if (card.theme) out.byte(lookup(THEME_NAMES, card.theme, "theme"));
+  return toBase64Url(out.finish());
+}
+
+export function decodeCard(code) {
+  const input = new ByteReader(fromBase64Url(code));
+  const version = input.byte();
+  if (version !== VERSION) throw invalid(`unknown version ${version}`);
+  const flags = input.byte();
+
+  const count = input.varint();
+  if (count === 0 || count > MAX_ENTRIES) throw invalid("entry count");
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const tag = input.varint();
+    if (tag === 0) entries.push(input.text());
+    else entries.push(pick(SHAPE_NAMES, tag - 1, "shape"));
+  }
+
+  const card = {
+    entries,
+    message: null,
+    bloomShape: null,
+    palette: null,
+    background: null,
+    font: null,
+    theme: null,
+  };
+  if (flags & FLAGS.palette) {
+    const size = input.byte();
+    if (size === 0 || size > MAX_COLORS) throw invalid("palette size");
+    card.palette = Array.from({ length: size }, () => input.color());
+  }
+  if (flags & FLAGS.background) {
+    card.background = [input.color(), input.color()];
+  }
+  if (flags & FLAGS.message) card.message = input.text();
+  if (flags & FLAGS.font) card.font = pick(CARD_FONTS, input.byte(), "font");
+  if (flags & FLAGS.bloomShape) {
+    card.bloomShape = pick(SHAPE_NAMES, input.byte(), "shape");
+  }
+  if (flags & FLAGS.theme) {
+    card.theme = pick(THEME_NAMES, input.byte(), "theme");
+  }
+  if (!input.done) throw invalid("trailing data");
+  return card;
+}
+
+// The card of a page URL's query string, or null (with a warning when the
+// code is broken: the page then shows the default experience)
+export function readCard(search = globalThis.location?.search ?? "") {
+  const code = new URLSearchParams(search).get(CARD_PARAM);
+  if (!code) return null;
+  try {
+    return decodeCard(code);
+  } catch (err) {
+    console.warn("Ignoring the card link:", err);
+    return null;
+  }
+}
+
+function lookup(list, value, name) {
+  const index = list.indexOf(value);
+  if (index < 0) throw invalid(`unknown ${name} "${value}"`);
+  return index;
+}
+
+function pick(list, index, name) {
+  if (!(index < list.length)) throw invalid(`unknown ${name} #${index}`);
+  return list[index];
+}
+
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  byte(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  // LEB128: 7 bits per byte, high bit set on all but the last
+  varint(value) {
+    let rest = value;
+    while (rest >= 0x80) {
+      this.bytes.push((rest & 0x7f) | 0x80);
+      rest >>>= 7;
+    }
+    this.bytes.push(rest);
+  }
+
+  color(value) {
+    this.bytes.push((value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+  }
+
+  text(value) {
+    const bytes = new TextEncoder().encode(value);
+    if (bytes.length > MAX_TEXT_BYTES) throw invalid("text is too long");
+    this.varint(bytes.length);
+    bytes.forEach((b) => this.bytes.push(b));
+  }
+
+  finish() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  get done() {
+    return this.offset === this.bytes.length;
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) throw invalid("truncated");
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let value = 0;
+    for (let shift = 0; shift < 28; shift += 7) {
+      const b = this.byte();
+      value |= (b & 0x7f) << shift;
+      if (!(b & 0x80)) return value;
+    }
+    throw invalid("number too long");
+  }
+
+  color() {
+    return (this.byte() << 16) | (this.byte() << 8) | this.byte();
+  }
+
+  text() {
+    const length = this.varint();
+    if (length > MAX_TEXT_BYTES) throw invalid("text is too long");
+    if (this.offset + length > this.bytes.length) throw invalid("truncated");
+    const bytes = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  }
+}
+
+function toBase64Url(bytes) {
+  const binary = String.fromCharCode(...bytes);
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(code) {
+  if (!/^[A-Za-z0-9_-]*$/.test(code)) throw invalid("not base64url");
+  const base64 = code.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
@@ -0,0 +1,56 @@
+// Time source for everything that schedules by wall-clock milliseconds.
+// Modules take a clock instead of calling Date.now() so tests (and fixed
+// timestep playback) can drive time by hand.
+export const systemClock = {
+  now: () => Date.now(),
+};
+
+export class ManualClock {
+  constructor(start = 0) {
+    this.time = start;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+}
+
+// Follows `source` until held; while held, time only moves through
+// advance() (fixed-timestep capture). On resume it carries on from the held
+// time rather than jumping to the source's, so nothing sees a skip.
+export class SteppableClock {
+  constructor(source = systemClock) {
+    this.source = source;
+    this.offset = 0;
+    this.held = null; // Held time in ms, or null while following the source
+  }
+
+  get isHeld() {
+    return this.held !== null;
+  }
+
+  now() {
+    return this.held ?? this.source.now() + this.offset;
+  }
+
+  hold() {
+    if (this.held === null) this.held = this.now();
+  }
+
+  advance(ms) {
+    if (this.held === null) throw new Error("Only a held clock can advance");
+    this.held += ms;
+    return this.held;
+  }
+
+  resume() {
+    if (this.held === null) return;
+    this.offset = this.held - this.source.now();
+    this.held = null;
+  }
+}
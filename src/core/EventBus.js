@@ -0,0 +1,26 @@
+// What the features announce, so feedback layers (sound, vibration) can
+// react without the features knowing who listens:
+//   "shape:form"     { morph }      a shake shape starts forming
+//   "shape:explode"  { impulse }    a shape bursts back into the chaos
+//   "bloom:change"   { factor }     bloom level, 0..1 (0 when it ends)
+//   "bloom:full"     {}             the celebration pop at full bloom
+//   "pulse"          { strength }   a tap sent out a shockwave
+export class EventBus {
+  constructor() {
+    this.listeners = new Map(); // type -> [listener]
+  }
+
+  // listener(detail) on every emit(type). Returns unsubscribe.
+  on(type, listener) {
+    const list = this.listeners.get(type) || [];
+    this.listeners.set(type, [...list, listener]);
+    return () => {
+      const current = this.listeners.get(type) || [];
+      this.listeners.set(type, current.filter((l) => l !== listener));
+    };
+  }
+
+  emit(type, detail = {}) {
+    (this.listeners.get(type) || []).forEach((listener) => listener(detail));
+  }
+}
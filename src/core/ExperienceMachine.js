@@ -0,0 +1,103 @@
+// Which feature owns the stars right now. Shake and bloom both borrow
+// particles from the shared pool (their index ranges overlap), so they take
+// turns through this machine instead of checking each other's flags:
+//
+//   idle ──shake──▶ shaking ──settle──▶ idle
+//   idle ──bloom──▶ blooming ──release──▶ idle
+//   shaking ──bloom──▶ blooming         (a pinch interrupts the shape)
+//
+// Shakes are ignored while blooming. Every transition runs the old state's
+// feature `exit(to)` first, so it hands its particles back to the chaos,
+// then the new state's feature `enter(from, payload)`, which claims them.
+export const EXPERIENCE = {
+  IDLE: "idle",
+  SHAKING: "shaking",
+  BLOOMING: "blooming",
+};
+
+const TRANSITIONS = {
+  [EXPERIENCE.IDLE]: {
+    shake: EXPERIENCE.SHAKING,
+    bloom: EXPERIENCE.BLOOMING,
+  },
+  [EXPERIENCE.SHAKING]: {
+    settle: EXPERIENCE.IDLE,
+    bloom: EXPERIENCE.BLOOMING,
+  },
+  [EXPERIENCE.BLOOMING]: {
+    release: EXPERIENCE.IDLE,
+  },
+};
+
+export const EXPERIENCE_EVENTS = ["shake", "settle", "bloom", "release"];
+
+export class ExperienceMachine {
+  constructor() {
+    this.state = EXPERIENCE.IDLE;
+    this.features = new Map(); // State -> { enter, exit }
+    this.guards = new Map(); // Event -> [predicate]
+    this.listeners = [];
+    this.transitioning = false;
+  }
+
+  // `feature` owns the particles while the machine is in `state`
+  register(state, feature) {
+    if (!Object.values(EXPERIENCE).includes(state)) {
+      throw new Error(`Unknown experience state "${state}"`);
+    }
+    this.features.set(state, feature);
+  }
+
+  // `predicate(payload, from)` must return true for `event` to go through
+  guard(event, predicate) {
+    this.checkEvent(event);
+    const list = this.guards.get(event) || [];
+    list.push(predicate);
+    this.guards.set(event, list);
+  }
+
+  // listener(to, from, event) after every transition. Returns unsubscribe.
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  is(state) {
+    return this.state === state;
+  }
+
+  can(event, payload) {
+    this.checkEvent(event);
+    if (this.transitioning) return false;
+    if (!TRANSITIONS[this.state][event]) return false;
+    const guards = this.guards.get(event) || [];
+    return guards.every((guard) => guard(payload, this.state));
+  }
+
+  // Returns whether the transition happened. Events the current state does
+  // not handle, or that a guard rejects, are dropped.
+  send(event, payload) {
+    if (!this.can(event, payload)) return false;
+
+    const from = this.state;
+    const to = TRANSITIONS[from][event];
+    this.transitioning = true;
+    try {
+      this.features.get(from)?.exit?.(to);
+      this.state = to;
+      this.features.get(to)?.enter?.(from, payload);
+    } finally {
+      this.transitioning = false;
+    }
+    this.listeners.forEach((listener) => listener(to, from, event));
+    return true;
+  }
+
+  checkEvent(event) {
+    if (!EXPERIENCE_EVENTS.includes(event)) {
+      throw new Error(`Unknown experience event "${event}"`);
+    }
+  }
+}
@@ -0,0 +1,438 @@
+import * as THREE from "three";
+import { GPUComputationRenderer } from "three/examples/jsm/misc/GPUComputationRenderer.js";
+import { BEAT_SPEED } from "./ParticleSimulation.js";
+
+// GPGPU port of the ParticleSystem physics. Kinematics live in float textures
+// (ping-pong render targets), the per-particle blend/role data is mirrored from
+// the CPU into data textures only when a controller changes it.
+const MAX_PULSES = 10;
+
+// Shared helpers for both compute passes
+const commonChunk = `
+  #define MAX_PULSES ${MAX_PULSES}
+  #define BEAT_SPEED ${BEAT_SPEED.toFixed(1)}
+  #define LIMIT_SQ 16000000.0
+  #define SPAWN_DIST 2500.0
+  #define PI 3.141592653589793
+
+  uniform float uDelta;
+  uniform float uTime;
+  uniform float uSeed;
+  uniform float uActiveCount;
+  uniform sampler2D tShape;
+  uniform sampler2D tBloom;
+  uniform sampler2D tAttr;
+  uniform sampler2D tPositionWrite;
+  uniform sampler2D tVelocityWrite;
+
+  float hash(vec2 p) {
+    vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+  }
+
+  float rand(vec2 uv, float salt) {
+    return hash(uv * 1024.0 + vec2(uSeed, salt * 17.0));
+  }
+
+  vec3 rand3(vec2 uv, float salt) {
+    return vec3(rand(uv, salt), rand(uv, salt + 1.0), rand(uv, salt + 2.0));
+  }
+
+  vec3 onSphere(vec2 uv, float salt, float radius) {
+    float theta = rand(uv, salt) * PI * 2.0;
+    float phi = acos(2.0 * rand(uv, salt + 1.0) - 1.0);
+    return radius * vec3(sin(phi) * cos(theta), sin(phi) * sin(theta), cos(phi));
+  }
+
+  // Same spawn point for both passes so the position pass can follow a recycle
+  vec3 spawnPosition(vec2 uv) {
+    return onSphere(uv, 40.0, SPAWN_DIST);
+  }
+
+  // Physical position after any CPU write (set or bake) queued for this frame
+  vec3 resolvePosition(vec2 uv) {
+    vec4 pos = texture2D(texturePosition, uv);
+    vec4 write = texture2D(tPositionWrite, uv);
+    if (write.w > 1.5) {
+      // Bake: capture the rendered blend (x = shapeMix, y = bloomMix)
+      vec3 p = mix(pos.xyz, texture2D(tShape, uv).xyz, write.x);
+      return mix(p, texture2D(tBloom, uv).xyz, write.y);
+    }
+    if (write.w > 0.5) return write.xyz;
+    return pos.xyz;
+  }
+
+  // Stars past the active count are switched off (see
+  // ParticleSimulation.setActiveCount): not stepped, only written to
+  bool isActive() {
+    vec2 cell = floor(gl_FragCoord.xy);
+    return cell.y * resolution.x + cell.x < uActiveCount;
+  }
+
+  vec3 integrate(vec3 pos, vec3 vel, float role) {
+    vec3 next = pos + vel * uDelta;
+    if (role > 0.5) {
+      // Atmospheric drift (gentle rotation around Y)
+      float rotSpeed = 0.15 * uDelta;
+      float c = cos(rotSpeed);
+      float s = sin(rotSpeed);
+      next.xz = vec2(next.x * c - next.z * s, next.x * s + next.z * c);
+    }
+    return next;
+  }
+`;
+
+const velocityShader = `
+  ${commonChunk}
+  uniform vec4 uPulses[MAX_PULSES]; // x, y, currentRadius, strength * life
+  uniform int uPulseCount;
+  uniform vec3 uViewpoint; // Camera position
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec4 velWrite = texture2D(tVelocityWrite, uv);
+    vec3 vel = velWrite.w > 0.5 ? velWrite.xyz : texture2D(textureVelocity, uv).xyz;
+    if (!isActive()) {
+      gl_FragColor = vec4(vel, 0.0);
+      return;
+    }
+
+    vec3 pos = resolvePosition(uv);
+    vec4 attr = texture2D(tAttr, uv);
+    float state = attr.x;
+    float role = attr.y;
+
+    // Shockwave pulses (perspective aware: where the star appears on Z=0
+    // seen from the camera, as in ParticleSimulation)
+    float side = uViewpoint.z < 0.0 ? -1.0 : 1.0;
+    float perspectiveFactor =
+      uViewpoint.z * side / max(1.0, (uViewpoint.z - pos.z) * side);
+    vec2 apparent =
+      uViewpoint.xy + (pos.xy - uViewpoint.xy) * perspectiveFactor;
+    for (int k = 0; k < MAX_PULSES; k++) {
+      if (k >= uPulseCount) break;
+      vec4 pulse = uPulses[k];
+      vec2 d = apparent - pulse.xy;
+      float dist = length(d);
+      float diff = abs(dist - pulse.z);
+      if (diff < 70.0) {
+        float force = (1.0 - diff / 70.0) * pulse.w * uDelta;
+        float mag = dist > 0.0 ? dist : 1.0;
+        vel.xy += (d / mag) * force / perspectiveFactor;
+        vel.z += (rand(uv, 1.0 + float(k)) - 0.5) * force * 0.5;
+      }
+    }
+
+    // Chaos drift
+    if (state < 0.5) {
+      vel *= 0.992;
+      if (role > 0.5) {
+        if (dot(vel, vel) < 1600.0) {
+          vel *= 1.05;
+          vel += (rand3(uv, 20.0) - 0.5) * 5.0;
+        }
+      } else {
+        vel += (rand3(uv, 30.0) - 0.5) * 2.0;
+      }
+    }
+
+    // Recycling beyond 4000 units: aim back into the 0 - 2500 volume
+    float recycled = 0.0;
+    vec3 next = integrate(pos, vel, role);
+    if (dot(next, next) > LIMIT_SQ) {
+      vec3 spawn = spawnPosition(uv);
+      vec3 target = onSphere(uv, 50.0, rand(uv, 52.0) * 2500.0);
+      vec3 dir = target - spawn;
+      float dMag = length(dir);
+      vel = (dMag > 0.0 ? dir / dMag : dir) * (120.0 + rand(uv, 53.0) * 150.0);
+      recycled = 1.0;
+    }
+
+    gl_FragColor = vec4(vel, recycled);
+  }
+`;
+
+const positionShader = `
+  ${commonChunk}
+  uniform sampler2D tVelocityNext;
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec4 current = texture2D(texturePosition, uv);
+    vec3 pos = resolvePosition(uv);
+    if (!isActive()) {
+      gl_FragColor = vec4(pos, current.w);
+      return;
+    }
+
+    vec4 vel = texture2D(tVelocityNext, uv);
+    vec4 attr = texture2D(tAttr, uv);
+
+    vec3 next = vel.w > 0.5 ? spawnPosition(uv) : integrate(pos, vel.xyz, attr.y);
+
+    if (attr.x > 0.5 && attr.x < 1.5) {
+      // Forming: heartbeat "breath" noise
+      float beatTranslate = pow(abs(sin(uTime * BEAT_SPEED)), 60.0) * 1.5;
+      next.xy += (rand3(uv, 60.0).xy - 0.5) * (1.5 + beatTranslate);
+      next.z += (rand(uv, 62.0) - 0.5) * (2.0 + beatTranslate);
+    } else if (attr.x > 1.5) {
+      // Blooming jitter
+      next.xy += (rand3(uv, 70.0).xy - 0.5) * 2.0;
+    }
+
+    // w keeps the twinkle offset
+    gl_FragColor = vec4(next, current.w);
+  }
+`;
+
+export class GPUSimulation {
+  static isSupported(renderer) {
+    return (
+      renderer.capabilities.isWebGL2 &&
+      renderer.capabilities.maxVertexTextures > 0 &&
+      renderer.extensions.has("EXT_color_buffer_float")
+    );
+  }
+
+  // options.random seeds the per-step noise (ParticleSystem shares the
+  // simulation's, so a seeded pool steps the same on either path)
+  constructor(renderer, count, { random = Math.random } = {}) {
+    this.renderer = renderer;
+    this.count = count;
+    this.random = random;
+    this.size = Math.ceil(Math.sqrt(count));
+
+    this.gpuCompute = new GPUComputationRenderer(
+      this.size,
+      this.size,
+      renderer,
+    );
+
+    // CPU -> GPU mirrors
+    this.shapeTexture = this.gpuCompute.createTexture();
+    this.bloomTexture = this.gpuCompute.createTexture();
+    this.attrTexture = this.gpuCompute.createTexture();
+    this.positionWriteTexture = this.gpuCompute.createTexture();
+    this.velocityWriteTexture = this.gpuCompute.createTexture();
+    this.hasWrites = false;
+
+    this.pulseData = Array.from(
+      { length: MAX_PULSES },
+      () => new THREE.Vector4(),
+    );
+  }
+
+  init() {
+    const gpu = this.gpuCompute;
+
+    // Velocity is computed first; position then integrates the new velocity
+    this.velocityVariable = gpu.addVariable(
+      "textureVelocity",
+      velocityShader,
+      gpu.createTexture(),
+    );
+    this.positionVariable = gpu.addVariable(
+      "texturePosition",
+      positionShader,
+      gpu.createTexture(),
+    );
+    gpu.setVariableDependencies(this.velocityVariable, [
+      this.positionVariable,
+      this.velocityVariable,
+    ]);
+    gpu.setVariableDependencies(this.positionVariable, [
+      this.positionVariable,
+    ]);
+
+    const shared = {
+      uDelta: { value: 0 },
+      uTime: { value: 0 },
+      uSeed: { value: 0 },
+      uActiveCount: { value: this.count },
+      tShape: { value: this.shapeTexture },
+      tBloom: { value: this.bloomTexture },
+      tAttr: { value: this.attrTexture },
+      tPositionWrite: { value: this.positionWriteTexture },
+      tVelocityWrite: { value: this.velocityWriteTexture },
+    };
+    Object.assign(this.velocityVariable.material.uniforms, shared, {
+      uPulses: { value: this.pulseData },
+      uPulseCount: { value: 0 },
+      uViewpoint: { value: new THREE.Vector3(0, 0, 600) },
+    });
+    Object.assign(this.positionVariable.material.uniforms, shared, {
+      tVelocityNext: { value: null },
+    });
+
+    const error = gpu.init();
+    if (error !== null) throw new Error(error);
+  }
+
+  // Upload initial kinematics straight into both ping-pong targets
+  seed(store) {
+    const gpu = this.gpuCompute;
+    const posTexture = gpu.createTexture();
+    const velTexture = gpu.createTexture();
+    const pos = posTexture.image.data;
+    const vel = velTexture.image.data;
+
+    for (let i = 0; i < this.count; i++) {
+      pos[i * 4] = store.position[i * 3];
+      pos[i * 4 + 1] = store.position[i * 3 + 1];
+      pos[i * 4 + 2] = store.position[i * 3 + 2];
+      pos[i * 4 + 3] = store.twinkleOffset[i];
+      vel[i * 4] = store.velocity[i * 3];
+      vel[i * 4 + 1] = store.velocity[i * 3 + 1];
+      vel[i * 4 + 2] = store.velocity[i * 3 + 2];
+    }
+
+    [this.positionVariable, this.velocityVariable].forEach((variable, k) => {
+      const texture = k === 0 ? posTexture : velTexture;
+      variable.renderTargets.forEach((target) =>
+        gpu.renderTexture(texture, target),
+      );
+    });
+    posTexture.dispose();
+    velTexture.dispose();
+  }
+
+  // Copy the simulated kinematics back into the store (the CPU copy is
+  // stale in GPU mode), e.g. before the pool is resized. With `indices`,
+  // only those stars' positions.
+  readBack(store, indices = null) {
+    const size = this.size;
+    const data = new Float32Array(size * size * 4);
+    const read = (variable, target) => {
+      this.renderer.readRenderTargetPixels(
+        this.gpuCompute.getCurrentRenderTarget(variable),
+        0,
+        0,
+        size,
+        size,
+        data,
+      );
+      const copy = (i) => {
+        target[i * 3] = data[i * 4];
+        target[i * 3 + 1] = data[i * 4 + 1];
+        target[i * 3 + 2] = data[i * 4 + 2];
+      };
+      if (indices) indices.forEach(copy);
+      else for (let i = 0; i < this.count; i++) copy(i);
+    };
+    read(this.positionVariable, store.position);
+    if (!indices) read(this.velocityVariable, store.velocity);
+  }
+
+  // Mirror blend targets, state and role into the control textures
+  // (shape/bloom share the store layout, so those are straight copies)
+  sync(store) {
+    const attr = this.attrTexture.image.data;
+    this.shapeTexture.image.data.set(store.shape);
+    this.bloomTexture.image.data.set(store.bloom);
+
+    for (let i = 0; i < this.count; i++) {
+      const o = i * 4;
+      attr[o] = store.state[i];
+      attr[o + 1] = store.role[i];
+      attr[o + 2] = store.baseSize[i];
+      attr[o + 3] = store.twinkleSpeed[i];
+    }
+
+    this.shapeTexture.needsUpdate = true;
+    this.bloomTexture.needsUpdate = true;
+    this.attrTexture.needsUpdate = true;
+  }
+
+  setPosition(i, x, y, z) {
+    const data = this.positionWriteTexture.image.data;
+    data[i * 4] = x;
+    data[i * 4 + 1] = y;
+    data[i * 4 + 2] = z;
+    data[i * 4 + 3] = 1;
+    this.hasWrites = true;
+  }
+
+  setVelocity(i, vx, vy, vz) {
+    const data = this.velocityWriteTexture.image.data;
+    data[i * 4] = vx;
+    data[i * 4 + 1] = vy;
+    data[i * 4 + 2] = vz;
+    data[i * 4 + 3] = 1;
+    this.hasWrites = true;
+  }
+
+  // Capture the rendered position (with the given mixes) into the physics state
+  bake(i, shapeMix, bloomMix) {
+    const data = this.positionWriteTexture.image.data;
+    data[i * 4] = shapeMix;
+    data[i * 4 + 1] = bloomMix;
+    data[i * 4 + 3] = 2;
+    this.hasWrites = true;
+  }
+
+  // `viewpoint`: the camera position (see ParticleSimulation.viewpoint);
+  // only the first `activeCount` stars are stepped
+  update(dt, time, pulses, viewpoint, activeCount = this.count) {
+    const gpu = this.gpuCompute;
+    const velUniforms = this.velocityVariable.material.uniforms;
+    const posUniforms = this.positionVariable.material.uniforms;
+
+    const pulseCount = Math.min(pulses.length, MAX_PULSES);
+    for (let k = 0; k < pulseCount; k++) {
+      const pulse = pulses[k];
+      this.pulseData[k].set(
+        pulse.x,
+        pulse.y,
+        pulse.maxRadius * (1.0 - pulse.life),
+        pulse.strength * pulse.life,
+      );
+    }
+    velUniforms.uPulseCount.value = pulseCount;
+    velUniforms.uViewpoint.value.set(viewpoint.x, viewpoint.y, viewpoint.z);
+
+    const seed = this.random() * 1000;
+    [velUniforms, posUniforms].forEach((u) => {
+      u.uDelta.value = dt;
+      u.uTime.value = time;
+      u.uSeed.value = seed;
+      u.uActiveCount.value = activeCount;
+    });
+
+    if (this.hasWrites) {
+      this.positionWriteTexture.needsUpdate = true;
+      this.velocityWriteTexture.needsUpdate = true;
+    }
+
+    // The velocity pass renders into the alternate target first
+    posUniforms.tVelocityNext.value = gpu.getAlternateRenderTarget(
+      this.velocityVariable,
+    ).texture;
+    gpu.compute();
+
+    // Writes are one-shot: clear them for the next frame
+    if (this.hasWrites) {
+      this.positionWriteTexture.image.data.fill(0);
+      this.velocityWriteTexture.image.data.fill(0);
+      this.positionWriteTexture.needsUpdate = true;
+      this.velocityWriteTexture.needsUpdate = true;
+      this.hasWrites = false;
+    }
+  }
+
+  get positionTexture() {
+    return this.gpuCompute.getCurrentRenderTarget(this.positionVariable)
+      .texture;
+  }
+
+  dispose() {
+    this.gpuCompute.dispose();
+    [
+      this.shapeTexture,
+      this.bloomTexture,
+      this.attrTexture,
+      this.positionWriteTexture,
+      this.velocityWriteTexture,
+    ].forEach((t) => t.dispose());
+  }
+}
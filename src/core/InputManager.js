@@ -0,0 +1,359 @@
+import { systemClock } from "./Clock.js";
+import { MotionDetector } from "./MotionDetector.js";
+
+// One input subsystem for the whole experience. Pointer Events (mouse, touch
+// and pen alike), the wheel and device motion are turned into gestures and
+// routed to subscribers:
+//
+//   press / move / release  one pointer down, moving (or hovering), up
+//   tap / longpress         a short press / a still press held 500ms
+//   pinchstart / pinchend   a second pointer joined / one of the two left
+//   pinch / rotate / pan    two-pointer spread, twist and drag
+//   wheel                   wheel or trackpad scroll
+//   shake                   a shaking device, every motion sample while it
+//                           lasts (magnitude in m/s²)
+//   doubleshake / tilt / flip  the other motion gestures (MotionDetector)
+//   orientation             device orientation angles (alpha, beta, gamma)
+//
+// Subscribers run from the highest priority down; one that returns `true`
+// consumes the event and nobody below sees it. Consuming a `press` also
+// claims that pointer: it ends without a tap or long-press. A consumed
+// `wheel` has its default (page scroll / zoom) prevented.
+export const GESTURES = [
+  "press",
+  "move",
+  "release",
+  "tap",
+  "longpress",
+  "pinchstart",
+  "pinch",
+  "rotate",
+  "pan",
+  "pinchend",
+  "wheel",
+  "shake",
+  "doubleshake",
+  "tilt",
+  "flip",
+  "orientation",
+];
+
+const TAP_SLOP = 10; // px a press may wander and still be a tap
+const TAP_TIME = 300; // ms
+const LONG_PRESS_TIME = 500; // ms
+// Presses that start on page controls belong to them, not to the gestures
+const CONTROLS = "button, input, select, a, label";
+
+// Radians into [-PI, PI) so a twist across the atan2 seam stays small
+function wrapAngle(a) {
+  return a - Math.PI * 2 * Math.floor((a + Math.PI) / (Math.PI * 2));
+}
+
+export class InputManager {
+  // options.motion configures the MotionDetector (thresholds, storage)
+  constructor(
+    target = globalThis.window,
+    { clock = systemClock, motion } = {},
+  ) {
+    this.target = target;
+    this.clock = clock;
+    this.motion = new MotionDetector(motion);
+    this.handlers = new Map(); // Gesture -> [{ handler, priority }]
+    this.pointers = new Map(); // pointerId -> tracked press
+    this.pinch = null; // Two-pointer gesture in progress
+    this.longPressTimer = null;
+    this.attached = false;
+    this.motionEnabled = false;
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onPointerCancel = this.onPointerCancel.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onDeviceMotion = this.onDeviceMotion.bind(this);
+    this.onDeviceOrientation = this.onDeviceOrientation.bind(this);
+  }
+
+  // Subscribe to a gesture. Returns a function that unsubscribes.
+  on(gesture, handler, { priority = 0 } = {}) {
+    if (!GESTURES.includes(gesture)) {
+      throw new Error(`Unknown gesture "${gesture}"`);
+    }
+    const list = this.handlers.get(gesture) || [];
+    const entry = { handler, priority };
+    list.push(entry);
+    // Stable sort: equal priorities keep subscription order
+    list.sort((a, b) => b.priority - a.priority);
+    this.handlers.set(gesture, list);
+
+    return () => {
+      const index = list.indexOf(entry);
+      if (index >= 0) list.splice(index, 1);
+    };
+  }
+
+  // Route `detail` down the priority list. Returns true once consumed.
+  emit(gesture, detail) {
+    const list = this.handlers.get(gesture);
+    if (!list) return false;
+    for (const { handler } of [...list]) {
+      if (handler(detail) === true) return true;
+    }
+    return false;
+  }
+
+  attach() {
+    if (this.attached || !this.target) return this;
+    this.target.addEventListener("pointerdown", this.onPointerDown);
+    this.target.addEventListener("pointermove", this.onPointerMove);
+    this.target.addEventListener("pointerup", this.onPointerUp);
+    this.target.addEventListener("pointercancel", this.onPointerCancel);
+    this.target.addEventListener("wheel", this.onWheel, { passive: false });
+    this.attached = true;
+    return this;
+  }
+
+  // Removes every DOM listener and subscriber and forgets any gesture in
+  // progress. attach() and on() start over from scratch.
+  detach() {
+    if (this.target) {
+      this.target.removeEventListener("pointerdown", this.onPointerDown);
+      this.target.removeEventListener("pointermove", this.onPointerMove);
+      this.target.removeEventListener("pointerup", this.onPointerUp);
+      this.target.removeEventListener("pointercancel", this.onPointerCancel);
+      this.target.removeEventListener("wheel", this.onWheel);
+      this.target.removeEventListener("devicemotion", this.onDeviceMotion);
+      this.target.removeEventListener(
+        "deviceorientation",
+        this.onDeviceOrientation,
+      );
+    }
+    this.attached = false;
+    this.motionEnabled = false;
+    this.motion.reset();
+    this.clearLongPress();
+    this.pointers.clear();
+    this.pinch = null;
+    this.handlers.clear();
+  }
+
+  // --- Device motion ------------------------------------------------------
+
+  // iOS 13+ only delivers devicemotion after an explicit user-gesture prompt
+  static get needsMotionPermission() {
+    return (
+      typeof DeviceMotionEvent !== "undefined" &&
+      typeof DeviceMotionEvent.requestPermission === "function"
+    );
+  }
+
+  enableMotion() {
+    if (this.motionEnabled || !this.target) return;
+    this.target.addEventListener("devicemotion", this.onDeviceMotion);
+    this.target.addEventListener("deviceorientation", this.onDeviceOrientation);
+    this.motionEnabled = true;
+  }
+
+  // Must run inside a user gesture (click) on iOS. Resolves to whether
+  // motion events now flow.
+  async requestMotionPermission() {
+    if (InputManager.needsMotionPermission) {
+      const state = await DeviceMotionEvent.requestPermission();
+      if (state !== "granted") return false;
+      // Orientation asks on its own; without it only the camera rig idles
+      await globalThis.DeviceOrientationEvent?.requestPermission?.().catch(
+        () => "denied",
+      );
+    }
+    this.enableMotion();
+    return true;
+  }
+
+  onDeviceMotion(e) {
+    const gestures = this.motion.sample(e, this.clock.now());
+    gestures.forEach(({ type, ...detail }) => this.emit(type, detail));
+  }
+
+  // Desktop browsers without a sensor fire one event of nulls
+  onDeviceOrientation({ alpha, beta, gamma }) {
+    if (beta === null || gamma === null) return;
+    this.emit("orientation", { alpha, beta, gamma });
+  }
+
+  // --- Pointers -----------------------------------------------------------
+
+  describe(e, extra) {
+    return {
+      x: e.clientX,
+      y: e.clientY,
+      pointerType: e.pointerType || "mouse",
+      shiftKey: !!e.shiftKey,
+      ...extra,
+    };
+  }
+
+  onPointerDown(e) {
+    if (e.target?.closest?.(CONTROLS)) return;
+    const now = this.clock.now();
+    const press = {
+      id: e.pointerId,
+      x: e.clientX,
+      y: e.clientY,
+      startX: e.clientX,
+      startY: e.clientY,
+      startTime: now,
+      pointerType: e.pointerType || "mouse",
+      claimed: false,
+      tap: true, // Still a tap candidate
+      multi: false, // Part of a multi-pointer gesture: no press/release
+    };
+    this.pointers.set(e.pointerId, press);
+
+    if (this.pointers.size === 1) {
+      press.claimed = this.emit("press", this.describe(e));
+      if (!press.claimed) this.startLongPress(press, e);
+      return;
+    }
+
+    press.multi = true;
+    press.tap = false;
+    if (this.pointers.size === 2 && !this.pinch) {
+      // A second finger turns whatever the first was doing into a pinch
+      this.clearLongPress();
+      const [a, b] = this.pointers.values();
+      a.tap = false;
+      if (!a.multi) {
+        a.multi = true;
+        this.emit(
+          "release",
+          this.describe(e, {
+            x: a.x,
+            y: a.y,
+            dx: a.x - a.startX,
+            dy: a.y - a.startY,
+            cancelled: true,
+          }),
+        );
+      }
+      this.pinch = {
+        ids: [a.id, b.id],
+        startDistance: Math.hypot(b.x - a.x, b.y - a.y),
+        startAngle: Math.atan2(b.y - a.y, b.x - a.x),
+        startCenter: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      };
+      this.emit("pinchstart", this.pinchDetail(e));
+    }
+  }
+
+  onPointerMove(e) {
+    const press = this.pointers.get(e.pointerId);
+    if (!press) {
+      // Hover (mouse or pen without contact)
+      if (this.pointers.size === 0) {
+        this.emit("move", this.describe(e, { pressed: false, dx: 0, dy: 0 }));
+      }
+      return;
+    }
+
+    press.x = e.clientX;
+    press.y = e.clientY;
+    const dx = press.x - press.startX;
+    const dy = press.y - press.startY;
+    if (Math.hypot(dx, dy) > TAP_SLOP) {
+      press.tap = false;
+      this.clearLongPress();
+    }
+
+    if (this.pinch) {
+      if (!this.pinch.ids.includes(press.id)) return;
+      const detail = this.pinchDetail(e);
+      this.emit("pinch", detail);
+      this.emit("rotate", detail);
+      this.emit("pan", detail);
+    } else if (this.pointers.size === 1) {
+      this.emit("move", this.describe(e, { pressed: true, dx, dy }));
+    }
+  }
+
+  onPointerUp(e) {
+    this.endPointer(e, false);
+  }
+
+  onPointerCancel(e) {
+    this.endPointer(e, true);
+  }
+
+  endPointer(e, cancelled) {
+    const press = this.pointers.get(e.pointerId);
+    if (!press) return;
+    this.pointers.delete(e.pointerId);
+
+    if (this.pinch && this.pinch.ids.includes(press.id)) {
+      this.emit("pinchend", this.pinchDetail(e, press));
+      this.pinch = null;
+    }
+    if (press.multi) return; // Fingers of a pinch never release or tap
+
+    this.clearLongPress();
+    const detail = this.describe(e, {
+      dx: press.x - press.startX,
+      dy: press.y - press.startY,
+      cancelled,
+    });
+    this.emit("release", detail);
+
+    const held = this.clock.now() - press.startTime;
+    if (!cancelled && !press.claimed && press.tap && held <= TAP_TIME) {
+      this.emit("tap", detail);
+    }
+  }
+
+  // Distance, angle and midpoint of the two pinching pointers relative to
+  // where the pinch started. `ended` stands in for a pointer just lifted.
+  pinchDetail(e, ended = null) {
+    const [a, b] = this.pinch.ids.map(
+      (id) => this.pointers.get(id) || ended,
+    );
+    const distance = Math.hypot(b.x - a.x, b.y - a.y);
+    const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const { startDistance, startAngle, startCenter } = this.pinch;
+    return {
+      x: center.x,
+      y: center.y,
+      pointerType: e.pointerType || "touch",
+      shiftKey: !!e.shiftKey,
+      distance,
+      startDistance,
+      scale: startDistance > 0 ? distance / startDistance : 1,
+      rotation: wrapAngle(Math.atan2(b.y - a.y, b.x - a.x) - startAngle),
+      dx: center.x - startCenter.x,
+      dy: center.y - startCenter.y,
+    };
+  }
+
+  startLongPress(press, e) {
+    this.clearLongPress();
+    const detail = this.describe(e);
+    this.longPressTimer = setTimeout(() => {
+      this.longPressTimer = null;
+      if (this.pointers.get(press.id) !== press || !press.tap) return;
+      press.tap = false; // A long-press is not also a tap
+      press.claimed = this.emit("longpress", detail) || press.claimed;
+    }, LONG_PRESS_TIME);
+  }
+
+  clearLongPress() {
+    clearTimeout(this.longPressTimer);
+    this.longPressTimer = null;
+  }
+
+  // --- Wheel --------------------------------------------------------------
+
+  onWheel(e) {
+    const consumed = this.emit(
+      "wheel",
+      this.describe(e, { pointerType: "mouse", deltaY: e.deltaY }),
+    );
+    if (consumed && e.preventDefault) e.preventDefault();
+  }
+}
@@ -0,0 +1,323 @@
+const GRAVITY = 9.81;
+const STORAGE_KEY = "particle-magic-motion"; // { scale, noise }
+const X_AXIS = { x: 1, y: 0, z: 0 };
+
+// Device motion in, motion gestures out:
+//
+//   shake        { magnitude, frequency, jerk }  every sample while it lasts
+//   doubleshake  {}                   a short shake, a pause, another shake
+//   tilt         { direction, angle } held away from the rest orientation;
+//                direction is "left" | "right" | "forward" | "back"
+//   flip         { faceDown }         the screen turned down, or back up
+//
+// Gravity is the sensor's own split where it reports both readings, else a
+// low-pass over accelerationIncludingGravity; what is left is the hand. So a
+// phone held upright reads as still, whatever axis gravity falls on.
+//
+// A shake needs all of: enough force, direction reversals at hand frequency
+// and a sharp jerk. Steps are too slow and soft and a bump never reverses,
+// so neither passes.
+//
+// The first second the phone lies still calibrates it: the sensor's scale
+// (gravity should read 9.81) and its noise floor, which raises the
+// thresholds on noisy sensors. The result is kept per device.
+//
+// Headless: samples are DeviceMotionEvent-shaped and timed by the caller
+// (InputManager), so tests can drive it.
+export class MotionDetector {
+  constructor({
+    storage = globalThis.localStorage,
+    gravityTime = 200, // ms, low-pass time constant
+    startLevel = 8, // m/s², the peak that starts a shake
+    sustainLevel = 3, // m/s², reversals this strong keep one going
+    minReversals = 3,
+    minHz = 2.5,
+    maxHz = 12,
+    minJerk = 100, // m/s³, averaged over the window
+    windowMs = 800,
+    quietMs = 250, // A shake ends this long after its last reversal
+    doubleShakeMs = 600, // Longest first shake, and pause, of a double
+    tiltAngle = 35, // Degrees from rest
+    tiltHoldMs = 250,
+    settleMs = 1500, // Held still this long, an orientation becomes rest
+    calibrationMs = 1000,
+  } = {}) {
+    this.storage = storage;
+    Object.assign(this, {
+      gravityTime,
+      startLevel,
+      sustainLevel,
+      minReversals,
+      minHz,
+      maxHz,
+      minJerk,
+      windowMs,
+      quietMs,
+      doubleShakeMs,
+      tiltAngle,
+      tiltHoldMs,
+      settleMs,
+      calibrationMs,
+    });
+    this.calibration = this.load(); // { scale, noise }, null until measured
+    this.reset();
+  }
+
+  // Forget the motion in progress (not the calibration)
+  reset() {
+    this.lastTime = null;
+    this.gravity = null; // Raw sensor units
+    this.lastLinear = null;
+    this.calm = null; // Calibration sums while the phone lies still
+    this.clearShake();
+    this.shake = null; // { start, lastActive } while shaking
+    this.lastShake = null; // { start, end } of the previous one
+    this.rest = null; // Unit gravity of the rest orientation
+    this.steady = null; // { direction, since }: settling somewhere new
+    this.tiltSince = null;
+    this.tilted = false;
+    this.faceDown = null;
+  }
+
+  // Measure the sensor again (e.g. a reading from another device got in)
+  recalibrate() {
+    this.calibration = null;
+    this.calm = null;
+    try {
+      this.storage?.removeItem(STORAGE_KEY);
+    } catch {
+      // Storage blocked: nothing was kept either
+    }
+  }
+
+  // One devicemotion event at `time` ms. Returns the gestures it completed.
+  sample({ acceleration, accelerationIncludingGravity }, time) {
+    const total = readVector(accelerationIncludingGravity);
+    let linear = readVector(acceleration);
+    if (!total && !linear) return [];
+    const dt =
+      this.lastTime === null ? 16 : clamp(time - this.lastTime, 1, 100);
+    this.lastTime = time;
+
+    if (total && linear) {
+      this.gravity = subtract(total, linear);
+    } else if (total) {
+      const k = this.gravity ? 1 - Math.exp(-dt / this.gravityTime) : 1;
+      this.gravity = mix(this.gravity ?? total, total, k);
+      linear = subtract(total, this.gravity);
+    }
+    if (!this.calibration) this.collectCalibration(total, linear, time);
+
+    const scale = this.calibration?.scale ?? 1;
+    const hand = multiply(linear, scale);
+    const gestures = [];
+    this.detectShake(hand, dt, time, gestures);
+    if (this.gravity) this.detectOrientation(hand, time, gestures);
+    return gestures;
+  }
+
+  // Thresholds, raised above the sensor's noise floor
+  get levels() {
+    const noise = this.calibration?.noise ?? 0;
+    return {
+      start: Math.max(this.startLevel, noise * 10),
+      sustain: Math.max(this.sustainLevel, noise * 6),
+    };
+  }
+
+  detectShake(hand, dt, time, gestures) {
+    const { start, sustain } = this.levels;
+    const jerk = this.lastLinear
+      ? length(subtract(hand, this.lastLinear)) / (dt / 1000)
+      : 0;
+    this.lastLinear = hand;
+    this.window.push({ time, magnitude: length(hand), jerk });
+
+    // Reversals: an axis swinging past the sustain level the other way
+    [hand.x, hand.y, hand.z].forEach((v, k) => {
+      if (Math.abs(v) < sustain) return;
+      const sign = Math.sign(v);
+      if (this.signs[k] !== 0 && sign !== this.signs[k]) {
+        this.reversals[k].push(time);
+      }
+      this.signs[k] = sign;
+    });
+    const since = time - this.windowMs;
+    this.window = this.window.filter((s) => s.time >= since);
+    this.reversals = this.reversals.map((r) => r.filter((t) => t >= since));
+
+    const times = this.reversals.reduce((a, b) =>
+      b.length > a.length ? b : a,
+    );
+    const lastReversal = Math.max(...this.reversals.map((r) => r.at(-1) ?? 0));
+    const frequency =
+      times.length > 1
+        ? (times.length - 1) / 2 / ((times.at(-1) - times[0]) / 1000)
+        : 0;
+    const magnitude = Math.max(...this.window.map((s) => s.magnitude));
+    // Jerk across the swings, not the calm before them
+    const swings = this.window.filter((s) => s.time >= (times[0] ?? since));
+    const meanJerk =
+      swings.reduce((sum, s) => sum + s.jerk, 0) / (swings.length || 1);
+
+    if (!this.shake) {
+      if (
+        magnitude >= start &&
+        times.length >= this.minReversals &&
+        frequency >= this.minHz &&
+        frequency <= this.maxHz &&
+        meanJerk >= this.minJerk
+      ) {
+        this.shake = { start: times[0], lastActive: lastReversal };
+        const last = this.lastShake;
+        if (
+          last &&
+          last.end - last.start <= this.doubleShakeMs &&
+          times[0] - last.end <= this.doubleShakeMs
+        ) {
+          gestures.push({ type: "doubleshake" });
+          this.lastShake = null; // A third shake starts a new pair
+        }
+      } else {
+        return;
+      }
+    }
+
+    this.shake.lastActive = Math.max(this.shake.lastActive, lastReversal);
+    if (time - this.shake.lastActive > this.quietMs) {
+      this.lastShake = { start: this.shake.start, end: this.shake.lastActive };
+      this.shake = null;
+      this.clearShake();
+      return;
+    }
+    gestures.push({ type: "shake", magnitude, frequency, jerk: meanJerk });
+  }
+
+  clearShake() {
+    this.window = [];
+    this.reversals = [[], [], []]; // Times, per axis
+    this.signs = [0, 0, 0];
+  }
+
+  // Tilt and flip read the gravity direction, so only while the hand is
+  // calm: a shake swings the low-pass estimate around
+  detectOrientation(hand, time, gestures) {
+    const calmAfter = (this.lastShake?.end ?? -Infinity) + this.settleMs / 3;
+    if (this.shake || time < calmAfter) return;
+    if (length(hand) > this.levels.sustain) return;
+    const g = normalize(this.gravity);
+
+    // W3C axes: x to the right edge, y to the top, z out of the screen
+    // (some older iOS builds report them negated)
+    const faceDown = g.z < -0.7 ? true : g.z > 0.3 ? false : this.faceDown;
+    if (this.faceDown !== null && faceDown !== this.faceDown) {
+      gestures.push({ type: "flip", faceDown });
+      this.rest = null; // Settle again before the next tilt
+      this.tiltSince = null;
+    }
+    this.faceDown = faceDown;
+
+    // Wherever the phone stays put becomes the rest orientation
+    if (!this.steady || angle(g, this.steady.direction) > 5) {
+      this.steady = { direction: g, since: time };
+    } else if (time - this.steady.since >= this.settleMs) {
+      this.rest = this.steady.direction;
+      this.tilted = false;
+    }
+    if (!this.rest || this.faceDown) return;
+
+    const away = angle(g, this.rest);
+    if (away < this.tiltAngle * 0.6) {
+      this.tilted = false;
+      this.tiltSince = null;
+    } else if (away < this.tiltAngle || this.tilted) {
+      this.tiltSince = null;
+    } else {
+      this.tiltSince ??= time;
+      if (time - this.tiltSince >= this.tiltHoldMs) {
+        this.tilted = true;
+        gestures.push({
+          type: "tilt",
+          direction: tiltDirection(this.rest, g),
+          angle: away,
+        });
+      }
+    }
+  }
+
+  // Sums the still readings; after `calibrationMs` of stillness they become
+  // the calibration
+  collectCalibration(total, linear, time) {
+    if (length(linear) > 1) {
+      this.calm = null; // Moving: start over
+      return;
+    }
+    this.calm ??= { since: time, count: 0, gravity: 0, power: 0 };
+    const calm = this.calm;
+    calm.count++;
+    calm.gravity += total ? length(total) : GRAVITY;
+    calm.power += length(linear) ** 2;
+    if (time - calm.since < this.calibrationMs || calm.count < 10) return;
+
+    const gravity = calm.gravity / calm.count;
+    const scale = gravity > 0.5 && gravity < 30 ? GRAVITY / gravity : 1;
+    this.calibration = {
+      scale,
+      noise: Math.sqrt(calm.power / calm.count) * scale,
+    };
+    this.rest ??= this.gravity && normalize(this.gravity);
+    this.save();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+      return saved?.scale > 0 && saved.noise >= 0 ? saved : null;
+    } catch {
+      return null; // Storage blocked or garbled: measure again
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.calibration));
+    } catch {
+      // Storage blocked (private mode): measured again next visit
+    }
+  }
+}
+
+// Which way the phone rotated from `rest` to `g`: about its x axis (the top
+// edge dipping or rising) or about the axis across the screen from it
+function tiltDirection(rest, g) {
+  const axis = cross(rest, g);
+  const pitch = dot(axis, X_AXIS);
+  const roll = dot(axis, cross(rest, X_AXIS));
+  if (Math.abs(roll) > Math.abs(pitch)) return roll < 0 ? "right" : "left";
+  return pitch > 0 ? "forward" : "back";
+}
+
+function readVector(v) {
+  return v && typeof v.x === "number"
+    ? { x: v.x, y: v.y ?? 0, z: v.z ?? 0 }
+    : null;
+}
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const multiply = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
+const mix = (a, b, k) => ({
+  x: a.x + (b.x - a.x) * k,
+  y: a.y + (b.y - a.y) * k,
+  z: a.z + (b.z - a.z) * k,
+});
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x,
+});
+const normalize = (v) => multiply(v, 1 / (length(v) || 1));
+// Degrees between two unit vectors
+const angle = (a, b) => (Math.acos(clamp(dot(a, b), -1, 1)) * 180) / Math.PI;
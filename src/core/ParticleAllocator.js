@@ -0,0 +1,211 @@
+// Hands out groups of stars to features. A feature asks for N particles,
+// gets a lease back and returns it when done, so no two features ever drive
+// the same star and none of them hard-codes an index range.
+//
+// Leases carry a priority. When the free stars run short, a request takes
+// whole leases from lower-priority owners (the lowest and newest first);
+// their `onRevoke(lease)` runs so they stop touching what they lost. When
+// the pool shrinks under a lease, `onShrink(lease, lost)` lets it carry on
+// with the stars left (leases without one are revoked instead).
+export class ParticleLease {
+  constructor(allocator, id, { owner, priority, onRevoke, onShrink }) {
+    this.allocator = allocator;
+    this.id = id;
+    this.owner = owner;
+    this.priority = priority;
+    this.onRevoke = onRevoke;
+    this.onShrink = onShrink;
+    this.indices = []; // Particle indices, in the order they were granted
+    this.active = true;
+  }
+
+  get size() {
+    return this.indices.length;
+  }
+
+  // Ask for `count` more stars (without preempting anyone). Returns the
+  // indices added, possibly fewer than asked.
+  grow(count) {
+    if (!this.active) return [];
+    const added = this.allocator.take(this, count);
+    added.forEach((i) => this.indices.push(i));
+    return added;
+  }
+
+  // Give some stars back early
+  shrink(indices) {
+    if (!this.active) return;
+    const dropped = new Set();
+    indices.forEach((i) => {
+      if (this.allocator.owners[i] === this.id) {
+        this.allocator.owners[i] = 0;
+        dropped.add(i);
+      }
+    });
+    this.indices = this.indices.filter((i) => !dropped.has(i));
+  }
+
+  release() {
+    if (!this.active) return;
+    this.allocator.end(this);
+  }
+}
+
+export class ParticleAllocator {
+  constructor(count) {
+    this.owners = new Int32Array(count); // Lease id per star (0 = free)
+    this.eligible = new Uint8Array(count); // Stars reset() made leasable
+    this.leasable = new Uint8Array(count); // ...and below the limit()
+    this.limitCount = count;
+    this.leases = new Map(); // id -> ParticleLease
+    this.nextId = 1;
+  }
+
+  // Only `indices` can be leased (the shape stars; background stars stay
+  // ambient). Every outstanding lease is revoked.
+  reset(indices) {
+    [...this.leases.values()].forEach((lease) => this.revoke(lease));
+    this.eligible.fill(0);
+    indices.forEach((i) => (this.eligible[i] = 1));
+    this.applyLimit();
+  }
+
+  // Only stars below `count` can be leased (the rest are switched off, see
+  // ParticleSimulation.setActiveCount). Leases holding a star at or above
+  // it are revoked whole; returns the stars they held.
+  limit(count) {
+    this.limitCount = count;
+    const cut = [...this.leases.values()].filter((lease) =>
+      lease.indices.some((i) => i >= count),
+    );
+    const stars = cut.flatMap((lease) => lease.indices);
+    cut.forEach((lease) => this.revoke(lease));
+    this.applyLimit();
+    return stars;
+  }
+
+  // Whether star `i` may be leased at all (a shape star). Stars it takes
+  // away stay with their current lease until it ends.
+  setEligible(i, eligible) {
+    this.eligible[i] = eligible ? 1 : 0;
+    this.leasable[i] = eligible && i < this.limitCount ? 1 : 0;
+  }
+
+  // Grow or shrink to `count` stars (new ones are not eligible until
+  // setEligible). Leases that held cut stars either shrink (onShrink) or
+  // are revoked; returns the stars the revoked ones still had below `count`.
+  resize(count) {
+    const previous = this.owners.length;
+    const cut = [...this.leases.values()].filter((lease) =>
+      lease.indices.some((i) => i >= count),
+    );
+    const shrunk = [];
+    const orphans = [];
+    cut.forEach((lease) => {
+      const lost = lease.indices.filter((i) => i >= count);
+      if (lease.onShrink) {
+        lease.indices = lease.indices.filter((i) => i < count);
+        shrunk.push([lease, lost]);
+      } else {
+        orphans.push(...lease.indices.filter((i) => i < count));
+        this.revoke(lease);
+      }
+    });
+
+    ["owners", "eligible", "leasable"].forEach((name) => {
+      const next = new this[name].constructor(count);
+      next.set(this[name].subarray(0, Math.min(count, previous)));
+      this[name] = next;
+    });
+    // A pool running in full stays in full
+    this.limitCount =
+      this.limitCount >= previous ? count : Math.min(this.limitCount, count);
+    this.applyLimit();
+
+    shrunk.forEach(([lease, lost]) => lease.onShrink(lease, lost));
+    return orphans;
+  }
+
+  applyLimit() {
+    for (let i = 0; i < this.leasable.length; i++) {
+      this.leasable[i] = this.eligible[i] && i < this.limitCount ? 1 : 0;
+    }
+  }
+
+  get free() {
+    let free = 0;
+    for (let i = 0; i < this.owners.length; i++) {
+      if (this.leasable[i] && this.owners[i] === 0) free++;
+    }
+    return free;
+  }
+
+  isLeased(i) {
+    return this.owners[i] !== 0;
+  }
+
+  ownerOf(i) {
+    return this.leases.get(this.owners[i]) || null;
+  }
+
+  // options: { owner, priority = 0, partial = true, onRevoke, onShrink }.
+  // With `partial: false` the request fails (null) unless all `count` fit.
+  lease(count, options = {}) {
+    const { owner = "anonymous", priority = 0, partial = true } = options;
+    if (!(count >= 0)) throw new Error(`Invalid lease size "${count}"`);
+
+    // Lower-priority leases this request may take, cheapest first
+    const victims = [...this.leases.values()]
+      .filter((lease) => lease.priority < priority)
+      .sort((a, b) => a.priority - b.priority || b.id - a.id);
+
+    let available = this.free;
+    const taken = [];
+    for (const victim of victims) {
+      if (available >= count) break;
+      taken.push(victim);
+      available += victim.size;
+    }
+    if (!partial && available < count) return null;
+    taken.forEach((victim) => this.revoke(victim));
+
+    const lease = new ParticleLease(this, this.nextId++, {
+      owner,
+      priority,
+      onRevoke: options.onRevoke,
+      onShrink: options.onShrink,
+    });
+    this.leases.set(lease.id, lease);
+    lease.indices = this.take(lease, count);
+    return lease;
+  }
+
+  // Claim up to `count` free stars for `lease`, lowest indices first
+  take(lease, count) {
+    const out = [];
+    for (let i = 0; i < this.owners.length && out.length < count; i++) {
+      if (this.leasable[i] && this.owners[i] === 0) {
+        this.owners[i] = lease.id;
+        out.push(i);
+      }
+    }
+    return out;
+  }
+
+  end(lease) {
+    lease.indices.forEach((i) => {
+      if (this.owners[i] === lease.id) this.owners[i] = 0;
+    });
+    lease.indices = [];
+    lease.active = false;
+    this.leases.delete(lease.id);
+  }
+
+  revoke(lease) {
+    const indices = lease.indices;
+    this.end(lease);
+    lease.indices = indices; // Still readable inside onRevoke
+    if (lease.onRevoke) lease.onRevoke(lease);
+    lease.indices = [];
+  }
+}
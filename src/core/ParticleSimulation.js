@@ -0,0 +1,486 @@
+import { systemClock } from "./Clock.js";
+import { ParticleAllocator } from "./ParticleAllocator.js";
+import { ParticleStore, ROLE, STATE } from "./ParticleStore.js";
+
+// The heartbeat: sin(time * BEAT_SPEED) in simulation time, peaking at the
+// top of every beat. The shaders and the haptic heartbeat follow it too.
+export const BEAT_SPEED = 3.0;
+
+// Headless CPU simulation of the star pool: pool layout, physics, pulses,
+// recycling and tint fades, written into plain typed arrays. No Three.js and
+// no DOM, so it runs (and is tested) under Node. ParticleSystem renders it,
+// or hands the physics to GPUSimulation on capable desktops.
+export class ParticleSimulation {
+  constructor({
+    count,
+    isMobile = false,
+    shapeRatio = 0.7,
+    random = Math.random,
+    clock = systemClock,
+  }) {
+    this.isMobile = isMobile;
+    this.shapeRatio = shapeRatio; // Share of stars features can lease
+    this.random = random;
+    this.clock = clock;
+    this.startTime = clock.now();
+
+    this.store = new ParticleStore(count);
+    this.allocator = new ParticleAllocator(count);
+    this.scratch = [0, 0, 0];
+
+    // Render output (blended positions and point sizes)
+    this.renderPositions = new Float32Array(count * 3);
+    this.sizes = new Float32Array(count);
+
+    this.tintFadeDuration = 1.2; // Seconds for a released star to regain its color
+    this.colorFade = null; // Theme change: { from, to, elapsed, duration }
+
+    // Stars past activeCount are switched off: not stepped (nor drawn)
+    this.activeCount = count;
+
+    // Phase 65: Interaction Pulses (Shockwaves)
+    this.pulses = [];
+    this.maxPulses = 10; // Oldest dropped first
+    this.lastMX = -9999;
+    this.lastMY = -9999;
+    // Where the camera is: stars are pushed where they appear on the z=0
+    // plane from there (ParticleSystem.setViewpoint keeps it current)
+    this.viewpoint = { x: 0, y: 0, z: 600 };
+  }
+
+  // Animation time in the units the shaders and twinkle speeds expect
+  get time() {
+    return (this.clock.now() - this.startTime) * 0.002;
+  }
+
+  createPool(count = this.store.count) {
+    // Shape stars (70% by default) are leased out to features; background
+    // stars only ever drift. The roles interleave evenly, so the first N
+    // stars (a quality tier's share, see setActiveCount) keep the same mix.
+    const leasable = [];
+
+    for (let i = 0; i < count; i++) {
+      const role =
+        this.shapesUpTo(i + 1) > this.shapesUpTo(i)
+          ? ROLE.SHAPE
+          : ROLE.BACKGROUND;
+      if (role === ROLE.SHAPE) leasable.push(i);
+      this.spawn(i, role);
+    }
+    this.allocator.reset(leasable);
+  }
+
+  // How many of the first `count` stars the shape ratio makes shape stars
+  shapesUpTo(count) {
+    return Math.round(count * this.shapeRatio);
+  }
+
+  // A fresh star in chaos: background stars on the inner shell drifting
+  // in, shape stars further out with a random impulse
+  spawn(i, role) {
+    const store = this.store;
+    const isMobile = this.isMobile;
+
+    // Initial positions for background stars (Atmosphere)
+    let rx = 0,
+      ry = 0,
+      rz = 0;
+    let vx = 0,
+      vy = 0,
+      vz = 0;
+
+    if (role === ROLE.BACKGROUND) {
+      const radius = 600 + this.random() * 1200; // Closer range for better density
+      const theta = this.random() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random() - 1);
+      rx = radius * Math.sin(phi) * Math.cos(theta);
+      ry = radius * Math.sin(phi) * Math.sin(theta);
+      rz = radius * Math.cos(phi);
+
+      // Initial inward drift - Brisk movement (Phase 56)
+      const speed = 120 + this.random() * 100;
+      vx = -(rx / radius) * speed;
+      vy = -(ry / radius) * speed;
+      vz = -(rz / radius) * speed;
+    } else {
+      // Shape stars start in chaos with a vibrant random drift
+      const radius = 1000 + this.random() * 1000;
+      const theta = this.random() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random() - 1);
+      rx = radius * Math.sin(phi) * Math.cos(theta);
+      ry = radius * Math.sin(phi) * Math.sin(theta);
+      rz = radius * Math.cos(phi);
+
+      const impulse = 120 + this.random() * 80;
+      const angle = this.random() * Math.PI * 2;
+      vx = Math.cos(angle) * impulse;
+      vy = Math.sin(angle) * impulse;
+      vz = (this.random() - 0.5) * impulse;
+    }
+
+    store.setPosition(i, rx, ry, rz);
+    store.setVelocity(i, vx, vy, vz);
+    store.role[i] = role;
+    store.state[i] = STATE.CHAOS;
+    store.baseSize[i] = isMobile
+      ? this.random() * 12 + 8
+      : this.random() * 8 + 4; // Half size on Desktop
+    store.twinkleSpeed[i] = this.random() * 0.05 + 0.01;
+    store.twinkleOffset[i] = this.random() * Math.PI * 2;
+    store.setBloomTarget(i, 0, 0, 0);
+    store.setBloomMix(i, 0);
+    // Shape Formation Blending
+    store.setShapeTarget(i, rx, ry, rz);
+    store.setShapeMix(i, 0);
+    store.setTintMix(i, 0);
+  }
+
+  // See ParticleAllocator.lease()
+  lease(count, options) {
+    return this.allocator.lease(count, options);
+  }
+
+  // Run only the first `count` stars (a quality tier's share of the pool).
+  // Leases that held a star past it are revoked and all their stars go back
+  // to chaos through `release` (ParticleSystem passes its own, which also
+  // bakes them on the GPU), so no shape is left half-formed.
+  setActiveCount(count, release = (i) => this.release(i, 0, 0, 0)) {
+    const active = Math.max(0, Math.min(this.store.count, Math.round(count)));
+    if (active === this.activeCount) return false;
+    this.activeCount = active;
+    this.allocator.limit(active).forEach(release);
+    return true;
+  }
+
+  // Grow or shrink the pool to `count` stars at runtime. Surviving stars
+  // keep their state; new ones spawn in chaos with roles that restore the
+  // shape ratio, and on a shrink the highest free shape stars retire to the
+  // background for the same reason. Leases are trimmed or revoked (see
+  // ParticleAllocator.resize); stars of revoked ones go back to chaos.
+  resize(count) {
+    const previous = this.store.count;
+    if (count === previous) return false;
+    if (this.colorFade) this.fadeColors(Infinity); // Land a theme fade
+
+    const orphans = this.allocator.resize(count);
+    this.store.resize(count);
+    this.renderPositions = resized(this.renderPositions, count * 3);
+    this.sizes = resized(this.sizes, count);
+    this.activeCount =
+      this.activeCount >= previous ? count : Math.min(this.activeCount, count);
+
+    const { role } = this.store;
+    const shapeTarget = this.shapesUpTo(count);
+    let shapes = 0;
+    for (let i = 0; i < Math.min(previous, count); i++) {
+      if (role[i] === ROLE.SHAPE) shapes++;
+    }
+    for (let i = previous; i < count; i++) {
+      const isShape = shapes < this.shapesUpTo(i + 1); // Interleaved too
+      if (isShape) shapes++;
+      this.spawn(i, isShape ? ROLE.SHAPE : ROLE.BACKGROUND);
+      this.allocator.setEligible(i, isShape);
+    }
+    for (let i = count - 1; i >= 0 && shapes > shapeTarget; i--) {
+      if (role[i] !== ROLE.SHAPE || this.allocator.isLeased(i)) continue;
+      role[i] = ROLE.BACKGROUND;
+      this.allocator.setEligible(i, false);
+      shapes--;
+    }
+
+    orphans.forEach((i) => this.release(i, 0, 0, 0));
+    return true;
+  }
+
+  // Resolve the full visual hierarchy (Base -> Shape -> Bloom) into the
+  // physical position, drop every blend and hand the particle back to chaos
+  release(i, vx, vy, vz) {
+    const store = this.store;
+    const out = store.getRenderPosition(i, this.scratch);
+    store.setPosition(i, out[0], out[1], out[2]);
+    store.setBloomMix(i, 0);
+    store.setShapeMix(i, 0);
+    store.state[i] = STATE.CHAOS; // Its tint fades out in fadeTints()
+    store.setVelocity(i, vx, vy, vz);
+  }
+
+  // Released stars ease from their shape color back to their own color, the
+  // reverse of the tint tween the controllers run while forming
+  fadeTints(dt) {
+    const { tint, state } = this.store;
+    const step = dt / this.tintFadeDuration;
+    let fading = false;
+
+    for (let i = 0; i < this.store.count; i++) {
+      const m = i * 4 + 3;
+      if (tint[m] === 0 || state[i] !== STATE.CHAOS) continue;
+      tint[m] = Math.max(0, tint[m] - step);
+      fading = true;
+    }
+    return fading;
+  }
+
+  // Cross-fade every star's own color to `colors` (rgb per star) over
+  // `duration` seconds of fadeColors() steps; 0 sets them at once
+  recolor(colors, duration = 0) {
+    const { color } = this.store;
+    if (colors.length !== color.length) {
+      const [want, got] = [color.length / 3, colors.length / 3];
+      throw new Error(`Expected ${want} star colors, got ${got}`);
+    }
+    if (!(duration > 0)) {
+      color.set(colors);
+      this.colorFade = null;
+      return;
+    }
+    this.colorFade = { from: color.slice(), to: colors, elapsed: 0, duration };
+  }
+
+  // Returns whether the colors changed
+  fadeColors(dt) {
+    const fade = this.colorFade;
+    if (!fade) return false;
+    fade.elapsed += dt;
+    const t = Math.min(1, fade.elapsed / fade.duration);
+    const { color } = this.store;
+    for (let k = 0; k < color.length; k++) {
+      color[k] = fade.from[k] + (fade.to[k] - fade.from[k]) * t;
+    }
+    if (t === 1) this.colorFade = null;
+    return true;
+  }
+
+  // Age the pulses, and drop a small one wherever the pointer (world units
+  // at z=0, or -9999 when absent) has moved far enough
+  updatePulses(dt, mX = -9999, mY = -9999) {
+    // Update and prune pulses
+    this.pulses.forEach((p) => (p.life -= dt * 1.5)); // Fast decay
+    this.pulses = this.pulses.filter((p) => p.life > 0);
+
+    // Auto-Pulse for Desktop Hover (Transient Magic Trail)
+    if (mX > -9000) {
+      // Phase 70: Movement-based Pulsing
+      // Only spawn a pulse if the mouse has moved significantly (threshold 10 units)
+      const moveDist = Math.hypot(mX - this.lastMX, mY - this.lastMY);
+      if (moveDist > 10) {
+        this.addPulse(mX, mY, 100, 180); // Slightly stronger but only on move
+        this.lastMX = mX;
+        this.lastMY = mY;
+      }
+    }
+  }
+
+  step(dt, time) {
+    const random = this.random;
+    const renderPositions = this.renderPositions;
+    const sizes = this.sizes;
+    const { position, velocity, shape, bloom, state, role } = this.store;
+    const { baseSize, twinkleSpeed, twinkleOffset } = this.store;
+
+    // Heartbeat "breath" for forming shapes (shared by every particle)
+    const beatTranslate = Math.pow(Math.sin(time * BEAT_SPEED), 60) * 1.5;
+
+    // HEARTBEAT LOGIC (Soft Glow)
+    // Pulse speed: ~1.2 beats per second (72 BPM)
+    // Use simple Sin wave for "Soft" beat, not sharp Pow
+    const beat = Math.sin(time * BEAT_SPEED) * 0.5 + 0.5; // Range 0.0 -> 1.0, smooth
+    const beatScale = 1.0 + beat * 0.15; // 1.0 -> 1.15 (15% max increase - Very Soft)
+    const { x: cx, y: cy, z: cz } = this.viewpoint;
+    const side = cz < 0 ? -1 : 1; // The camera may look from behind the plane
+
+    for (let i = 0; i < this.activeCount; i++) {
+      const i3 = i * 3;
+      const i4 = i * 4;
+      let x = position[i3];
+      let y = position[i3 + 1];
+      let z = position[i3 + 2];
+      let vx = velocity[i3];
+      let vy = velocity[i3 + 1];
+      let vz = velocity[i3 + 2];
+      const s = state[i];
+      const isBackground = role[i] === ROLE.BACKGROUND;
+
+      // STATE JITTER: Energy noise while a shape or bloom holds the particle
+      if (s === STATE.FORMING) {
+        x += (random() - 0.5) * (1.5 + beatTranslate);
+        y += (random() - 0.5) * (1.5 + beatTranslate);
+        z += (random() - 0.5) * (2 + beatTranslate);
+      } else if (s === STATE.BLOOMING) {
+        x += (random() - 0.5) * 2;
+        y += (random() - 0.5) * 2;
+      }
+
+      // Phase 65/68: Shockwave Pulse Processing (Perspective Aware)
+      // Project particle world position to its apparent position on Z=0:
+      // along the ray from the camera, scaled by its distance to the plane
+      // over the star's (600 / (600 - z) from the home camera)
+      const perspectiveFactor = (cz * side) / Math.max(1, (cz - z) * side);
+      for (let k = 0; k < this.pulses.length; k++) {
+        const pulse = this.pulses[k];
+        const dx = cx + (x - cx) * perspectiveFactor - pulse.x;
+        const dy = cy + (y - cy) * perspectiveFactor - pulse.y;
+
+        // Shockwave shell (Expanding ring)
+        const age = 1.0 - pulse.life; // 0 -> 1
+        const currentRadius = pulse.maxRadius * age;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        // Define a shell thickness (e.g., 60 units)
+        const thickness = 70; // Slightly increased for Phase 68
+        const diff = Math.abs(dist - currentRadius);
+
+        if (diff < thickness) {
+          // Phase 70: Soft Shell falloff (prevents "solid wall" feel)
+          const shellFalloff = 1.0 - diff / thickness;
+          const force = shellFalloff * pulse.strength * pulse.life * dt;
+          const mag = dist || 1;
+
+          // Apply push in world space, adjusted for perspective to look consistent
+          vx += (dx / mag) * force * (1 / perspectiveFactor);
+          vy += (dy / mag) * force * (1 / perspectiveFactor);
+
+          // Phase 68: Add a tiny Z-kick to make it feel 3D
+          vz += (random() - 0.5) * force * 0.5;
+        }
+      }
+
+      // BASE PHYSICS (The "Chaos" drift)
+      if (s === STATE.CHAOS) {
+        const friction = 0.992; // Phase 63: Reduced friction for better inertia (0.985 -> 0.992)
+        vx *= friction;
+        vy *= friction;
+        vz *= friction;
+
+        if (isBackground) {
+          // Phase 56: Minimum Vitality Check
+          const speedSq = vx * vx + vy * vy + vz * vz;
+          if (speedSq < 1600) {
+            // min speed ~40
+            const boost = 1.05;
+            vx *= boost;
+            vy *= boost;
+            vz *= boost;
+
+            // Add a tiny random jitter to prevent "dead" straight lines
+            vx += (random() - 0.5) * 5;
+            vy += (random() - 0.5) * 5;
+            vz += (random() - 0.5) * 5;
+          }
+        } else {
+          // Constant Brownian noise jitter for shape stars (Phase 56)
+          vx += (random() - 0.5) * 2.0;
+          vy += (random() - 0.5) * 2.0;
+          vz += (random() - 0.5) * 2.0;
+        }
+      }
+      // No friction for "shape" particles means they will continue at high speed forever until recycled/reused
+
+      x += vx * dt;
+      y += vy * dt;
+      z += vz * dt;
+
+      // ATOMOSPHERIC DRIFT (Gentle Rotation)
+      if (isBackground) {
+        const rotSpeed = 0.15 * dt; // Increased for Phase 39 (0.06 -> 0.15)
+        const cos = Math.cos(rotSpeed);
+        const sin = Math.sin(rotSpeed);
+        const nx = x * cos - z * sin;
+        const nz = x * sin + z * cos;
+        x = nx;
+        z = nz;
+      }
+
+      // ROLE BASED BEHAVIOR (Global Looping / Recycling - Phase 64)
+      const distSq = x * x + y * y + z * z;
+      const limitSq = 4000 * 4000; // Phase 64: Expanded to 4000
+
+      if (distSq > limitSq) {
+        const theta = random() * Math.PI * 2;
+        const phi = Math.acos(2 * random() - 1);
+        const spawnDist = 2500;
+        x = spawnDist * Math.sin(phi) * Math.cos(theta);
+        y = spawnDist * Math.sin(phi) * Math.sin(theta);
+        z = spawnDist * Math.cos(phi);
+
+        // Phase 70: Relaxed Recycling (Allows stars to refill the center)
+        // Target a wider range (0 - 2500) instead of just the ring
+        const targetRadius = random() * 2500;
+        const targetTheta = random() * Math.PI * 2;
+        const targetPhi = Math.acos(2 * random() - 1);
+
+        const targetX =
+          targetRadius * Math.sin(targetPhi) * Math.cos(targetTheta);
+        const targetY =
+          targetRadius * Math.sin(targetPhi) * Math.sin(targetTheta);
+        const targetZ = targetRadius * Math.cos(targetPhi);
+
+        const dx = targetX - x;
+        const dy = targetY - y;
+        const dz = targetZ - z;
+        const dMag = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+
+        const speed = 120 + random() * 150;
+        vx = (dx / dMag) * speed;
+        vy = (dy / dMag) * speed;
+        vz = (dz / dMag) * speed;
+      }
+
+      position[i3] = x;
+      position[i3 + 1] = y;
+      position[i3 + 2] = z;
+      velocity[i3] = vx;
+      velocity[i3 + 1] = vy;
+      velocity[i3 + 2] = vz;
+
+      // BLENDED RENDERING
+      // 1. Base / Shape Interpolation
+      const shapeMix = shape[i4 + 3];
+      let renderX = x * (1 - shapeMix) + shape[i4] * shapeMix;
+      let renderY = y * (1 - shapeMix) + shape[i4 + 1] * shapeMix;
+      let renderZ = z * (1 - shapeMix) + shape[i4 + 2] * shapeMix;
+
+      // 2. Bloom Overlay (Secondary Blend)
+      const bloomMix = bloom[i4 + 3];
+      renderX = renderX * (1 - bloomMix) + bloom[i4] * bloomMix;
+      renderY = renderY * (1 - bloomMix) + bloom[i4 + 1] * bloomMix;
+      renderZ = renderZ * (1 - bloomMix) + bloom[i4 + 2] * bloomMix;
+
+      renderPositions[i3] = renderX;
+      renderPositions[i3 + 1] = renderY;
+      renderPositions[i3 + 2] = renderZ;
+
+      const twinkle =
+        Math.sin(time * twinkleSpeed[i] + twinkleOffset[i]) * 0.5 + 0.5;
+
+      let scale = 0.6 + twinkle * 0.4;
+
+      // GLOW BOOST + HEARTBEAT
+      if (s === STATE.BLOOMING || s === STATE.FORMING) {
+        scale *= 1.1 * beatScale; // Uniform subtle glow for all interactive shapes
+      } else if (s === STATE.CHAOS) {
+        scale *= 1.8; // Phase 64: Reduced (3.0 -> 1.8) for dense star parity
+      }
+
+      sizes[i] = baseSize[i] * scale;
+    }
+  }
+
+  addPulse(x, y, strength = 400, radius = 300) {
+    this.pulses.push({
+      x,
+      y,
+      strength,
+      maxRadius: radius,
+      life: 1.0,
+    });
+
+    // Limit active pulses for performance
+    while (this.pulses.length > this.maxPulses) this.pulses.shift();
+  }
+}
+
+function resized(array, length) {
+  const next = new array.constructor(length);
+  next.set(array.subarray(0, Math.min(length, array.length)));
+  return next;
+}
@@ -0,0 +1,131 @@
+// Structure-of-arrays storage for the star pool. Every per-particle field lives
+// in a typed array indexed by particle id, so the hot loops never touch JS
+// objects and nothing is allocated per star.
+export const STATE = { CHAOS: 0, FORMING: 1, BLOOMING: 2 };
+export const ROLE = { SHAPE: 0, BACKGROUND: 1 };
+
+// Every per-particle array and its stride
+const FIELDS = [
+  ["position", 3],
+  ["velocity", 3],
+  ["shape", 4],
+  ["bloom", 4],
+  ["color", 3],
+  ["tint", 4],
+  ["baseSize", 1],
+  ["twinkleSpeed", 1],
+  ["twinkleOffset", 1],
+  ["state", 1],
+  ["role", 1],
+];
+
+export class ParticleStore {
+  constructor(count) {
+    this.count = count;
+
+    // Kinematics (xyz triplets)
+    this.position = new Float32Array(count * 3);
+    this.velocity = new Float32Array(count * 3);
+
+    // Blend targets (xyz + mix), laid out like the GPU control textures
+    this.shape = new Float32Array(count * 4);
+    this.bloom = new Float32Array(count * 4);
+
+    // Appearance: own (chaos) color plus a shape color target (rgb + mix)
+    this.color = new Float32Array(count * 3);
+    this.tint = new Float32Array(count * 4);
+    this.baseSize = new Float32Array(count);
+    this.twinkleSpeed = new Float32Array(count);
+    this.twinkleOffset = new Float32Array(count);
+
+    this.state = new Uint8Array(count);
+    this.role = new Uint8Array(count);
+  }
+
+  // Reallocate for `count` stars. The first min(count, old count) keep their
+  // data; new ones start zeroed (ParticleSimulation.resize spawns them).
+  resize(count) {
+    const kept = Math.min(count, this.count);
+    FIELDS.forEach(([name, stride]) => {
+      const next = new this[name].constructor(count * stride);
+      next.set(this[name].subarray(0, kept * stride));
+      this[name] = next;
+    });
+    this.count = count;
+  }
+
+  setPosition(i, x, y, z) {
+    this.position[i * 3] = x;
+    this.position[i * 3 + 1] = y;
+    this.position[i * 3 + 2] = z;
+  }
+
+  setVelocity(i, vx, vy, vz) {
+    this.velocity[i * 3] = vx;
+    this.velocity[i * 3 + 1] = vy;
+    this.velocity[i * 3 + 2] = vz;
+  }
+
+  setShapeTarget(i, x, y, z) {
+    this.shape[i * 4] = x;
+    this.shape[i * 4 + 1] = y;
+    this.shape[i * 4 + 2] = z;
+  }
+
+  getShapeMix(i) {
+    return this.shape[i * 4 + 3];
+  }
+
+  setShapeMix(i, value) {
+    this.shape[i * 4 + 3] = value;
+  }
+
+  setBloomTarget(i, x, y, z) {
+    this.bloom[i * 4] = x;
+    this.bloom[i * 4 + 1] = y;
+    this.bloom[i * 4 + 2] = z;
+  }
+
+  getBloomMix(i) {
+    return this.bloom[i * 4 + 3];
+  }
+
+  setBloomMix(i, value) {
+    this.bloom[i * 4 + 3] = value;
+  }
+
+  setColor(i, r, g, b) {
+    this.color[i * 3] = r;
+    this.color[i * 3 + 1] = g;
+    this.color[i * 3 + 2] = b;
+  }
+
+  setTintTarget(i, r, g, b) {
+    this.tint[i * 4] = r;
+    this.tint[i * 4 + 1] = g;
+    this.tint[i * 4 + 2] = b;
+  }
+
+  getTintMix(i) {
+    return this.tint[i * 4 + 3];
+  }
+
+  setTintMix(i, value) {
+    this.tint[i * 4 + 3] = value;
+  }
+
+  // Rendered position: Base -> Shape -> Bloom blend
+  getRenderPosition(i, out) {
+    const p = i * 3;
+    const b = i * 4;
+    const shapeMix = this.shape[b + 3];
+    const bloomMix = this.bloom[b + 3];
+
+    for (let k = 0; k < 3; k++) {
+      const base =
+        this.position[p + k] * (1 - shapeMix) + this.shape[b + k] * shapeMix;
+      out[k] = base * (1 - bloomMix) + this.bloom[b + k] * bloomMix;
+    }
+    return out;
+  }
+}
@@ -1,78 +1,76 @@
 import * as THREE from "three";
+import { GPUSimulation } from "./GPUSimulation.js";
+import { BEAT_SPEED, ParticleSimulation } from "./ParticleSimulation.js";
+import { drawStarSprite } from "./StarSprite.js";
 
 export class ParticleSystem {
-  constructor(scene) {
+  // options.random / options.clock make the simulation deterministic;
+  // options.isMobile overrides the viewport check
+  constructor(scene, options = {}) {
     this.scene = scene;
-    const isMobile = window.innerWidth < 600;
-    this.maxParticles = isMobile ? 12000 : 25000; // Increased for more background stars
-
-    this.particles = [];
+    const isMobile = options.isMobile ?? window.innerWidth < 600;
+
+    // GPGPU mode: physics runs in float textures instead of the JS loop
+    this.renderer = options.renderer || null;
+    this.useGPU = Boolean(options.gpu && this.renderer);
+    this.maxParticles =
+      options.maxParticles ||
+      (this.useGPU ? 100000 : isMobile ? 12000 : 25000); // Increased for more background stars
+    this.gpuSimulation = null;
+    this.controlsDirty = true;
+
+    this.simulation = new ParticleSimulation({
+      count: this.maxParticles,
+      isMobile,
+      shapeRatio: options.shapeRatio,
+      random: options.random,
+      clock: options.clock,
+    });
+    this.store = this.simulation.store;
     this.geometry = new THREE.BufferGeometry();
 
-    // Attributes
-    this.positions = new Float32Array(this.maxParticles * 3);
-    this.colors = new Float32Array(this.maxParticles * 3);
-    this.sizes = new Float32Array(this.maxParticles);
-
-    // Phase 65: Interaction Pulses (Shockwaves)
-    this.pulses = [];
-    this.lastMX = -9999;
-    this.lastMY = -9999;
+    // Attributes (CPU mode renders the simulation's output arrays directly)
+    this.positions = this.simulation.renderPositions;
+    this.sizes = this.simulation.sizes;
+    // Colors live in the store (color + tint); these flag pending uploads
+    this.colorsDirty = false;
+    this.tintsFading = false;
+    this.starShape = options.starShape || "cross"; // Sprite, see StarSprite
+    this.material = null;
+    this.resizeListeners = [];
   }
 
   async init() {
-    const canvas = document.createElement("canvas");
-    canvas.width = 64;
-    canvas.height = 64;
-    const ctx = canvas.getContext("2d");
-    // STAR TEXTURE GENERATION
-    // Clear canvas
-    ctx.clearRect(0, 0, 64, 64);
-
-    // 1. Soft Glow Background (Subtle)
-    const grad = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
-    grad.addColorStop(0, "rgba(255, 255, 255, 0.5)"); // Lower opacity core
-    grad.addColorStop(0.5, "rgba(255, 255, 255, 0)");
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, 64, 64);
-
-    // 2. Sharp "Star" Cross (The main visible shape)
-    ctx.beginPath();
-    ctx.strokeStyle = "#ffffff";
-    ctx.lineWidth = 4; // Thicker lines to be visible at small scale
-
-    // Vertical
-    ctx.moveTo(32, 0);
-    ctx.lineTo(32, 64);
-
-    // Horizontal
-    ctx.moveTo(0, 32);
-    ctx.lineTo(64, 32);
-    ctx.stroke();
-
-    // 3. Diagonal rays (smaller)
-    ctx.beginPath();
-    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)"; // Slightly dimmer
-    ctx.lineWidth = 2;
-    ctx.moveTo(16, 16);
-    ctx.lineTo(48, 48);
-    ctx.moveTo(48, 16);
-    ctx.lineTo(16, 48);
-    ctx.stroke();
-
-    // 4. Solid Core
-    ctx.beginPath();
-    ctx.fillStyle = "#ffffff";
-    ctx.arc(32, 32, 4, 0, Math.PI * 2);
-    ctx.fill();
-
-    const texture = new THREE.CanvasTexture(canvas);
+    const texture = new THREE.CanvasTexture(drawStarSprite(this.starShape));
+
+    // pointTextureNext is the sprite being cross-faded to (see setSprite)
+    const fragmentShader = `
+      uniform sampler2D pointTexture;
+      uniform sampler2D pointTextureNext;
+      uniform float spriteMix;
+      varying vec3 vColor;
+      void main() {
+        vec4 sprite = mix(
+          texture2D( pointTexture, gl_PointCoord ),
+          texture2D( pointTextureNext, gl_PointCoord ),
+          spriteMix
+        );
+        gl_FragColor = vec4( vColor, 1.0 ) * sprite;
+        if (gl_FragColor.a < 0.1) discard;
+      }
+    `;
+
+    if (this.useGPU) {
+      this.initGPU(texture, fragmentShader);
+      return;
+    }
 
     const vertexShader = `
       attribute float size;
+      attribute vec4 tint;
       varying vec3 vColor;
       void main() {
-        vColor = color;
+        vColor = mix( color, tint.rgb, tint.a );
         vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );
         float pSize = size * ( 600.0 / -mvPosition.z ); 
         
@@ -82,18 +80,78 @@ export class ParticleSystem {
       }
     `;
 
-    const fragmentShader = `
-      uniform sampler2D pointTexture;
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        pointTexture: { value: texture },
+        pointTextureNext: { value: texture },
+        spriteMix: { value: 0 },
+      },
+      vertexShader,
+      fragmentShader,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      transparent: true,
+      vertexColors: true,
+    });
+
+    this.buildGeometry();
+    this.points = new THREE.Points(this.geometry, this.material);
+    this.scene.add(this.points);
+  }
+
+  initGPU(texture, fragmentShader) {
+    this.gpuSimulation = new GPUSimulation(this.renderer, this.maxParticles, {
+      random: this.simulation.random,
+    });
+    this.gpuSimulation.init();
+
+    // Blending, twinkle and heartbeat move into the vertex stage
+    const vertexShader = `
+      uniform sampler2D texturePosition;
+      uniform sampler2D tShape;
+      uniform sampler2D tBloom;
+      uniform sampler2D tAttr;
+      uniform float uTime;
+      attribute vec2 reference;
+      attribute vec4 tint;
       varying vec3 vColor;
       void main() {
-        gl_FragColor = vec4( vColor, 1.0 );
-        gl_FragColor = gl_FragColor * texture2D( pointTexture, gl_PointCoord );
-        if (gl_FragColor.a < 0.1) discard;
+        vColor = mix( color, tint.rgb, tint.a );
+        vec4 physical = texture2D( texturePosition, reference );
+        vec4 shape = texture2D( tShape, reference );
+        vec4 bloom = texture2D( tBloom, reference );
+        vec4 attr = texture2D( tAttr, reference ); // state, role, baseSize, twinkleSpeed
+
+        vec3 pos = mix( physical.xyz, shape.xyz, shape.w );
+        pos = mix( pos, bloom.xyz, bloom.w );
+
+        float twinkle = sin( uTime * attr.w + physical.w ) * 0.5 + 0.5;
+        float beat = sin( uTime * ${BEAT_SPEED.toFixed(1)} ) * 0.5 + 0.5;
+        float scale = 0.6 + twinkle * 0.4;
+        if ( attr.x > 0.5 ) {
+          scale *= 1.1 * ( 1.0 + beat * 0.15 );
+        } else {
+          scale *= 1.8;
+        }
+
+        vec4 mvPosition = modelViewMatrix * vec4( pos, 1.0 );
+        float pSize = attr.z * scale * ( 600.0 / -mvPosition.z );
+        gl_PointSize = min(pSize, 45.0);
+        gl_Position = projectionMatrix * mvPosition;
       }
     `;
 
     this.material = new THREE.ShaderMaterial({
-      uniforms: { pointTexture: { value: texture } },
+      uniforms: {
+        pointTexture: { value: texture },
+        pointTextureNext: { value: texture },
+        spriteMix: { value: 0 },
+        texturePosition: { value: null },
+        tShape: { value: this.gpuSimulation.shapeTexture },
+        tBloom: { value: this.gpuSimulation.bloomTexture },
+        tAttr: { value: this.gpuSimulation.attrTexture },
+        uTime: { value: 0 },
+      },
       vertexShader,
       fragmentShader,
       blending: THREE.AdditiveBlending,
@@ -102,306 +160,263 @@ export class ParticleSystem {
       vertexColors: true,
     });
 
-    this.geometry.setAttribute(
+    this.buildGeometry();
+    this.points = new THREE.Points(this.geometry, this.material);
+    this.points.frustumCulled = false;
+    this.scene.add(this.points);
+  }
+
+  // Attributes over the store's arrays. GPU mode reads positions, sizes and
+  // the rest from textures, so it adds each star's texel (`reference`)
+  // instead of sizes; position stays as a placeholder there.
+  buildGeometry() {
+    const geometry = this.geometry;
+    geometry.setAttribute(
       "position",
       new THREE.BufferAttribute(this.positions, 3),
     );
-    this.geometry.setAttribute(
+    geometry.setAttribute(
       "color",
-      new THREE.BufferAttribute(this.colors, 3),
+      new THREE.BufferAttribute(this.store.color, 3),
     );
-    this.geometry.setAttribute(
-      "size",
-      new THREE.BufferAttribute(this.sizes, 1),
+    geometry.setAttribute(
+      "tint",
+      new THREE.BufferAttribute(this.store.tint, 4),
     );
 
-    this.points = new THREE.Points(this.geometry, this.material);
-    this.scene.add(this.points);
+    if (this.gpuSimulation) {
+      const size = this.gpuSimulation.size;
+      const reference = new Float32Array(this.maxParticles * 2);
+      for (let i = 0; i < this.maxParticles; i++) {
+        reference[i * 2] = ((i % size) + 0.5) / size;
+        reference[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+      }
+      geometry.setAttribute(
+        "reference",
+        new THREE.BufferAttribute(reference, 2),
+      );
+    } else {
+      geometry.setAttribute("size", new THREE.BufferAttribute(this.sizes, 1));
+    }
+    geometry.setDrawRange(0, this.simulation.activeCount);
+  }
+
+  // Grow or shrink the pool at runtime (a settings slider, a quality
+  // change). Stars that survive keep their state, leases that lose stars
+  // are told (ParticleAllocator.resize), and onResize listeners set up the
+  // new stars (e.g. the shake gives them palette colors). GPU mode reads
+  // the simulated kinematics back and rebuilds its textures at the new size.
+  resize(count) {
+    const previous = this.maxParticles;
+    const next = Math.max(1, Math.round(count));
+    if (next === previous) return;
+    if (this.gpuSimulation) this.gpuSimulation.readBack(this.store);
+
+    this.simulation.resize(next);
+    this.maxParticles = next;
+    this.positions = this.simulation.renderPositions;
+    this.sizes = this.simulation.sizes;
+
+    if (this.material) {
+      // Buffer sizes are fixed per geometry: build a new one
+      this.geometry.dispose();
+      this.geometry = new THREE.BufferGeometry();
+      if (this.gpuSimulation) this.rebuildGPU();
+      this.buildGeometry();
+      this.points.geometry = this.geometry;
+    }
+    this.resizeListeners.forEach((listener) => listener(next, previous));
+    this.colorsDirty = true;
+    this.markDirty();
+  }
+
+  rebuildGPU() {
+    this.gpuSimulation.dispose();
+    this.gpuSimulation = new GPUSimulation(this.renderer, this.maxParticles, {
+      random: this.simulation.random,
+    });
+    this.gpuSimulation.init();
+    this.gpuSimulation.seed(this.store);
+    const uniforms = this.material.uniforms;
+    uniforms.tShape.value = this.gpuSimulation.shapeTexture;
+    uniforms.tBloom.value = this.gpuSimulation.bloomTexture;
+    uniforms.tAttr.value = this.gpuSimulation.attrTexture;
+  }
+
+  // listener(count, previous) after every resize(). Returns unsubscribe.
+  onResize(listener) {
+    this.resizeListeners.push(listener);
+    return () => {
+      this.resizeListeners = this.resizeListeners.filter((l) => l !== listener);
+    };
   }
 
   createPool(count) {
-    this.particles = [];
-    const isMobile = window.innerWidth < 600;
-    const shapeLimit = Math.floor(this.maxParticles * 0.7); // 70% Shape, 30% Background
-
-    for (let i = 0; i < this.maxParticles; i++) {
-      const role = i < shapeLimit ? "shape" : "background";
-
-      // Initial positions for background stars (Atmosphere)
-      let rx = 0,
-        ry = 0,
-        rz = 0;
-      let vx = 0,
-        vy = 0,
-        vz = 0;
-
-      if (role === "background") {
-        const radius = 600 + Math.random() * 1200; // Closer range for better density
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        rx = radius * Math.sin(phi) * Math.cos(theta);
-        ry = radius * Math.sin(phi) * Math.sin(theta);
-        rz = radius * Math.cos(phi);
-
-        // Initial inward drift - Brisk movement (Phase 56)
-        const speed = 120 + Math.random() * 100;
-        vx = -(rx / radius) * speed;
-        vy = -(ry / radius) * speed;
-        vz = -(rz / radius) * speed;
-      } else {
-        // Shape stars start in chaos with a vibrant random drift
-        const radius = 1000 + Math.random() * 1000;
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        rx = radius * Math.sin(phi) * Math.cos(theta);
-        ry = radius * Math.sin(phi) * Math.sin(theta);
-        rz = radius * Math.cos(phi);
-
-        const impulse = 120 + Math.random() * 80;
-        const angle = Math.random() * Math.PI * 2;
-        vx = Math.cos(angle) * impulse;
-        vy = Math.sin(angle) * impulse;
-        vz = (Math.random() - 0.5) * impulse;
-      }
+    this.simulation.createPool(count);
+    if (this.gpuSimulation) this.gpuSimulation.seed(this.store);
+    this.markDirty();
+  }
+
+  // Draw and simulate only the first `count` stars (see
+  // ParticleSimulation.setActiveCount), on either path
+  setActiveCount(count) {
+    const release = (i) => this.release(i, 0, 0, 0);
+    if (!this.simulation.setActiveCount(count, release)) return;
+    this.geometry.setDrawRange(0, this.simulation.activeCount);
+    this.markDirty();
+  }
+
+  get activeCount() {
+    return this.simulation.activeCount;
+  }
+
+  // Shockwaves kept at once (GPU mode caps them at its uniform array size)
+  setMaxPulses(count) {
+    this.simulation.maxPulses = count;
+  }
+
+  // Features borrow stars through leases instead of fixed index ranges:
+  //   const lease = particleSystem.lease(4000, { owner: "bloom" });
+  //   lease.indices.forEach(...); ...; lease.release();
+  // See ParticleAllocator for priorities and revocation.
+  lease(count, options) {
+    return this.simulation.lease(count, options);
+  }
+
+  isLeased(i) {
+    return this.simulation.allocator.isLeased(i);
+  }
+
+  // Controllers must write kinematics through these so GPU mode sees them
+  setPosition(i, x, y, z) {
+    this.store.setPosition(i, x, y, z);
+    if (this.gpuSimulation) this.gpuSimulation.setPosition(i, x, y, z);
+  }
+
+  setVelocity(i, vx, vy, vz) {
+    this.store.setVelocity(i, vx, vy, vz);
+    if (this.gpuSimulation) this.gpuSimulation.setVelocity(i, vx, vy, vz);
+  }
+
+  // Fresh store positions for `indices`, before reading where they are
+  // drawn (store.getRenderPosition). GPU mode copies them back from the
+  // textures, which stalls it: for rare events (a morph), not every frame.
+  readPositions(indices) {
+    if (this.gpuSimulation) this.gpuSimulation.readBack(this.store, indices);
+  }
+
+  // A star's own (chaos) color; shapes tint over it through store.tint
+  setBaseColor(i, r, g, b) {
+    this.store.setColor(i, r, g, b);
+    this.colorsDirty = true;
+  }
+
+  // Cross-fade every star's own color to `colors` (rgb per star) over
+  // `duration` seconds
+  recolor(colors, duration = 0) {
+    this.simulation.recolor(colors, duration);
+    this.colorsDirty = true;
+  }
 
-      this.particles.push({
-        x: rx,
-        y: ry,
-        z: rz,
-        vx: vx,
-        vy: vy,
-        vz: vz,
-        role: role,
-        state: "chaos",
-        baseSize: isMobile ? Math.random() * 12 + 8 : Math.random() * 8 + 4, // Half size on Desktop
-        twinkleSpeed: Math.random() * 0.05 + 0.01,
-        twinkleOffset: Math.random() * Math.PI * 2,
-        bloomX: 0,
-        bloomY: 0,
-        bloomZ: 0,
-        bloomMix: 0,
-        // Shape Formation Blending
-        shapeX: rx,
-        shapeY: ry,
-        shapeZ: rz,
-        shapeMix: 0,
-      });
+  // Start cross-fading to another star sprite; setSpriteMix(0..1) runs the
+  // fade. Before init() it only picks the sprite init() draws.
+  setSprite(shape) {
+    if (!this.material) {
+      this.starShape = shape;
+      return;
     }
+    this.setSpriteMix(1); // Finish a fade still under way
+    if (shape === this.starShape) return;
+    this.starShape = shape;
+    const uniforms = this.material.uniforms;
+    uniforms.pointTextureNext.value = new THREE.CanvasTexture(
+      drawStarSprite(shape),
+    );
+    uniforms.spriteMix.value = 0;
   }
 
-  update(dt, mouse) {
-    const posAttr = this.geometry.attributes.position;
-    const sizeAttr = this.geometry.attributes.size;
-    const time = Date.now() * 0.002;
-
-    // Phase 67: Corrected mapping for full-corner coverage
-    const mX = mouse ? mouse.x * 450 : -9999;
-    const mY = mouse ? mouse.y * 460 : -9999;
-
-    for (let i = 0; i < this.maxParticles; i++) {
-      const p = this.particles[i];
-
-      // Phase 65/68: Shockwave Pulse Processing (Perspective Aware)
-      this.pulses.forEach((pulse) => {
-        // Project particle world position to its apparent screen position at Z=0
-        // Camera is at Z=600. Factor = 600 / (600 - p.z)
-        const perspectiveFactor = 600 / Math.max(1, 600 - p.z);
-        const apparentX = p.x * perspectiveFactor;
-        const apparentY = p.y * perspectiveFactor;
-
-        const dx = apparentX - pulse.x;
-        const dy = apparentY - pulse.y;
-        const distSq = dx * dx + dy * dy;
-
-        // Shockwave shell (Expanding ring)
-        const age = 1.0 - pulse.life; // 0 -> 1
-        const currentRadius = pulse.maxRadius * age;
-        const dist = Math.sqrt(distSq);
-
-        // Define a shell thickness (e.g., 60 units)
-        const thickness = 70; // Slightly increased for Phase 68
-        const diff = Math.abs(dist - currentRadius);
-
-        if (diff < thickness) {
-          // Phase 70: Soft Shell falloff (prevents "solid wall" feel)
-          const shellFalloff = 1.0 - diff / thickness;
-          const force = shellFalloff * pulse.strength * pulse.life * dt;
-          const mag = dist || 1;
-
-          // Apply push in world space, adjusted for perspective to look consistent
-          p.vx += (dx / mag) * force * (1 / perspectiveFactor);
-          p.vy += (dy / mag) * force * (1 / perspectiveFactor);
-
-          // Phase 68: Add a tiny Z-kick to make it feel 3D
-          p.vz += (Math.random() - 0.5) * force * 0.5;
-        }
-      });
-
-      // BASE PHYSICS (The "Chaos" drift)
-      if (p.state === "chaos") {
-        const friction = 0.992; // Phase 63: Reduced friction for better inertia (0.985 -> 0.992)
-        p.vx *= friction;
-        p.vy *= friction;
-        p.vz *= friction;
-
-        if (p.role === "background") {
-          // Phase 56: Minimum Vitality Check
-          const speedSq = p.vx * p.vx + p.vy * p.vy + p.vz * p.vz;
-          if (speedSq < 1600) {
-            // min speed ~40
-            const boost = 1.05;
-            p.vx *= boost;
-            p.vy *= boost;
-            p.vz *= boost;
-
-            // Add a tiny random jitter to prevent "dead" straight lines
-            p.vx += (Math.random() - 0.5) * 5;
-            p.vy += (Math.random() - 0.5) * 5;
-            p.vz += (Math.random() - 0.5) * 5;
-          }
-        } else {
-          // Constant Brownian noise jitter for shape stars (Phase 56)
-          p.vx += (Math.random() - 0.5) * 2.0;
-          p.vy += (Math.random() - 0.5) * 2.0;
-          p.vz += (Math.random() - 0.5) * 2.0;
-        }
-      }
-      // No friction for "shape" particles means they will continue at high speed forever until recycled/reused
-
-      p.x += p.vx * dt;
-      p.y += p.vy * dt;
-      p.z += p.vz * dt;
-
-      // ATOMOSPHERIC DRIFT (Gentle Rotation)
-      if (p.role === "background") {
-        const rotSpeed = 0.15 * dt; // Increased for Phase 39 (0.06 -> 0.15)
-        const cos = Math.cos(rotSpeed);
-        const sin = Math.sin(rotSpeed);
-        const nx = p.x * cos - p.z * sin;
-        const nz = p.x * sin + p.z * cos;
-        p.x = nx;
-        p.z = nz;
-      }
-      // The following block of code was provided in the instruction but appears to be
-      // logic for a controller that *uses* the ParticleSystem, not part of the
-      // ParticleSystem's internal update method. Inserting it here would cause
-      // syntax errors due to undeclared variables (shapeName, this.shapeGenerator, etc.).
-      // Therefore, it has been omitted to maintain a syntactically correct file.
-      /*
-      if (shapeName === "HEART_SHAPE") {
-      points = this.shapeGenerator.generateHeartPoints(0, 0, heartScale, 6000); 
-    } else {
-      const fontSize = shapeName.length > 5 ? baseFontSize * 0.8 : baseFontSize;
-      points = this.shapeGenerator.generateTextPoints(
-        shapeName,
-        0,
-        0,
-        fontSize,
-        8000, 
-      );
+  setSpriteMix(t) {
+    if (!this.material) return;
+    const uniforms = this.material.uniforms;
+    if (uniforms.pointTextureNext.value === uniforms.pointTexture.value) return;
+    if (t < 1) {
+      uniforms.spriteMix.value = t;
+      return;
     }
-      */
-      // ROLE BASED BEHAVIOR (Global Looping / Recycling - Phase 64)
-      const distSq = p.x * p.x + p.y * p.y + p.z * p.z;
-      const limitSq = 4000 * 4000; // Phase 64: Expanded to 4000
-
-      if (distSq > limitSq) {
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        const spawnDist = 2500;
-        p.x = spawnDist * Math.sin(phi) * Math.cos(theta);
-        p.y = spawnDist * Math.sin(phi) * Math.sin(theta);
-        p.z = spawnDist * Math.cos(phi);
-
-        // Phase 70: Relaxed Recycling (Allows stars to refill the center)
-        // Target a wider range (0 - 2500) instead of just the ring
-        const targetRadius = Math.random() * 2500;
-        const targetTheta = Math.random() * Math.PI * 2;
-        const targetPhi = Math.acos(2 * Math.random() - 1);
-
-        const targetX =
-          targetRadius * Math.sin(targetPhi) * Math.cos(targetTheta);
-        const targetY =
-          targetRadius * Math.sin(targetPhi) * Math.sin(targetTheta);
-        const targetZ = targetRadius * Math.cos(targetPhi);
-
-        const dx = targetX - p.x;
-        const dy = targetY - p.y;
-        const dz = targetZ - p.z;
-        const dMag = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
-
-        const speed = 120 + Math.random() * 150;
-        p.vx = (dx / dMag) * speed;
-        p.vy = (dy / dMag) * speed;
-        p.vz = (dz / dMag) * speed;
-      }
+    // Done: the new sprite becomes the only one
+    uniforms.pointTexture.value.dispose();
+    uniforms.pointTexture.value = uniforms.pointTextureNext.value;
+    uniforms.spriteMix.value = 0;
+  }
 
-      // BLENDED RENDERING
-      // 1. Base / Shape Interpolation
-      let renderX = p.x * (1 - p.shapeMix) + p.shapeX * p.shapeMix;
-      let renderY = p.y * (1 - p.shapeMix) + p.shapeY * p.shapeMix;
-      let renderZ = p.z * (1 - p.shapeMix) + p.shapeZ * p.shapeMix;
-
-      // 2. Bloom Overlay (Secondary Blend)
-      renderX = renderX * (1 - p.bloomMix) + p.bloomX * p.bloomMix;
-      renderY = renderY * (1 - p.bloomMix) + p.bloomY * p.bloomMix;
-      renderZ = renderZ * (1 - p.bloomMix) + p.bloomZ * p.bloomMix;
-
-      posAttr.array[i * 3] = renderX;
-      posAttr.array[i * 3 + 1] = renderY;
-      posAttr.array[i * 3 + 2] = renderZ;
-
-      const twinkle =
-        Math.sin(time * p.twinkleSpeed + p.twinkleOffset) * 0.5 + 0.5;
-
-      // HEARTBEAT LOGIC (Soft Glow)
-      // Pulse speed: ~1.2 beats per second (72 BPM)
-      // Use simple Sin wave for "Soft" beat, not sharp Pow
-      const beat = Math.sin(time * 3.0) * 0.5 + 0.5; // Range 0.0 -> 1.0, smooth
-      const beatScale = 1.0 + beat * 0.15; // 1.0 -> 1.15 (15% max increase - Very Soft)
-
-      let scale = 0.6 + twinkle * 0.4;
-
-      // GLOW BOOST + HEARTBEAT
-      if (p.state === "blooming" || p.state === "forming") {
-        scale *= 1.1 * beatScale; // Uniform subtle glow for all interactive shapes
-      } else if (p.state === "chaos") {
-        scale *= 1.8; // Phase 64: Reduced (3.0 -> 1.8) for dense star parity
-      }
+  // Resolve the full visual hierarchy (Base -> Shape -> Bloom) into the
+  // physical position, drop every blend and hand the particle back to chaos
+  release(i, vx, vy, vz) {
+    const store = this.store;
+    if (this.gpuSimulation) {
+      this.gpuSimulation.bake(i, store.getShapeMix(i), store.getBloomMix(i));
+      this.gpuSimulation.setVelocity(i, vx, vy, vz);
+    }
+    this.simulation.release(i, vx, vy, vz);
+    this.markDirty();
+  }
+
+  // Blend targets, mixes or states changed (mirrored to the GPU on next update)
+  markDirty() {
+    this.controlsDirty = true;
+  }
 
-      sizeAttr.array[i] = p.baseSize * scale;
+  // `pointer`: the world point under the pointer (its hover trail), or null
+  update(dt, pointer) {
+    const simulation = this.simulation;
+    const time = simulation.time;
+    const mX = pointer ? pointer.x : -9999;
+    const mY = pointer ? pointer.y : -9999;
+
+    // Upload shape colors while they change
+    if (this.controlsDirty || this.tintsFading) {
+      this.tintsFading = simulation.fadeTints(dt);
+      this.geometry.attributes.tint.needsUpdate = true;
     }
 
-    posAttr.needsUpdate = true;
-    sizeAttr.needsUpdate = true;
-
-    // Update and prune pulses
-    this.pulses.forEach((p) => (p.life -= dt * 1.5)); // Fast decay
-    this.pulses = this.pulses.filter((p) => p.life > 0);
-
-    // Auto-Pulse for Desktop Hover (Transient Magic Trail)
-    if (mX > -9000) {
-      // Phase 70: Movement-based Pulsing
-      // Only spawn a pulse if the mouse has moved significantly (threshold 10 units)
-      const moveDist = Math.hypot(mX - this.lastMX, mY - this.lastMY);
-      if (moveDist > 10) {
-        this.addPulse(mX, mY, 100, 180); // Slightly stronger but only on move
-        this.lastMX = mX;
-        this.lastMY = mY;
-      }
+    // The CPU path reads the controls in place; the GPU mirrors them
+    if (this.gpuSimulation && this.controlsDirty) {
+      this.gpuSimulation.sync(this.store);
+    }
+    this.controlsDirty = false;
+
+    if (this.gpuSimulation) {
+      this.gpuSimulation.update(
+        dt,
+        time,
+        simulation.pulses,
+        simulation.viewpoint,
+        simulation.activeCount,
+      );
+      this.material.uniforms.texturePosition.value =
+        this.gpuSimulation.positionTexture;
+      this.material.uniforms.uTime.value = time;
+    } else {
+      simulation.step(dt, time);
+      this.geometry.attributes.position.needsUpdate = true;
+      this.geometry.attributes.size.needsUpdate = true;
+    }
+
+    if (simulation.fadeColors(dt)) this.colorsDirty = true;
+    if (this.colorsDirty) {
+      this.geometry.attributes.color.needsUpdate = true;
+      this.colorsDirty = false;
     }
+
+    simulation.updatePulses(dt, mX, mY);
   }
 
-  addPulse(x, y, strength = 400, radius = 300) {
-    this.pulses.push({
-      x,
-      y,
-      strength,
-      maxRadius: radius,
-      life: 1.0,
-    });
+  // The camera position, for placing pulses as they are seen
+  setViewpoint({ x, y, z }) {
+    Object.assign(this.simulation.viewpoint, { x, y, z });
+  }
 
-    // Limit active pulses for performance
-    if (this.pulses.length > 10) this.pulses.shift();
+  addPulse(x, y, strength, radius) {
+    this.simulation.addPulse(x, y, strength, radius);
   }
 }
@@ -0,0 +1,69 @@
+import * as THREE from "three";
+
+// Shapes form, blooms open and pulses spread on the z=0 plane
+export const STAGE = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+
+// The scene's camera at its home: 75° vertical FOV, 600 units in front of
+// the stage (which then shows ~920 units of height)
+export function createCamera(aspect) {
+  const camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 4000);
+  camera.position.z = 600;
+  camera.updateMatrixWorld();
+  return camera;
+}
+
+// Screen pixels to world points through the real camera: its aspect, FOV
+// and wherever the CameraRig has taken it. Reads the camera on every call,
+// so it always matches the last rendered frame. `viewport` is the window
+// the pixels are measured in.
+export class Projection {
+  constructor(camera, viewport = globalThis.window) {
+    this.camera = camera;
+    this.viewport = viewport;
+  }
+
+  // Normalized device coordinates: -1..1 across, y up
+  toNDC(x, y) {
+    const { innerWidth, innerHeight } = this.viewport;
+    return new THREE.Vector2(
+      (x / innerWidth) * 2 - 1,
+      -(y / innerHeight) * 2 + 1,
+    );
+  }
+
+  // The ray from the camera through a screen position
+  ray(x, y) {
+    const { x: nx, y: ny } = this.toNDC(x, y);
+    const origin = this.camera.position.clone();
+    const direction = new THREE.Vector3(nx, ny, 0.5)
+      .unproject(this.camera)
+      .sub(origin)
+      .normalize();
+    return new THREE.Ray(origin, direction);
+  }
+
+  // The point on `plane` under a screen position. Null when the plane is
+  // edge-on or behind the camera.
+  screenToWorld(x, y, plane = STAGE) {
+    const ray = this.ray(x, y);
+    // Grazing rays hit far off, or (from a camera in the plane) at its eye
+    if (Math.abs(plane.normal.dot(ray.direction)) < 1e-6) return null;
+    return ray.intersectPlane(plane, new THREE.Vector3());
+  }
+
+  // World units the view spans at `distance` from the camera (by default,
+  // where the stage's center is), shrunk by `margin`
+  visibleSize({ distance, margin = 1 } = {}) {
+    const depth = distance ?? this.camera.position.length();
+    const fov = THREE.MathUtils.degToRad(this.camera.fov);
+    const height = 2 * depth * Math.tan(fov / 2) * margin;
+    return { width: height * this.camera.aspect, height };
+  }
+}
+
+// For modules used without App (tests, tools): the camera at home, sized to
+// `viewport`
+export function createHomeProjection(viewport = globalThis.window) {
+  const aspect = viewport ? viewport.innerWidth / viewport.innerHeight : 1;
+  return new Projection(createCamera(aspect), viewport);
+}
@@ -0,0 +1,136 @@
+// Quality tiers, lowest first. Each sets how much of the particle pool runs,
+// the render pixel ratio cap (never above devicePixelRatio), the bloom
+// buffer scale and how many pulses ride at once.
+export const QUALITY_TIERS = [
+  { name: "low", particles: 0.4, pixelRatio: 1, bloomScale: 0.35, pulses: 3 },
+  {
+    name: "medium",
+    particles: 0.7,
+    pixelRatio: 1.5,
+    bloomScale: 0.6,
+    pulses: 6,
+  },
+  { name: "high", particles: 1, pixelRatio: 2, bloomScale: 1, pulses: 10 },
+];
+
+// Frames longer than this are stalls (a hidden tab, a shader compile), not a
+// measure of the load
+const MAX_FRAME_MS = 250;
+
+// Picks the tier from measured frame times, one window of frames at a time:
+//   - a window averaging slower than `slowMs` counts against the tier, and
+//     `downAfter` of them in a row step down;
+//   - faster than `fastMs` counts for it, and `upAfter` in a row step up;
+//   - anything between resets both runs (the hysteresis band).
+// Every step down doubles the wait before the next step up (capped at
+// `maxUpAfter`), so a device on the edge of a tier settles instead of
+// flapping. No DOM: App feeds frame times and applies the tiers.
+export class QualityGovernor {
+  constructor({
+    tiers = QUALITY_TIERS,
+    start = tiers.length - 1,
+    windowSize = 60,
+    slowMs = 1000 / 45,
+    fastMs = 1000 / 56,
+    downAfter = 2,
+    upAfter = 4,
+    maxUpAfter = 64,
+  } = {}) {
+    this.tiers = tiers;
+    this.index = this.indexOf(start);
+    this.windowSize = windowSize;
+    this.slowMs = slowMs;
+    this.fastMs = fastMs;
+    this.downAfter = downAfter;
+    this.upAfter = upAfter;
+    this.maxUpAfter = maxUpAfter;
+    this.locked = false; // Pinned by lock(): samples are ignored
+    this.listeners = [];
+    this.resetWindow();
+    this.slowWindows = 0;
+    this.fastWindows = 0;
+  }
+
+  get tier() {
+    return this.tiers[this.index];
+  }
+
+  // Index of a tier name or index; throws on anything else
+  indexOf(tier) {
+    const index =
+      typeof tier === "string"
+        ? this.tiers.findIndex(({ name }) => name === tier)
+        : tier;
+    if (!(index >= 0 && index < this.tiers.length)) {
+      throw new Error(`Unknown quality tier "${tier}"`);
+    }
+    return index;
+  }
+
+  // One rendered frame took `frameMs`. Returns the new tier when this sample
+  // made the governor switch, else null.
+  sample(frameMs) {
+    if (this.locked || !(frameMs > 0) || frameMs > MAX_FRAME_MS) return null;
+    this.total += frameMs;
+    this.frames++;
+    if (this.frames < this.windowSize) return null;
+
+    const average = this.total / this.frames;
+    this.resetWindow();
+    if (average > this.slowMs) {
+      this.slowWindows++;
+      this.fastWindows = 0;
+    } else if (average < this.fastMs) {
+      this.fastWindows++;
+      this.slowWindows = 0;
+    } else {
+      this.slowWindows = 0;
+      this.fastWindows = 0;
+    }
+
+    if (this.slowWindows >= this.downAfter && this.index > 0) {
+      this.upAfter = Math.min(this.maxUpAfter, this.upAfter * 2);
+      return this.switchTo(this.index - 1);
+    }
+    if (
+      this.fastWindows >= this.upAfter &&
+      this.index < this.tiers.length - 1
+    ) {
+      return this.switchTo(this.index + 1);
+    }
+    return null;
+  }
+
+  // Pin a tier (name or index), e.g. from ?quality= while debugging
+  lock(tier) {
+    this.locked = true;
+    return this.switchTo(this.indexOf(tier));
+  }
+
+  unlock() {
+    this.locked = false;
+  }
+
+  // listener(tier) after every switch. Returns unsubscribe.
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  switchTo(index) {
+    this.index = index;
+    // Frames right after a switch pay for it; judge the tier afresh
+    this.resetWindow();
+    this.slowWindows = 0;
+    this.fastWindows = 0;
+    this.listeners.forEach((listener) => listener(this.tier));
+    return this.tier;
+  }
+
+  resetWindow() {
+    this.total = 0;
+    this.frames = 0;
+  }
+}
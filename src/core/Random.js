@@ -0,0 +1,13 @@
+// Seeded replacement for Math.random(): same [0, 1) contract, but the same
+// seed always yields the same sequence (mulberry32). Modules take a `random`
+// function and default to Math.random, so only tests need a seed.
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
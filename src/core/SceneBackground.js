@@ -1,5 +1,10 @@
 import * as THREE from "three";
 
+function setColor(target, value) {
+  if (value.isColor) target.copy(value);
+  else target.setHex(value, THREE.LinearSRGBColorSpace);
+}
+
 export class SceneBackground {
   constructor(scene) {
     this.scene = scene;
@@ -20,16 +25,13 @@ export class SceneBackground {
     `;
 
     const fragmentShader = `
+      uniform vec3 colorCenter;
+      uniform vec3 colorEdge;
       varying vec2 vUv;
       void main() {
         // Calculate distance from center (vUv is 0-1)
         float d = distance(vUv, vec2(0.5, 0.5));
         
-        // Colors from center (Extreme Dark Burgundy) to edges (Black)
-        // Drastically lowered to be almost invisible, just a "vibe"
-        vec3 colorCenter = vec3(0.04, 0.0, 0.02); 
-        vec3 colorEdge = vec3(0.0, 0.0, 0.0);
-        
         // Sharper transition: Fades to black much faster (around 30% from center)
         // This ensures the corners and most of the screen are deep black
         vec3 finalColor = mix(colorCenter, colorEdge, smoothstep(0.0, 0.3, d));
@@ -37,7 +39,15 @@ export class SceneBackground {
       }
     `;
 
+    // Colors from center (Extreme Dark Burgundy) to edges (Black)
+    // Drastically lowered to be almost invisible, just a "vibe"
+    this.uniforms = {
+      colorCenter: { value: new THREE.Color(0.04, 0.0, 0.02) },
+      colorEdge: { value: new THREE.Color(0.0, 0.0, 0.0) },
+    };
+
     const material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
       vertexShader,
       fragmentShader,
       depthWrite: false,
@@ -47,4 +57,19 @@ export class SceneBackground {
     this.mesh.position.z = -2500; // Far behind all particles (even background stars)
     this.scene.add(this.mesh);
   }
+
+  // Gradient colors as hex (e.g. from a theme) or THREE.Color. Hex values
+  // are written as-is: the shader outputs them without color management,
+  // like the defaults.
+  setColors(center, edge) {
+    const { colorCenter, colorEdge } = this.uniforms;
+    setColor(colorCenter.value, center);
+    setColor(colorEdge.value, edge);
+  }
+
+  // Copies of the current [center, edge] colors
+  getColors() {
+    const { colorCenter, colorEdge } = this.uniforms;
+    return [colorCenter.value.clone(), colorEdge.value.clone()];
+  }
 }
@@ -0,0 +1,90 @@
+// Star sprites drawn on a 64px canvas, white so each star's color tints it
+//   cross   - sharp cross with dimmer diagonal rays (the original star)
+//   sparkle - four long tapered rays, a glint
+//   round   - soft glowing dot
+export const STAR_SHAPES = ["cross", "sparkle", "round"];
+
+const SIZE = 64;
+const C = SIZE / 2;
+
+// The sprite canvas (ParticleSystem turns it into a texture)
+export function drawStarSprite(shape = "cross") {
+  if (!STAR_SHAPES.includes(shape)) {
+    throw new Error(`Unknown star shape "${shape}"`);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = SIZE;
+  canvas.height = SIZE;
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, SIZE, SIZE);
+  DRAW[shape](ctx);
+  return canvas;
+}
+
+function glow(ctx, alpha, extent) {
+  const grad = ctx.createRadialGradient(C, C, 0, C, C, C);
+  grad.addColorStop(0, `rgba(255, 255, 255, ${alpha})`);
+  grad.addColorStop(extent, "rgba(255, 255, 255, 0)");
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, SIZE, SIZE);
+}
+
+function core(ctx, radius) {
+  ctx.beginPath();
+  ctx.fillStyle = "#ffffff";
+  ctx.arc(C, C, radius, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+const DRAW = {
+  cross(ctx) {
+    // 1. Soft Glow Background (Subtle)
+    glow(ctx, 0.5, 0.5);
+
+    // 2. Sharp "Star" Cross (The main visible shape)
+    ctx.beginPath();
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 4; // Thicker lines to be visible at small scale
+    ctx.moveTo(C, 0);
+    ctx.lineTo(C, SIZE);
+    ctx.moveTo(0, C);
+    ctx.lineTo(SIZE, C);
+    ctx.stroke();
+
+    // 3. Diagonal rays (smaller)
+    ctx.beginPath();
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)"; // Slightly dimmer
+    ctx.lineWidth = 2;
+    ctx.moveTo(16, 16);
+    ctx.lineTo(48, 48);
+    ctx.moveTo(48, 16);
+    ctx.lineTo(16, 48);
+    ctx.stroke();
+
+    // 4. Solid Core
+    core(ctx, 4);
+  },
+
+  sparkle(ctx) {
+    glow(ctx, 0.4, 0.4);
+    // Rays as thin diamonds: wide at the core, pointed at the edge
+    ctx.fillStyle = "#ffffff";
+    ctx.beginPath();
+    ctx.moveTo(C, 0);
+    ctx.lineTo(C + 3, C - 3);
+    ctx.lineTo(SIZE, C);
+    ctx.lineTo(C + 3, C + 3);
+    ctx.lineTo(C, SIZE);
+    ctx.lineTo(C - 3, C + 3);
+    ctx.lineTo(0, C);
+    ctx.lineTo(C - 3, C - 3);
+    ctx.closePath();
+    ctx.fill();
+    core(ctx, 3);
+  },
+
+  round(ctx) {
+    glow(ctx, 0.7, 0.8);
+    core(ctx, 7);
+  },
+};
@@ -0,0 +1,117 @@
+import { STAR_SHAPES } from "./StarSprite.js";
+
+// The look of the experience in one object, so the engine can dress up for
+// other occasions. ThemeManager applies a theme to every module and
+// cross-fades between them.
+//
+// {
+//   palette: [0xff1493, ...],            // chaos star colors
+//   background: [0x0a0005, 0x000000],    // scene gradient center, edge
+//   star: "cross",                       // sprite, see StarSprite.js
+//   bloom: { strength, radius, threshold },  // UnrealBloomPass
+//   mobileBloom: { strength, threshold },    // overrides on phones
+//   accent: "#ff1493",                   // UI buttons and highlights
+// }
+export const THEMES = {
+  valentine: {
+    label: "Valentine",
+    palette: [0xff1493, 0xff69b4, 0xffb6c1, 0xdc143c, 0xffffff, 0xff0000],
+    background: [0x0a0005, 0x000000],
+    star: "cross",
+    // Softer on desktop, strict threshold there to prevent screen-burn
+    bloom: { strength: 1.1, radius: 0.8, threshold: 0.4 },
+    mobileBloom: { strength: 1.5, threshold: 0.15 },
+    accent: "#ff1493",
+  },
+  birthday: {
+    label: "Birthday",
+    palette: [0xff595e, 0xffca3a, 0x8ac926, 0x1982c4, 0x6a4c93, 0xffffff],
+    background: [0x04060f, 0x000000],
+    star: "sparkle",
+    bloom: { strength: 1.0, radius: 0.6, threshold: 0.45 },
+    mobileBloom: { strength: 1.3, threshold: 0.2 },
+    accent: "#1982c4",
+  },
+  "wedding-gold": {
+    label: "Wedding gold",
+    palette: [0xffd700, 0xf5deb3, 0xfff8dc, 0xdaa520, 0xffffff, 0xeee8aa],
+    background: [0x0a0803, 0x000000],
+    star: "sparkle",
+    bloom: { strength: 1.3, radius: 0.9, threshold: 0.35 },
+    mobileBloom: { strength: 1.6, threshold: 0.15 },
+    accent: "#daa520",
+  },
+  "lunar-new-year": {
+    label: "Lunar New Year",
+    palette: [0xff0000, 0xd7263d, 0xffd700, 0xff8c00, 0xffe4b5, 0xb22222],
+    background: [0x0c0100, 0x000000],
+    star: "round",
+    bloom: { strength: 1.2, radius: 0.7, threshold: 0.4 },
+    mobileBloom: { strength: 1.5, threshold: 0.15 },
+    accent: "#d7263d",
+  },
+};
+
+// Card links store themes by index: only append to this list
+export const THEME_NAMES = [
+  "valentine",
+  "birthday",
+  "wedding-gold",
+  "lunar-new-year",
+];
+
+export const DEFAULT_THEME = "valentine";
+
+function checkColor(value, name) {
+  if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+    throw new Error(`Invalid theme ${name} "${value}"`);
+  }
+  return value;
+}
+
+function checkNumber(value, name) {
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid theme ${name} "${value}"`);
+  }
+  return value;
+}
+
+// A preset name, or a theme object (missing fields come from `base`, a
+// preset name). Returns a complete, validated theme.
+export function resolveTheme(theme = DEFAULT_THEME, base = DEFAULT_THEME) {
+  if (typeof theme === "string") {
+    if (!THEMES[theme]) throw new Error(`Unknown theme "${theme}"`);
+    return resolveTheme({ ...THEMES[theme], name: theme }, theme);
+  }
+  const fallback = THEMES[base];
+  if (!fallback) throw new Error(`Unknown theme "${base}"`);
+
+  const palette = theme.palette ?? fallback.palette;
+  if (!Array.isArray(palette) || palette.length === 0) {
+    throw new Error("Theme palette needs at least one color");
+  }
+  const background = theme.background ?? fallback.background;
+  if (!Array.isArray(background) || background.length !== 2) {
+    throw new Error("Theme background needs a center and an edge color");
+  }
+  const star = theme.star ?? fallback.star;
+  if (!STAR_SHAPES.includes(star)) {
+    throw new Error(`Unknown theme star "${star}"`);
+  }
+  const bloom = { ...fallback.bloom, ...theme.bloom };
+  const mobileBloom = { ...fallback.mobileBloom, ...theme.mobileBloom };
+  Object.entries({ ...bloom, ...mobileBloom }).forEach(([key, value]) =>
+    checkNumber(value, `bloom ${key}`),
+  );
+
+  return {
+    name: theme.name ?? null,
+    label: theme.label ?? THEMES[theme.name]?.label ?? "Custom",
+    palette: palette.map((c) => checkColor(c, "color")),
+    background: background.map((c) => checkColor(c, "background")),
+    star,
+    bloom,
+    mobileBloom,
+    accent: theme.accent ?? fallback.accent,
+  };
+}
@@ -0,0 +1,94 @@
+import * as THREE from "three";
+import gsap from "gsap";
+import { resolveTheme } from "./Theme.js";
+
+// Applies a theme to every module that carries part of the look, and
+// cross-fades from the current one:
+//   background       gradient colors (SceneBackground)
+//   bloomPass        strength / radius / threshold (UnrealBloomPass)
+//   particleSystem   star sprite
+//   shakeController  chaos palette (each star fades to a new pick)
+//   root             `--accent-color` for the HTML UI
+// Any of them may be missing.
+export class ThemeManager {
+  constructor(targets, { isMobile = false } = {}) {
+    this.targets = targets;
+    this.isMobile = isMobile;
+    this.theme = null;
+    this.tween = null;
+    this.listeners = [];
+  }
+
+  // `theme`: preset name or theme object (fields it leaves out come from the
+  // `base` preset, see Theme.js). `duration` (s) is the cross-fade; 0
+  // switches at once. Returns the resolved theme.
+  apply(theme, { duration = 1.5, base } = {}) {
+    const next = resolveTheme(theme, base);
+    const { background, bloomPass, particleSystem, shakeController, root } =
+      this.targets;
+    if (this.tween) this.tween.progress(1).kill(); // Land the previous fade
+
+    const fromColors = background ? background.getColors() : null;
+    const toColors = next.background.map((hex) =>
+      new THREE.Color().setHex(hex, THREE.LinearSRGBColorSpace),
+    );
+    const fromBloom = bloomPass
+      ? {
+          strength: bloomPass.strength,
+          radius: bloomPass.radius,
+          threshold: bloomPass.threshold,
+        }
+      : null;
+    const toBloom = this.bloomSettings(next);
+
+    if (shakeController) shakeController.setPalette(next.palette, duration);
+    if (particleSystem) particleSystem.setSprite(next.star);
+    if (root) root.style.setProperty("--accent-color", next.accent);
+
+    const blend = (t) => {
+      if (background) {
+        background.setColors(
+          fromColors[0].clone().lerp(toColors[0], t),
+          fromColors[1].clone().lerp(toColors[1], t),
+        );
+      }
+      if (bloomPass) {
+        Object.keys(toBloom).forEach((key) => {
+          bloomPass[key] = fromBloom[key] + (toBloom[key] - fromBloom[key]) * t;
+        });
+      }
+      if (particleSystem) particleSystem.setSpriteMix(t);
+    };
+
+    this.theme = next;
+    if (duration > 0) {
+      const proxy = { t: 0 };
+      this.tween = gsap.to(proxy, {
+        t: 1,
+        duration,
+        ease: "sine.inOut",
+        onUpdate: () => blend(proxy.t),
+        onComplete: () => (this.tween = null),
+      });
+    } else {
+      blend(1);
+    }
+    this.listeners.forEach((listener) => listener(next));
+    return next;
+  }
+
+  // listener(theme) after every apply(). Returns unsubscribe.
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  bloomSettings(theme) {
+    const { strength, radius, threshold } = this.isMobile
+      ? { ...theme.bloom, ...theme.mobileBloom }
+      : theme.bloom;
+    return { strength, radius, threshold };
+  }
+}
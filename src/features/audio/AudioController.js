@@ -0,0 +1,199 @@
+import { Howl, Howler } from "howler";
+import {
+  encodeWav,
+  renderAmbient,
+  renderChime,
+  renderPad,
+  renderSparkle,
+  renderTap,
+  renderWhoosh,
+} from "./SoundSynth.js";
+
+const STORAGE_KEY = "particle-magic-audio"; // { muted, volume }
+
+// Mix level of each sound; the master volume scales them all
+const LEVELS = {
+  ambient: 0.25,
+  chime: 0.5,
+  whoosh: 0.6,
+  pad: 0.45,
+  sparkle: 0.5,
+  tap: 0.3,
+};
+const LOOPS = ["ambient", "pad"];
+
+// Successive shapes chime up a pentatonic scale (semitones)
+const CHIME_STEPS = [0, 2, 4, 7, 9, 12];
+
+// The sound layer: an ambient loop plus reactions to the features' events
+// (see EventBus): a chime as a shape forms, a whoosh scaled by the impulse
+// as it bursts, a pad that rises with the bloom, a sparkle on the full
+// bloom pop and soft taps for pulses. Nothing plays before the first user
+// gesture (browser autoplay rules); mute and volume are remembered.
+export class AudioController {
+  constructor(events, { storage = globalThis.localStorage } = {}) {
+    this.events = events;
+    this.storage = storage;
+    this.sounds = {};
+    this.unlocked = false;
+    this.padId = null; // The bloom pad while it plays
+    this.chimeStep = 0;
+    const saved = this.load();
+    this.muted = saved.muted ?? false;
+    this.volume = saved.volume ?? 0.8;
+    this.hushed = false; // Silenced for now, without touching `muted`
+    this.unlock = this.unlock.bind(this);
+  }
+
+  init() {
+    const samples = {
+      ambient: renderAmbient(),
+      chime: renderChime(),
+      whoosh: renderWhoosh(),
+      pad: renderPad(),
+      sparkle: renderSparkle(),
+      tap: renderTap(),
+    };
+    Object.entries(samples).forEach(([name, data]) => {
+      const blob = new Blob([encodeWav(data)], { type: "audio/wav" });
+      this.sounds[name] = new Howl({
+        src: [URL.createObjectURL(blob)],
+        format: ["wav"],
+        volume: LEVELS[name],
+        loop: LOOPS.includes(name),
+      });
+    });
+    Howler.volume(this.volume);
+    Howler.mute(this.muted);
+
+    const when = (type, react) =>
+      this.events.on(type, (detail) => {
+        if (this.unlocked) react(detail);
+      });
+    when("shape:form", () => this.playChime());
+    when("shape:explode", ({ impulse }) => {
+      const force = Math.min(1, impulse / 500);
+      this.play("whoosh", {
+        volume: 0.4 + 0.6 * force,
+        rate: 0.8 + 0.4 * force,
+      });
+    });
+    when("bloom:change", ({ factor }) => this.setBloom(factor));
+    when("bloom:full", () => this.play("sparkle"));
+    when("pulse", ({ strength }) =>
+      this.play("tap", {
+        volume: Math.min(1, strength / 600),
+        rate: 0.9 + Math.random() * 0.2,
+      }),
+    );
+
+    // The same gestures Howler resumes its audio context on
+    ["click", "touchend", "keydown"].forEach((type) =>
+      window.addEventListener(type, this.unlock, { capture: true }),
+    );
+    this.bindControls();
+  }
+
+  // First gesture: sound is allowed from now on
+  unlock() {
+    if (this.unlocked) return;
+    this.unlocked = true;
+    ["click", "touchend", "keydown"].forEach((type) =>
+      window.removeEventListener(type, this.unlock, { capture: true }),
+    );
+    this.sounds.ambient.play();
+  }
+
+  // `volume` is relative to the sound's mix level
+  play(name, { volume = 1, rate = 1 } = {}) {
+    const sound = this.sounds[name];
+    const id = sound.play();
+    sound.volume(LEVELS[name] * volume, id);
+    sound.rate(rate, id);
+    return id;
+  }
+
+  playChime() {
+    const semitones = CHIME_STEPS[this.chimeStep % CHIME_STEPS.length];
+    this.chimeStep++;
+    this.play("chime", { rate: Math.pow(2, semitones / 12) });
+  }
+
+  // The pad swells and rises in pitch with the bloom, and fades out when
+  // the bloom lets go
+  setBloom(factor) {
+    const pad = this.sounds.pad;
+    if (factor > 0) {
+      if (this.padId === null) this.padId = pad.play();
+      pad.volume(LEVELS.pad * factor, this.padId);
+      pad.rate(0.75 + 0.5 * factor, this.padId);
+    } else if (this.padId !== null) {
+      const id = this.padId;
+      this.padId = null;
+      pad.fade(pad.volume(id), 0, 400, id);
+      pad.once("fade", () => pad.stop(id), id);
+    }
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    Howler.mute(muted || this.hushed);
+    this.save();
+    this.updateControls();
+  }
+
+  // Quiet while the phone lies face down; the saved setting stays as it is
+  hush(hushed) {
+    this.hushed = hushed;
+    Howler.mute(this.muted || hushed);
+  }
+
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    Howler.volume(this.volume);
+    this.save();
+    this.updateControls();
+  }
+
+  bindControls() {
+    this.toggle = document.getElementById("audio-toggle");
+    this.slider = document.getElementById("audio-volume");
+    if (this.toggle) {
+      this.toggle.addEventListener("click", () => this.setMuted(!this.muted));
+    }
+    if (this.slider) {
+      this.slider.addEventListener("input", () => {
+        this.setVolume(Number(this.slider.value));
+        if (this.muted && this.volume > 0) this.setMuted(false);
+      });
+    }
+    this.updateControls();
+  }
+
+  updateControls() {
+    if (this.toggle) {
+      this.toggle.textContent = this.muted ? "🔇" : "🔊";
+      this.toggle.setAttribute("aria-pressed", String(this.muted));
+    }
+    if (this.slider) this.slider.value = String(this.volume);
+  }
+
+  load() {
+    try {
+      return JSON.parse(this.storage?.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {}; // Storage blocked or garbled: defaults
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ muted: this.muted, volume: this.volume }),
+      );
+    } catch {
+      // Storage blocked (private mode): settings last for this visit
+    }
+  }
+}
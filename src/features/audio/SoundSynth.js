@@ -0,0 +1,157 @@
+// The sound set, synthesized at startup instead of shipped as files: each
+// render function returns mono samples in [-1, 1] at SAMPLE_RATE, and
+// encodeWav() wraps them for Howler. Loops (ambient, pad) only use
+// frequencies with a whole number of cycles over their length, so they
+// repeat without a click. No DOM, so it runs under Node.
+export const SAMPLE_RATE = 22050;
+
+const TAU = Math.PI * 2;
+
+function buffer(seconds) {
+  return new Float32Array(Math.round(seconds * SAMPLE_RATE));
+}
+
+// The nearest frequency that fits a whole number of cycles in `seconds`
+function loopable(frequency, seconds) {
+  return Math.max(1, Math.round(frequency * seconds)) / seconds;
+}
+
+// Scale so the loudest sample sits at `peak`
+function normalize(samples, peak = 0.9) {
+  let max = 0;
+  for (let i = 0; i < samples.length; i++) {
+    max = Math.max(max, Math.abs(samples[i]));
+  }
+  if (max > 0) {
+    for (let i = 0; i < samples.length; i++) samples[i] *= peak / max;
+  }
+  return samples;
+}
+
+// Bell partials with a soft attack: a shape forming
+export function renderChime(frequency = 880) {
+  const out = buffer(1.6);
+  const partials = [
+    [1, 1, 2.2],
+    [2.76, 0.5, 3.5],
+    [5.4, 0.25, 5],
+  ]; // ratio, gain, decay rate
+  for (let i = 0; i < out.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const attack = Math.min(1, t / 0.01);
+    let v = 0;
+    partials.forEach(([ratio, gain, decay]) => {
+      v += Math.sin(TAU * frequency * ratio * t) * gain * Math.exp(-decay * t);
+    });
+    out[i] = v * attack;
+  }
+  return normalize(out, 0.8);
+}
+
+// Noise through a low-pass that opens and closes: a shape bursting
+export function renderWhoosh(random = Math.random) {
+  const out = buffer(0.9);
+  let low = 0;
+  for (let i = 0; i < out.length; i++) {
+    const t = i / out.length;
+    const envelope = Math.sin(Math.PI * Math.pow(t, 0.6)); // Fast swell
+    const cutoff = 0.02 + 0.25 * envelope; // One-pole coefficient
+    low += (random() * 2 - 1 - low) * cutoff;
+    out[i] = low * envelope;
+  }
+  return normalize(out, 0.8);
+}
+
+// A detuned major chord with a slow shimmer; loops for the bloom, which
+// plays it faster and louder as the bloom opens
+export function renderPad(seconds = 4) {
+  const out = buffer(seconds);
+  const notes = [220, 277.18, 329.63, 440].flatMap((f) => [
+    loopable(f, seconds),
+    loopable(f * 1.004, seconds), // Detuned twin for width
+  ]);
+  const shimmer = loopable(0.5, seconds);
+  for (let i = 0; i < out.length; i++) {
+    const t = i / SAMPLE_RATE;
+    let v = 0;
+    notes.forEach((f) => (v += Math.sin(TAU * f * t)));
+    out[i] = v * (0.8 + 0.2 * Math.sin(TAU * shimmer * t));
+  }
+  return normalize(out, 0.6);
+}
+
+// A run of quick high pings: the full-bloom celebration
+export function renderSparkle(random = Math.random) {
+  const out = buffer(1.2);
+  for (let k = 0; k < 14; k++) {
+    const start = Math.floor(random() * 0.7 * out.length);
+    const frequency = 1800 + random() * 2400;
+    const gain = 0.4 + random() * 0.6;
+    for (let i = start; i < out.length; i++) {
+      const t = (i - start) / SAMPLE_RATE;
+      const decay = Math.exp(-14 * t);
+      if (decay < 0.001) break;
+      out[i] += Math.sin(TAU * frequency * t) * gain * decay;
+    }
+  }
+  return normalize(out, 0.7);
+}
+
+// A short, soft sine blip: a tap pulse
+export function renderTap(frequency = 520) {
+  const out = buffer(0.18);
+  for (let i = 0; i < out.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const attack = Math.min(1, t / 0.004);
+    // The pitch drops a little, like a drop of water
+    const f = frequency * (1 - 0.3 * Math.min(1, t / 0.18));
+    out[i] = Math.sin(TAU * f * t) * attack * Math.exp(-28 * t);
+  }
+  return normalize(out, 0.6);
+}
+
+// A low, breathing drone under everything
+export function renderAmbient(seconds = 8) {
+  const out = buffer(seconds);
+  const root = loopable(55, seconds);
+  const fifth = loopable(82.41, seconds);
+  const octave = loopable(110.2, seconds);
+  const breath = loopable(0.125, seconds);
+  for (let i = 0; i < out.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const swell = 0.6 + 0.4 * Math.sin(TAU * breath * t);
+    out[i] =
+      (Math.sin(TAU * root * t) +
+        0.6 * Math.sin(TAU * fifth * t) +
+        0.3 * Math.sin(TAU * octave * t) * swell) *
+      swell;
+  }
+  return normalize(out, 0.5);
+}
+
+// 16-bit PCM mono WAV file bytes
+export function encodeWav(samples, sampleRate = SAMPLE_RATE) {
+  const bytes = new Uint8Array(44 + samples.length * 2);
+  const view = new DataView(bytes.buffer);
+  const text = (offset, value) =>
+    [...value].forEach((c, k) => (bytes[offset + k] = c.charCodeAt(0)));
+
+  text(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  text(8, "WAVE");
+  text(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // Byte rate
+  view.setUint16(32, 2, true); // Block align
+  view.setUint16(34, 16, true); // Bits per sample
+  text(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) {
+    const v = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, Math.round(v * 32767), true);
+  }
+  return bytes;
+}
@@ -1,76 +1,113 @@
 import * as THREE from "three";
 import gsap from "gsap";
 import { ShapeGenerator } from "../shake/ShapeGenerator.js";
+import { ShapeImporter } from "../shake/ShapeImporter.js";
+import { ShapeLibrary } from "../shake/ShapeLibrary.js";
+import { STATE } from "../../core/ParticleStore.js";
+import { EXPERIENCE, ExperienceMachine } from "../../core/ExperienceMachine.js";
+import { EventBus } from "../../core/EventBus.js";
+import { createHomeProjection } from "../../core/Projection.js";
 
 export class BloomController {
-  constructor(particleSystem) {
+  // options.random / options.viewport stand in for Math.random and window;
+  // options.projection is App's (a camera at home otherwise)
+  constructor(particleSystem, options = {}) {
     this.particleSystem = particleSystem;
-    this.active = false;
+    this.random = options.random ?? Math.random;
+    this.viewport = options.viewport ?? globalThis.window;
+    this.projection =
+      options.projection ?? createHomeProjection(this.viewport);
+    // Owns the bloom's claim on the particles (shared with the shake)
+    this.experience = options.experience ?? new ExperienceMachine();
+    this.experience.register(EXPERIENCE.BLOOMING, this);
+    this.experience.guard("bloom", () => this.targetShapePoints.length > 0);
+    this.events = options.events ?? new EventBus(); // See EventBus for names
     this.center3D = new THREE.Vector3();
     this.initialDistance = 0;
     this.bloomFactor = 0;
-    this.shapeGenerator = new ShapeGenerator();
-    this.bloomParticles = [];
+    this.shapeGenerator = new ShapeGenerator(undefined, {
+      random: this.random,
+    });
+    this.shapeImporter = new ShapeImporter(this.shapeGenerator);
+    this.shapeLibrary = new ShapeLibrary(this.shapeGenerator);
+    this.bloomIndices = new Uint32Array(0);
+    this.tintFrom = new Map(); // Star -> tint mix it had when the bloom began
+    this.lease = null; // Stars of the current bloom
+    this.celebrateTween = null;
     this.targetShapePoints = [];
     this.textRevealed = false;
 
-    // Use a subset of particles
-    const isMobile = window.innerWidth < 600;
-    // Initial guess, will be refined in init() to match point count
-    this.poolStart = isMobile ? 1000 : 2000;
-    this.poolEnd = this.poolStart + 4000;
-
-    // Safety check: ensure we don't exceed maxParticles
-    if (this.poolEnd > this.particleSystem.maxParticles) {
-      this.poolEnd = this.particleSystem.maxParticles;
-    }
-
     // Simulation for Desktop
     this.isMouseDown = false;
     this.lastMouseY = 0;
     this.celebrated = false;
-    this.touchCenter = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+    this.touchCenter = {
+      x: this.viewport.innerWidth / 2,
+      y: this.viewport.innerHeight / 2,
+    };
     this.lockCenter = { x: 0, y: 0 };
     this.isLocked = false;
+    this.scrollTimeout = null;
   }
 
-  async init() {
-    const isMobile = window.innerWidth < 600;
-    const heartScale = isMobile ? 150 : 300; // Parity with Shake heart
-
-    const heartPoints = 4000;
-    this.targetShapePoints = this.shapeGenerator.generateHeartPoints(
-      0,
-      0,
-      heartScale,
-      heartPoints,
-    );
+  get active() {
+    return this.experience.is(EXPERIENCE.BLOOMING);
+  }
 
-    // DENSITY FIX: Ensure pool size matches point count EXACTLY to prevent overlapping contrast
-    this.poolEnd = this.poolStart + heartPoints;
-    if (this.poolEnd > this.particleSystem.maxParticles) {
-      this.poolEnd = this.particleSystem.maxParticles;
-    }
+  // ExperienceMachine hook: claim the pool around the gesture's center.
+  // Any formed shape has already exploded by now.
+  enter(from, { x, y, initialDistance }) {
+    this.initialDistance = initialDistance;
+    this.touchCenter.x = x;
+    this.touchCenter.y = y;
+    this.bloomFactor = 0; // Strict Reset
+    this.prepareBloomParticles(x, y);
+  }
 
-    // Mobile Listeners
-    window.addEventListener("touchstart", this.onTouchStart.bind(this), {
-      passive: false,
-    });
-    window.addEventListener("touchmove", this.onTouchMove.bind(this), {
-      passive: false,
-    });
-    window.addEventListener("touchend", this.onTouchEnd.bind(this));
+  // Pinch (any two pointers), Shift + drag and the wheel all bloom. Ranked
+  // above the shake so a Shift-click never also counts as a shake.
+  bindInput(input) {
+    const priority = { priority: 20 };
+    input.on("pinchstart", (g) => this.onPinchStart(g), priority);
+    input.on("pinch", (g) => this.onPinch(g), priority);
+    input.on("pinchend", () => this.onPinchEnd(), priority);
+    input.on("press", (g) => this.onDragStart(g), priority);
+    input.on("move", (g) => this.onDrag(g), priority);
+    input.on("release", () => this.onDragEnd(), priority);
+    input.on("wheel", (g) => this.onWheel(g), priority);
+  }
 
-    // Desktop Simulation (Shift + Drag)
-    window.addEventListener("mousedown", this.onMouseDown.bind(this));
-    window.addEventListener("mousemove", this.onMouseMove.bind(this));
-    window.addEventListener("mouseup", this.onMouseUp.bind(this));
+  // `shape`: optional playlist entry (built-in shape, svg or image) to
+  // bloom instead of the heart
+  async init(shape = null) {
+    const isMobile = this.viewport.innerWidth < 600;
+    const heartScale = isMobile ? 150 : 300; // Parity with Shake heart
 
-    // Desktop Simulation (Scrollwheel)
-    window.addEventListener("wheel", this.onWheel.bind(this), {
-      passive: false,
-    });
-    this.scrollTimeout = null;
+    const heartPoints = 4000;
+    if (shape && shape.type === "shape") {
+      this.targetShapePoints = this.shapeLibrary.generate(shape.value, {
+        size: shape.size || heartScale,
+        points: Math.min(shape.points || heartPoints, heartPoints),
+        thickness: shape.thickness ?? undefined,
+      });
+    } else if (shape && shape.type !== "text") {
+      try {
+        this.targetShapePoints = await this.shapeImporter.load(shape, {
+          size: shape.size || heartScale * 2,
+          maxPoints: Math.min(shape.points || heartPoints, heartPoints),
+        });
+      } catch (err) {
+        console.warn(`Could not import "${shape.value}":`, err);
+      }
+    }
+    if (this.targetShapePoints.length === 0) {
+      this.targetShapePoints = this.shapeGenerator.generateHeartPoints(
+        0,
+        0,
+        heartScale,
+        heartPoints,
+      );
+    }
 
     // Show hint after 3 seconds if not hidden by shake
     setTimeout(() => {
@@ -81,16 +118,17 @@ export class BloomController {
     }, 5000);
   }
 
-  onWheel(e) {
-    if (e.preventDefault) e.preventDefault();
-
+  onWheel(g) {
     if (!this.active) {
-      this.active = true;
-      this.prepareBloomParticles(window.innerWidth / 2, window.innerHeight / 2);
+      const { innerWidth, innerHeight } = this.viewport;
+      const start = { x: innerWidth / 2, y: innerHeight / 2 };
+      if (!this.experience.send("bloom", { ...start, initialDistance: 0 })) {
+        return false;
+      }
     }
 
     const sensitivity = 0.001;
-    const delta = Math.min(100, Math.max(-100, e.deltaY));
+    const delta = Math.min(100, Math.max(-100, g.deltaY));
     this.bloomFactor = Math.min(
       1.0,
       Math.max(0, this.bloomFactor + delta * sensitivity),
@@ -101,112 +139,109 @@ export class BloomController {
     clearTimeout(this.scrollTimeout);
     this.scrollTimeout = setTimeout(() => {
       if (!this.isMouseDown) {
-        this.onTouchEnd();
+        this.endBloom();
       }
     }, 1000);
+    return true; // No page zoom / scroll
   }
 
-  onMouseDown(e) {
-    if (e.shiftKey) {
-      this.active = true;
-      this.initialDistance = 100;
-      this.isMouseDown = true;
-      this.lastMouseY = e.clientY;
-      this.prepareBloomParticles(e.clientX, e.clientY);
-    }
+  // Desktop Simulation (Shift + Drag)
+  onDragStart(g) {
+    if (!g.shiftKey || g.pointerType !== "mouse") return false;
+    const start = { x: g.x, y: g.y, initialDistance: 100 };
+    if (!this.experience.send("bloom", start)) return false;
+    this.isMouseDown = true;
+    this.lastMouseY = g.y;
+    return true;
   }
 
-  onMouseMove(e) {
-    if (this.active && this.isMouseDown && e.shiftKey) {
-      const delta = (this.lastMouseY - e.clientY) * 3; // Increased simulation speed
+  onDrag(g) {
+    if (!this.isMouseDown) return false;
+    if (this.active && g.shiftKey) {
+      const delta = (this.lastMouseY - g.y) * 3; // Increased simulation speed
       this.bloomFactor = Math.min(1.0, Math.max(0, delta / 200));
       this.updateBloom();
     }
+    return true;
   }
 
-  onMouseUp() {
-    if (this.isMouseDown) {
-      this.isMouseDown = false;
-      this.onTouchEnd();
-    }
+  onDragEnd() {
+    if (!this.isMouseDown) return false;
+    this.isMouseDown = false;
+    this.endBloom();
+    return true;
   }
 
-  onTouchStart(e) {
-    if (e.touches && e.touches.length === 2) {
-      if (e.preventDefault) e.preventDefault();
-      this.active = true;
-      const t1 = e.touches[0];
-      const t2 = e.touches[1];
-      const dist = Math.hypot(t2.clientX - t1.clientX, t2.clientY - t1.clientY);
+  onPinchStart(g) {
+    return this.experience.send("bloom", {
+      x: g.x,
+      y: g.y,
       // Phase 62: Increased Safety Floor (50px) to prevent "Aggressive Bloom"
-      this.initialDistance = Math.max(50, dist);
-      this.touchCenter.x = (t1.clientX + t2.clientX) / 2;
-      this.touchCenter.y = (t1.clientY + t2.clientY) / 2;
-      this.bloomFactor = 0; // Strict Reset
-      this.prepareBloomParticles(this.touchCenter.x, this.touchCenter.y);
-    }
+      initialDistance: Math.max(50, g.startDistance),
+    });
   }
 
   prepareBloomParticles(centerX, centerY) {
-    const aspect = window.innerWidth / window.innerHeight;
-    this.center3D.set(
-      (centerX / window.innerWidth) * 2 - 1,
-      -(centerY / window.innerHeight) * 2 + 1,
-      0,
-    );
-    // Multiply by responsive bounds
-    this.center3D.x *= 450; // Slightly wider range
-
-    // Perfect mobile centering:
-    // Camera Z=600, FOV=75 -> Total visible height at Z=0 is ~920 units.
-    // Half height is ~460.
-    this.center3D.y *= 460;
-
-    // Add offset for mobile UI elements that might push focus higher
-    if (aspect < 1) {
-      this.center3D.y += 100; // Push center higher as users usually pinch in the lower half
-    }
-
-    this.bloomParticles = this.particleSystem.particles.slice(
-      this.poolStart,
-      this.poolEnd,
-    );
-    this.bloomParticles.forEach((p) => {
-      p.state = "blooming";
-      gsap.killTweensOf(p);
-      p.vx = p.vy = p.vz = 0; // Stop drift briefly for cleaner form
-
-      // Phase 57: Immediate initialization to current position
-      // Prevents collapse to (0,0,0) if gesture ends instantly
-      p.bloomX = p.x;
-      p.bloomY = p.y;
-      p.bloomZ = p.z;
-      p.bloomMix = 0;
+    // Right under the fingers, wherever the camera is; the center of the
+    // stage if it is seen edge-on
+    const center = this.projection.screenToWorld(centerX, centerY);
+    if (center) this.center3D.copy(center);
+    else this.center3D.set(0, 0, 0);
+
+    // DENSITY FIX: Lease exactly one star per point to prevent overlapping contrast
+    const store = this.particleSystem.store;
+    this.lease = this.particleSystem.lease(this.targetShapePoints.length, {
+      owner: "bloom",
+      priority: 20,
+      onRevoke: () => this.dropStars(),
+      // The pool shrank: the remaining stars share the shape's points
+      onShrink: (lease) =>
+        (this.bloomIndices = Uint32Array.from(lease.indices)),
+    });
+    this.bloomIndices = Uint32Array.from(this.lease.indices);
+    this.bloomIndices.forEach((i, k) => {
+      store.state[i] = STATE.BLOOMING;
+      this.particleSystem.setVelocity(i, 0, 0, 0); // Stop drift briefly for cleaner form
+      // Blends in from wherever the star is drawn (store.position is stale
+      // in GPU mode); updateBloom() below sets its target on the shape
+      store.setBloomMix(i, 0);
+
+      // Imported artwork brings its own colors, blended in with the bloom.
+      // A star still fading out a shape's tint carries on from there.
+      const target = this.targetShapePoints[k % this.targetShapePoints.length];
+      if (target.color) {
+        store.setTintTarget(i, target.color.r, target.color.g, target.color.b);
+      }
+      this.tintFrom.set(i, store.getTintMix(i));
     });
 
     // Push initial targets immediately
     this.updateBloom();
   }
 
-  onTouchMove(e) {
-    if (this.active && e.touches && e.touches.length === 2) {
-      if (e.preventDefault) e.preventDefault();
-      const t1 = e.touches[0];
-      const t2 = e.touches[1];
-      const currentDistance = Math.hypot(
-        t2.clientX - t1.clientX,
-        t2.clientY - t1.clientY,
-      );
+  onPinch(g) {
+    if (!this.active) return false;
+    this.touchCenter.x = g.x;
+    this.touchCenter.y = g.y;
 
-      this.touchCenter.x = (t1.clientX + t2.clientX) / 2;
-      this.touchCenter.y = (t1.clientY + t2.clientY) / 2;
+    this.bloomFactor = Math.min(
+      1.0,
+      Math.max(0, (g.distance / this.initialDistance - 1) * 0.4), // Phase 60: Softened (0.8 -> 0.4)
+    );
+    this.updateBloom();
+    return true;
+  }
 
-      this.bloomFactor = Math.min(
-        1.0,
-        Math.max(0, (currentDistance / this.initialDistance - 1) * 0.4), // Phase 60: Softened (0.8 -> 0.4)
-      );
-      this.updateBloom();
-    }
+  onPinchEnd() {
+    if (!this.active) return false;
+    this.endBloom();
+    return true;
+  }
+
+  // Text shown at full bloom (a card's own message)
+  setMessage(text) {
+    const bloomMsg = document.querySelector("#bloom-message");
+    if (bloomMsg) bloomMsg.textContent = text;
   }
 
   updateUI() {
@@ -248,35 +283,54 @@ export class BloomController {
   }
 
   updateBloom() {
-    this.bloomParticles.forEach((p, i) => {
-      const targetIndex = i % this.targetShapePoints.length;
-      const target = this.targetShapePoints[targetIndex];
-      const f = this.bloomFactor;
+    const store = this.particleSystem.store;
+    // Phase 59: Cubic smoothing to prevent "white clump" at low factors
+    // f^3 ensures the heart starts small/invisible and expands quickly
+    const mix = Math.pow(this.bloomFactor, 3);
 
-      p.bloomX = this.center3D.x + target.x;
-      p.bloomY = this.center3D.y - target.y;
-      p.bloomZ = target.z || 0;
+    this.bloomIndices.forEach((i, k) => {
+      const targetIndex = k % this.targetShapePoints.length;
+      const target = this.targetShapePoints[targetIndex];
 
-      // Phase 59: Cubic smoothing to prevent "white clump" at low factors
-      // f^3 ensures the heart starts small/invisible and expands quickly
-      p.bloomMix = Math.pow(f, 3);
+      store.setBloomTarget(
+        i,
+        this.center3D.x + target.x,
+        this.center3D.y - target.y,
+        target.z || 0,
+      );
+      store.setBloomMix(i, mix);
+      // Toward the artwork's color, or out of any leftover tint
+      const from = this.tintFrom.get(i) ?? 0;
+      store.setTintMix(
+        i,
+        target.color ? from + (1 - from) * mix : from * (1 - mix),
+      );
     });
+    this.particleSystem.markDirty();
+    this.events.emit("bloom:change", { factor: this.bloomFactor });
 
     // CELEBRATION BURST (One-time pop when full)
     if (this.bloomFactor > 0.99 && !this.celebrated) {
       this.celebrated = true;
+      this.events.emit("bloom:full");
 
       // LOCK POSITION for UI text
       this.isLocked = true;
       this.lockCenter.x = this.touchCenter.x;
       this.lockCenter.y = this.touchCenter.y;
 
-      gsap.to(this.bloomParticles, {
-        bloomMix: 1.1, // Subtle pop instead of blinding burst
+      const proxy = { value: mix };
+      const indices = this.bloomIndices;
+      this.celebrateTween = gsap.to(proxy, {
+        value: 1.1, // Subtle pop instead of blinding burst
         duration: 0.3,
         yoyo: true,
         repeat: 1,
         ease: "power2.out",
+        onUpdate: () => {
+          indices.forEach((i) => store.setBloomMix(i, proxy.value));
+          this.particleSystem.markDirty();
+        },
       });
     } else if (this.bloomFactor < 0.9) {
       this.celebrated = false;
@@ -287,49 +341,45 @@ export class BloomController {
     this.updateUI();
   }
 
-  onTouchEnd() {
-    this.active = false;
+  endBloom() {
+    clearTimeout(this.scrollTimeout);
+    this.experience.send("release");
+  }
+
+  // ExperienceMachine hook: hand every bloom star back to the chaos
+  exit() {
     this.bloomFactor = 0;
     this.isLocked = false;
     this.updateUI();
+    this.events.emit("bloom:change", { factor: 0 });
 
     // Phase 59: Hard kill all celebration tweens to prevent "re-forming" heart flash
-    gsap.killTweensOf(this.bloomParticles);
+    if (this.celebrateTween) this.celebrateTween.kill();
 
     // SEAMLESS EXPLOSION: No more tweening bloomMix to 0
-    this.bloomParticles.forEach((p) => {
+    this.bloomIndices.forEach((i) => {
       // Phase 58: Resolve full visual hierarchy (Base Shape -> Bloom)
       // This prevents the "flash" of a heart if released during a pinch-in.
-      const baseX = p.x * (1 - p.shapeMix) + p.shapeX * p.shapeMix;
-      const baseY = p.y * (1 - p.shapeMix) + p.shapeY * p.shapeMix;
-      const baseZ = p.z * (1 - p.shapeMix) + p.shapeZ * p.shapeMix;
-
-      const mix = p.bloomMix;
-      p.x = baseX * (1 - mix) + p.bloomX * mix;
-      p.y = baseY * (1 - mix) + p.bloomY * mix;
-      p.z = baseZ * (1 - mix) + p.bloomZ * mix;
-
-      // 2. Kill ALL shape influences (Bloom and Text)
-      p.bloomMix = 0;
-      p.shapeMix = 0;
-      p.state = "chaos";
-      const impulse = 250 + Math.random() * 250; // Phase 63: Boosted (180-300 -> 250-500)
-      const angle = Math.random() * Math.PI * 2;
-      p.vx = Math.cos(angle) * impulse;
-      p.vy = Math.sin(angle) * impulse;
-      p.vz = (Math.random() - 0.5) * impulse;
+      // Kills ALL shape influences (Bloom and Text) in the same step.
+      const impulse = 250 + this.random() * 250; // Phase 63: Boosted (180-300 -> 250-500)
+      const angle = this.random() * Math.PI * 2;
+      this.particleSystem.release(
+        i,
+        Math.cos(angle) * impulse,
+        Math.sin(angle) * impulse,
+        (this.random() - 0.5) * impulse,
+      );
     });
 
-    this.bloomParticles = []; // Clear the array as particles are now in chaos
+    if (this.lease) this.lease.release();
+    this.dropStars(); // Particles are now in chaos
   }
 
-  update(dt) {
-    if (this.active) {
-      // Jitter during bloom
-      this.bloomParticles.forEach((p) => {
-        p.x += (Math.random() - 0.5) * 2;
-        p.y += (Math.random() - 0.5) * 2;
-      });
-    }
+  // Forget the leased stars (returned, or taken by a higher priority)
+  dropStars() {
+    if (this.celebrateTween) this.celebrateTween.kill();
+    this.bloomIndices = new Uint32Array(0);
+    this.tintFrom.clear();
+    this.lease = null;
   }
 }
@@ -0,0 +1,87 @@
+import { CAPTURE_FORMATS } from "./CaptureEncoders.js";
+
+const MAX_SCREEN_SIZE = 1920; // px on the long side for "screen" captures
+
+// The record control: format, resolution and duration pickers plus a
+// start/stop button. The capture itself runs in App.capture(); the result
+// is offered as a download.
+export class CaptureController {
+  constructor(app) {
+    this.app = app;
+    this.recording = false;
+  }
+
+  init() {
+    this.panel = document.getElementById("capture-panel");
+    if (!this.panel) return;
+    this.button = document.getElementById("capture-btn");
+    this.formatSelect = document.getElementById("capture-format");
+    this.sizeSelect = document.getElementById("capture-size");
+    this.durationSelect = document.getElementById("capture-duration");
+
+    this.button.addEventListener("click", () => {
+      if (this.recording) this.stop();
+      else this.start();
+    });
+  }
+
+  async start() {
+    const format = this.formatSelect.value;
+    const { width, height } = this.resolution(this.sizeSelect.value);
+    const duration = Number(this.durationSelect.value);
+
+    this.recording = true;
+    this.panel.classList.add("recording");
+    this.setLabel("■ Stop");
+    try {
+      const blob = await this.app.capture({
+        format,
+        width,
+        height,
+        duration,
+        onProgress: (p) => this.setLabel(`■ Stop ${Math.round(p * 100)}%`),
+      });
+      this.download(blob, CAPTURE_FORMATS[format].extension);
+    } catch (e) {
+      console.warn("Capture failed:", e);
+    } finally {
+      this.recording = false;
+      this.panel.classList.remove("recording");
+      this.setLabel("● Record");
+    }
+  }
+
+  stop() {
+    this.app.stopCapture();
+  }
+
+  // "screen" = the window at device resolution; otherwise "WIDTHxHEIGHT"
+  resolution(value) {
+    if (value === "screen") {
+      const ratio = window.devicePixelRatio || 1;
+      const width = window.innerWidth * ratio;
+      const height = window.innerHeight * ratio;
+      const scale = Math.min(1, MAX_SCREEN_SIZE / Math.max(width, height));
+      return { width: width * scale, height: height * scale };
+    }
+    const [width, height] = value.split("x").map(Number);
+    if (!(width > 0 && height > 0)) {
+      throw new Error(`Invalid capture resolution "${value}"`);
+    }
+    return { width, height };
+  }
+
+  download(blob, extension) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    link.download = `valentine-${stamp}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  setLabel(text) {
+    this.button.textContent = text;
+  }
+}
@@ -0,0 +1,207 @@
+import { GifEncoder } from "./GifEncoder.js";
+import { WebMMuxer } from "./WebMMuxer.js";
+import { ZipWriter } from "./ZipWriter.js";
+
+// Output formats of a capture. Each encoder takes the same calls:
+//   await start(canvas)          canvas = the 2D frame App draws into
+//   await addFrame(canvas, i)    after frame i has been drawn
+//   await finish() -> Blob
+// and exposes `fps`, which fixes the capture's timestep.
+export const CAPTURE_FORMATS = {
+  webm: { label: "WebM video", extension: "webm", fps: 30 },
+  gif: { label: "Animated GIF", extension: "gif", fps: 20, maxSize: 480 },
+  png: { label: "PNG sequence (.zip)", extension: "zip", fps: 30 },
+};
+
+const VIDEO_BITRATE = 8_000_000;
+const KEY_FRAME_INTERVAL = 2; // s
+
+export function createCaptureEncoder(format, { width, height }) {
+  const spec = CAPTURE_FORMATS[format];
+  if (!spec) throw new Error(`Unknown capture format "${format}"`);
+  switch (format) {
+    case "webm":
+      return WebCodecsEncoder.isSupported()
+        ? new WebCodecsEncoder(spec, width, height)
+        : new MediaRecorderEncoder(spec, width, height);
+    case "gif":
+      return new GifFrameEncoder(spec, width, height);
+    default:
+      return new PngSequenceEncoder(spec, width, height);
+  }
+}
+
+// WebCodecs: frames carry their own timestamps, so the video plays at the
+// capture's timestep however long each frame took to render
+class WebCodecsEncoder {
+  static isSupported() {
+    return typeof VideoEncoder !== "undefined";
+  }
+
+  constructor(spec, width, height) {
+    this.fps = spec.fps;
+    this.width = width;
+    this.height = height;
+    this.error = null;
+  }
+
+  async start() {
+    const codecs = [
+      ["vp09.00.10.08", "V_VP9"],
+      ["vp8", "V_VP8"],
+    ];
+    let config = null;
+    let codecId = null;
+    for (const [codec, id] of codecs) {
+      const candidate = {
+        codec,
+        width: this.width,
+        height: this.height,
+        bitrate: VIDEO_BITRATE,
+        framerate: this.fps,
+      };
+      const { supported } = await VideoEncoder.isConfigSupported(candidate);
+      if (supported) {
+        config = candidate;
+        codecId = id;
+        break;
+      }
+    }
+    if (!config) throw new Error("No WebM codec is available for capture");
+
+    this.muxer = new WebMMuxer({
+      width: this.width,
+      height: this.height,
+      codec: codecId,
+      frameDuration: 1000 / this.fps,
+    });
+    this.encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        const isKey = chunk.type === "key";
+        this.muxer.addFrame(data, chunk.timestamp / 1000, isKey);
+      },
+      error: (e) => (this.error = e),
+    });
+    this.encoder.configure(config);
+  }
+
+  async addFrame(canvas, index) {
+    if (this.error) throw this.error;
+    const frame = new VideoFrame(canvas, {
+      timestamp: Math.round((index * 1e6) / this.fps), // µs
+      duration: Math.round(1e6 / this.fps),
+    });
+    const keyFrame = index % (this.fps * KEY_FRAME_INTERVAL) === 0;
+    this.encoder.encode(frame, { keyFrame });
+    frame.close();
+
+    // Keep the queue short so frames are not all held in memory
+    while (this.encoder.encodeQueueSize > 4) {
+      await new Promise((resolve) =>
+        this.encoder.addEventListener("dequeue", resolve, { once: true }),
+      );
+    }
+  }
+
+  async finish() {
+    await this.encoder.flush();
+    this.encoder.close();
+    if (this.error) throw this.error;
+    return new Blob([this.muxer.finish()], { type: "video/webm" });
+  }
+}
+
+// MediaRecorder fallback: it stamps frames as they arrive, so frames are
+// paced out in real time to keep the video at the right speed
+class MediaRecorderEncoder {
+  constructor(spec) {
+    this.fps = spec.fps;
+    this.chunks = [];
+  }
+
+  async start(canvas) {
+    const mimeType = ["video/webm;codecs=vp9", "video/webm"].find((type) =>
+      MediaRecorder.isTypeSupported(type),
+    );
+    if (!mimeType) throw new Error("This browser cannot record WebM");
+
+    this.stream = canvas.captureStream(0); // Frames only on requestFrame()
+    this.track = this.stream.getVideoTracks()[0];
+    this.recorder = new MediaRecorder(this.stream, {
+      mimeType,
+      videoBitsPerSecond: VIDEO_BITRATE,
+    });
+    this.recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    };
+    this.recorder.start();
+  }
+
+  async addFrame() {
+    this.track.requestFrame();
+    await new Promise((resolve) => setTimeout(resolve, 1000 / this.fps));
+  }
+
+  async finish() {
+    const stopped = new Promise((resolve) => (this.recorder.onstop = resolve));
+    this.recorder.stop();
+    await stopped;
+    this.track.stop();
+    return new Blob(this.chunks, { type: "video/webm" });
+  }
+}
+
+// GIFs get big fast: frames are scaled down to `maxSize` on the long side
+class GifFrameEncoder {
+  constructor(spec, width, height) {
+    this.fps = spec.fps;
+    const scale = Math.min(1, spec.maxSize / Math.max(width, height));
+    this.width = Math.round(width * scale);
+    this.height = Math.round(height * scale);
+  }
+
+  async start() {
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.context = this.canvas.getContext("2d", { willReadFrequently: true });
+    this.gif = new GifEncoder(this.width, this.height, {
+      delay: Math.round(100 / this.fps),
+    });
+  }
+
+  async addFrame(canvas) {
+    this.context.drawImage(canvas, 0, 0, this.width, this.height);
+    const { data } = this.context.getImageData(0, 0, this.width, this.height);
+    this.gif.addFrame(data);
+    // Let the page breathe between frames
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  async finish() {
+    return new Blob([this.gif.finish()], { type: "image/gif" });
+  }
+}
+
+class PngSequenceEncoder {
+  constructor(spec) {
+    this.fps = spec.fps;
+    this.zip = new ZipWriter();
+  }
+
+  async start() {}
+
+  async addFrame(canvas, index) {
+    const blob = await new Promise((resolve) =>
+      canvas.toBlob(resolve, "image/png"),
+    );
+    const data = new Uint8Array(await blob.arrayBuffer());
+    this.zip.add(`frame-${String(index).padStart(4, "0")}.png`, data);
+  }
+
+  async finish() {
+    return this.zip.finish();
+  }
+}
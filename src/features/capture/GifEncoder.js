@@ -0,0 +1,199 @@
+// Animated GIF89a writer with no dependencies. Every frame gets its own
+// 256-colour palette (the most common colours of that frame, binned to
+// 5 bits per channel), so the pink glow and the white stars both survive.
+const MAX_CODES = 4096;
+
+export class GifEncoder {
+  // options.delay is the frame time in hundredths of a second; options.loop
+  // is the repeat count (0 = forever)
+  constructor(width, height, { delay = 5, loop = 0 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.delay = delay;
+    this.bytes = []; // Pending bytes, moved into `parts` after each frame
+    this.parts = [];
+    this.dictionary = new Int16Array(MAX_CODES * 256); // prefix|byte -> code
+
+    this.writeString("GIF89a");
+    this.writeShort(width);
+    this.writeShort(height);
+    this.bytes.push(0x00, 0x00, 0x00); // No global palette
+    // NETSCAPE2.0 application extension: loop count
+    this.bytes.push(0x21, 0xff, 0x0b);
+    this.writeString("NETSCAPE2.0");
+    this.bytes.push(0x03, 0x01);
+    this.writeShort(loop);
+    this.bytes.push(0x00);
+  }
+
+  // `rgba` is width * height * 4 bytes, as from getImageData()
+  addFrame(rgba) {
+    const { palette, indices } = quantize(rgba, this.width * this.height);
+
+    // Graphic control: keep the previous frame, fixed delay, no transparency
+    this.bytes.push(0x21, 0xf9, 0x04, 0x04);
+    this.writeShort(this.delay);
+    this.bytes.push(0x00, 0x00);
+
+    // Image descriptor with a 256-entry local palette
+    this.bytes.push(0x2c);
+    this.writeShort(0);
+    this.writeShort(0);
+    this.writeShort(this.width);
+    this.writeShort(this.height);
+    this.bytes.push(0x87);
+    for (let i = 0; i < 256 * 3; i++) this.bytes.push(palette[i]);
+
+    this.bytes.push(8); // LZW minimum code size
+    this.writeBlocks(this.compress(indices, 8));
+    this.flush();
+  }
+
+  // The whole file as one byte array
+  finish() {
+    this.bytes.push(0x3b);
+    this.flush();
+    const length = this.parts.reduce((sum, part) => sum + part.length, 0);
+    const file = new Uint8Array(length);
+    let offset = 0;
+    this.parts.forEach((part) => {
+      file.set(part, offset);
+      offset += part.length;
+    });
+    return file;
+  }
+
+  flush() {
+    this.parts.push(Uint8Array.from(this.bytes));
+    this.bytes = [];
+  }
+
+  // Variable-width LZW as the GIF spec wants it: clear code first, widths
+  // grow up to 12 bits, then the table is cleared and starts over
+  compress(indices, minCodeSize) {
+    const out = [];
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let buffer = 0;
+    let bits = 0;
+    const write = (code) => {
+      buffer |= code << bits;
+      bits += codeSize;
+      while (bits >= 8) {
+        out.push(buffer & 0xff);
+        buffer >>>= 8;
+        bits -= 8;
+      }
+    };
+
+    const dictionary = this.dictionary;
+    dictionary.fill(0);
+    write(clear);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const key = (prefix << 8) | indices[i];
+      const code = dictionary[key];
+      if (code) {
+        prefix = code;
+        continue;
+      }
+      write(prefix);
+      if (next === MAX_CODES) {
+        write(clear);
+        dictionary.fill(0);
+        codeSize = minCodeSize + 1;
+        next = end + 1;
+      } else {
+        if (next >= 1 << codeSize) codeSize++;
+        dictionary[key] = next++;
+      }
+      prefix = indices[i];
+    }
+    write(prefix);
+    write(end);
+    if (bits > 0) out.push(buffer & 0xff);
+    return out;
+  }
+
+  // Data sub-blocks of at most 255 bytes, then the terminator
+  writeBlocks(data) {
+    for (let i = 0; i < data.length; i += 255) {
+      const size = Math.min(255, data.length - i);
+      this.bytes.push(size);
+      for (let j = 0; j < size; j++) this.bytes.push(data[i + j]);
+    }
+    this.bytes.push(0x00);
+  }
+
+  writeShort(value) {
+    this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+  }
+
+  writeString(text) {
+    for (let i = 0; i < text.length; i++) this.bytes.push(text.charCodeAt(i));
+  }
+}
+
+// Popularity quantizer: the 256 fullest 15-bit colour bins become the
+// palette (each at its bin's average colour), everything else maps to the
+// nearest entry
+export function quantize(rgba, pixelCount) {
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  const bins = new Uint16Array(pixelCount);
+  for (let p = 0; p < pixelCount; p++) {
+    const r = rgba[p * 4];
+    const g = rgba[p * 4 + 1];
+    const b = rgba[p * 4 + 2];
+    const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    bins[p] = bin;
+    counts[bin]++;
+    sums[bin * 3] += r;
+    sums[bin * 3 + 1] += g;
+    sums[bin * 3 + 2] += b;
+  }
+
+  const used = [];
+  for (let bin = 0; bin < 32768; bin++) if (counts[bin]) used.push(bin);
+  used.sort((a, b) => counts[b] - counts[a]);
+
+  const palette = new Uint8Array(256 * 3);
+  const lookup = new Int16Array(32768).fill(-1);
+  const size = Math.min(256, used.length);
+  for (let i = 0; i < size; i++) {
+    const bin = used[i];
+    palette[i * 3] = Math.round(sums[bin * 3] / counts[bin]);
+    palette[i * 3 + 1] = Math.round(sums[bin * 3 + 1] / counts[bin]);
+    palette[i * 3 + 2] = Math.round(sums[bin * 3 + 2] / counts[bin]);
+    lookup[bin] = i;
+  }
+
+  const indices = new Uint8Array(pixelCount);
+  for (let p = 0; p < pixelCount; p++) {
+    const bin = bins[p];
+    if (lookup[bin] < 0) lookup[bin] = nearest(palette, size, bin);
+    indices[p] = lookup[bin];
+  }
+  return { palette, indices };
+}
+
+function nearest(palette, size, bin) {
+  const r = ((bin >> 10) << 3) | 4;
+  const g = (((bin >> 5) & 31) << 3) | 4;
+  const b = ((bin & 31) << 3) | 4;
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < size; i++) {
+    const dr = palette[i * 3] - r;
+    const dg = palette[i * 3 + 1] - g;
+    const db = palette[i * 3 + 2] - b;
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,166 @@
+// Minimal WebM (Matroska) writer for one video track of encoded VP8/VP9
+// frames, as WebCodecs' VideoEncoder hands them out. Everything stays in
+// memory and is laid out on finish(), so every element size is known and
+// no seeking back is needed. A new cluster starts at every key frame.
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+};
+
+const MAX_BLOCK_OFFSET = 32767; // Block timecodes are int16 per cluster
+
+export class WebMMuxer {
+  // codec is the Matroska codec id ("V_VP9" or "V_VP8"); frameDuration in ms
+  constructor({ width, height, codec = "V_VP9", frameDuration = 1000 / 30 }) {
+    this.width = width;
+    this.height = height;
+    this.codec = codec;
+    this.frameDuration = frameDuration;
+    this.clusters = []; // { timecode, blocks: [Uint8Array] }
+    this.lastTimestamp = 0;
+  }
+
+  // One encoded frame; `timestamp` in ms from the start
+  addFrame(data, timestamp, isKey) {
+    const time = Math.round(timestamp);
+    let cluster = this.clusters[this.clusters.length - 1];
+    if (!cluster || isKey || time - cluster.timecode > MAX_BLOCK_OFFSET) {
+      cluster = { timecode: time, blocks: [] };
+      this.clusters.push(cluster);
+    }
+
+    const offset = time - cluster.timecode;
+    const header = Uint8Array.of(
+      0x81, // Track number 1 as an EBML varint
+      (offset >> 8) & 0xff,
+      offset & 0xff,
+      isKey ? 0x80 : 0x00,
+    );
+    cluster.blocks.push(element(ID.SimpleBlock, concat([header, data])));
+    this.lastTimestamp = Math.max(this.lastTimestamp, timestamp);
+  }
+
+  // The whole file as one byte array
+  finish() {
+    const header = master(ID.EBML, [
+      uint(ID.EBMLVersion, 1),
+      uint(ID.EBMLReadVersion, 1),
+      uint(ID.EBMLMaxIDLength, 4),
+      uint(ID.EBMLMaxSizeLength, 8),
+      string(ID.DocType, "webm"),
+      uint(ID.DocTypeVersion, 2),
+      uint(ID.DocTypeReadVersion, 2),
+    ]);
+    const info = master(ID.Info, [
+      uint(ID.TimecodeScale, 1000000), // Timecodes in ms
+      string(ID.MuxingApp, "valentine"),
+      string(ID.WritingApp, "valentine"),
+      float(ID.Duration, this.lastTimestamp + this.frameDuration),
+    ]);
+    const tracks = master(ID.Tracks, [
+      master(ID.TrackEntry, [
+        uint(ID.TrackNumber, 1),
+        uint(ID.TrackUID, 1),
+        uint(ID.TrackType, 1), // Video
+        string(ID.CodecID, this.codec),
+        master(ID.Video, [
+          uint(ID.PixelWidth, this.width),
+          uint(ID.PixelHeight, this.height),
+        ]),
+      ]),
+    ]);
+    const clusters = this.clusters.map(({ timecode, blocks }) =>
+      master(ID.Cluster, [uint(ID.Timecode, timecode), ...blocks]),
+    );
+    return concat([header, master(ID.Segment, [info, tracks, ...clusters])]);
+  }
+}
+
+// --- EBML encoding ------------------------------------------------------
+
+// Element ids already carry their length marker: write their bytes as-is
+function idBytes(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value % 256);
+  }
+  return bytes;
+}
+
+// Data size as a variable-length integer (marker bit + value)
+export function encodeSize(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  if (length > 8) throw new Error(`EBML size ${size} is too large`);
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function element(id, data) {
+  return concat([Uint8Array.from(idBytes(id)), encodeSize(data.length), data]);
+}
+
+function master(id, children) {
+  return element(id, concat(children));
+}
+
+function uint(id, value) {
+  const bytes = [];
+  let rest = value;
+  do {
+    bytes.unshift(rest % 256);
+    rest = Math.floor(rest / 256);
+  } while (rest > 0);
+  return element(id, Uint8Array.from(bytes));
+}
+
+function float(id, value) {
+  const data = new Uint8Array(8);
+  new DataView(data.buffer).setFloat64(0, value);
+  return element(id, data);
+}
+
+function string(id, text) {
+  return element(id, new TextEncoder().encode(text));
+}
+
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
@@ -0,0 +1,82 @@
+// Store-only ZIP archive (no compression: PNGs are compressed already) used
+// to hand a PNG sequence over as a single download.
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+export function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = []; // { name, crc, size, offset } for the central directory
+    this.offset = 0;
+  }
+
+  add(name, data) {
+    const nameBytes = new TextEncoder().encode(name);
+    const entry = {
+      name: nameBytes,
+      crc: crc32(data),
+      size: data.length,
+      offset: this.offset,
+    };
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // Local file header
+    header.setUint16(4, 20, true); // Version needed
+    this.writeEntryFields(header, 6, entry);
+    this.push(new Uint8Array(header.buffer), nameBytes, data);
+    this.entries.push(entry);
+  }
+
+  // The archive as a Blob
+  finish() {
+    const start = this.offset;
+    this.entries.forEach((entry) => {
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true); // Central directory header
+      header.setUint16(4, 20, true); // Version made by
+      header.setUint16(6, 20, true); // Version needed
+      this.writeEntryFields(header, 8, entry);
+      header.setUint32(42, entry.offset, true);
+      this.push(new Uint8Array(header.buffer), entry.name);
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, this.offset - start, true);
+    end.setUint32(16, start, true);
+    this.push(new Uint8Array(end.buffer));
+    return new Blob(this.parts, { type: "application/zip" });
+  }
+
+  // Flags, method (0 = stored), time, date, crc, sizes and name length: the
+  // run of fields local and central headers share
+  writeEntryFields(view, at, entry) {
+    view.setUint16(at, 0x0800, true); // UTF-8 names
+    view.setUint16(at + 2, 0, true);
+    view.setUint16(at + 4, 0, true);
+    view.setUint16(at + 6, 0x21, true); // 1980-01-01
+    view.setUint32(at + 8, entry.crc, true);
+    view.setUint32(at + 12, entry.size, true);
+    view.setUint32(at + 16, entry.size, true);
+    view.setUint16(at + 20, entry.name.length, true);
+  }
+
+  push(...parts) {
+    parts.forEach((part) => {
+      this.parts.push(part);
+      this.offset += part.length;
+    });
+  }
+}
@@ -0,0 +1,117 @@
+import { BEAT_SPEED } from "../../core/ParticleSimulation.js";
+
+const STORAGE_KEY = "particle-magic-haptics"; // { enabled }
+
+// Vibration patterns: on / off / on ... milliseconds
+export const HAPTIC_PATTERNS = {
+  form: [30, 50, 60], // A shape gathers
+  morph: [25, 40, 25], // It flows into the next shape
+  explode: [90], // It bursts
+  heartbeat: [40, 120, 25], // Lub-dub
+  pop: [20, 30, 20, 30, 80], // Full bloom
+};
+
+// Vibration as a feedback channel (Vibration API): patterns as a shape forms,
+// morphs and bursts, a pop at full bloom and, while a shape is held or a
+// bloom is open, a heartbeat on the top of every beat of the stars' own
+// pulse (BEAT_SPEED). A no-op where vibrate() is missing (iOS, desktops),
+// before the page has had a user gesture (browsers block it) and while
+// switched off; the switch is remembered.
+export class HapticController {
+  constructor(
+    events,
+    {
+      navigator = globalThis.navigator,
+      storage = globalThis.localStorage,
+    } = {},
+  ) {
+    this.events = events;
+    this.navigator = navigator;
+    this.storage = storage;
+    this.supported = typeof navigator?.vibrate === "function";
+    this.enabled = this.load().enabled ?? true;
+    this.formed = false; // A shape is held
+    this.blooming = false;
+    this.lastBeat = null;
+  }
+
+  init() {
+    this.events.on("shape:form", ({ morph }) => {
+      this.formed = true;
+      this.vibrate(morph ? HAPTIC_PATTERNS.morph : HAPTIC_PATTERNS.form);
+    });
+    this.events.on("shape:explode", () => {
+      this.formed = false;
+      this.vibrate(HAPTIC_PATTERNS.explode);
+    });
+    this.events.on("bloom:change", ({ factor }) => {
+      this.blooming = factor > 0;
+    });
+    this.events.on("bloom:full", () => this.vibrate(HAPTIC_PATTERNS.pop));
+    if (typeof document !== "undefined") this.bindControls();
+  }
+
+  // `time` is the simulation time (ParticleSimulation.time); call once per
+  // live frame. Fires the heartbeat as each beat peaks.
+  update(time) {
+    // Beats are counted from peak to peak: sin(time * BEAT_SPEED) = 1
+    const beat = Math.floor((time * BEAT_SPEED - Math.PI / 2) / (Math.PI * 2));
+    const crossed = this.lastBeat !== null && beat > this.lastBeat;
+    this.lastBeat = beat;
+    if (crossed && (this.formed || this.blooming)) {
+      this.vibrate(HAPTIC_PATTERNS.heartbeat);
+    }
+  }
+
+  // Returns whether the device was asked to vibrate
+  vibrate(pattern) {
+    if (!this.supported || !this.enabled) return false;
+    // Without a gesture yet, browsers refuse and log an intervention
+    if (this.navigator.userActivation?.hasBeenActive === false) return false;
+    try {
+      return this.navigator.vibrate(pattern);
+    } catch {
+      return false; // Blocked (e.g. inside a sandboxed frame)
+    }
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled && this.supported) this.navigator.vibrate(0); // Stop now
+    this.save();
+    this.updateControls();
+  }
+
+  bindControls() {
+    this.toggle = document.getElementById("haptics-toggle");
+    if (!this.toggle) return;
+    this.toggle.hidden = !this.supported;
+    this.toggle.addEventListener("click", () => this.setEnabled(!this.enabled));
+    this.updateControls();
+  }
+
+  updateControls() {
+    if (!this.toggle) return;
+    this.toggle.setAttribute("aria-pressed", String(this.enabled));
+    this.toggle.classList.toggle("off", !this.enabled);
+  }
+
+  load() {
+    try {
+      return JSON.parse(this.storage?.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {}; // Storage blocked or garbled: defaults
+    }
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ enabled: this.enabled }),
+      );
+    } catch {
+      // Storage blocked (private mode): the switch lasts for this visit
+    }
+  }
+}
@@ -0,0 +1,170 @@
+import { systemClock } from "../../core/Clock.js";
+import { EXPERIENCE, ExperienceMachine } from "../../core/ExperienceMachine.js";
+
+const DRAG_SLOP = 10; // px a press moves before it orbits
+const RADIANS_PER_PX = 0.008;
+const PITCH_LIMIT = 1.2; // Short of looking straight down or up
+const MAX_SPIN = 6; // rad/s a fling can start at
+const MIN_ZOOM = 0.45; // Camera distance, relative to home
+const MAX_ZOOM = 1.6;
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+const clamp = (v, limit) => Math.min(limit, Math.max(-limit, v));
+
+// Inspecting a formed shape: drag it (mouse or one finger) to orbit around
+// it; from then on two fingers twist and pinch to turn and zoom, and so does
+// the wheel. On release the spin carries on and eases into a slow showcase
+// turn. The shape stays formed until `showcaseTime` after the last touch;
+// once it goes (it explodes, or a bloom takes it) the camera eases back to
+// the default framing. Writes the CameraRig's `orbit`; the rig places the
+// camera.
+export class OrbitController {
+  // options.experience / options.clock are shared with the other features
+  constructor(rig, shakeController, options = {}) {
+    this.rig = rig;
+    this.shakeController = shakeController;
+    this.clock = options.clock ?? systemClock;
+    this.experience = options.experience ?? new ExperienceMachine();
+    this.showcaseTime = options.showcaseTime ?? 10000; // ms
+    this.autoSpeed = options.autoSpeed ?? 0.35; // rad/s showcase turn
+    this.yaw = 0;
+    this.pitch = 0;
+    this.zoom = 1;
+    this.velocity = { yaw: 0, pitch: 0 }; // rad/s
+    this.inspecting = false;
+    this.drag = null; // The press that may orbit
+    this.twist = null; // Yaw and zoom where a two-finger gesture began
+    this.experience.onChange((to) => {
+      if (to !== EXPERIENCE.SHAKING) this.stopInspecting();
+    });
+  }
+
+  // Between the shake (10) and the bloom (20), so a shift-drag still blooms;
+  // two-finger gestures rank above the bloom, but only while inspecting
+  bindInput(input) {
+    input.on("press", (g) => this.onPress(g), { priority: 15 });
+    input.on("move", (g) => this.onMove(g), { priority: 15 });
+    input.on("release", () => this.onRelease(), { priority: 15 });
+    const twist = { priority: 25 };
+    input.on("pinchstart", () => this.onTwistStart(), twist);
+    input.on("pinch", ({ scale }) => this.onZoom(scale), twist);
+    input.on("rotate", ({ rotation }) => this.onTurn(rotation), twist);
+    input.on("pinchend", () => this.onTwistEnd(), twist);
+    input.on("wheel", ({ deltaY }) => this.onWheel(deltaY), twist);
+  }
+
+  // Never consumed: a tap on the shape still pulses, a click still shakes
+  onPress({ x, y }) {
+    this.drag = this.shakeController.isShaking
+      ? { x, y, orbiting: false, time: this.clock.now() }
+      : null;
+    return false;
+  }
+
+  onMove({ x, y, dx, dy, pressed }) {
+    const drag = this.drag;
+    if (!drag || !pressed) return false;
+    if (!drag.orbiting) {
+      if (Math.hypot(dx, dy) < DRAG_SLOP) return false;
+      drag.orbiting = true;
+      this.inspecting = true;
+    }
+    const now = this.clock.now();
+    const seconds = Math.max(0.001, (now - drag.time) / 1000);
+    const turnYaw = -(x - drag.x) * RADIANS_PER_PX;
+    const turnPitch = -(y - drag.y) * RADIANS_PER_PX;
+    this.yaw += turnYaw;
+    this.pitch = clamp(this.pitch + turnPitch, PITCH_LIMIT);
+    this.velocity.yaw = clamp(turnYaw / seconds, MAX_SPIN);
+    this.velocity.pitch = clamp(turnPitch / seconds, MAX_SPIN);
+    Object.assign(drag, { x, y, time: now });
+    this.hold();
+    return true;
+  }
+
+  onRelease() {
+    const orbited = !!this.drag?.orbiting;
+    // A drag that stopped before letting go does not fling
+    if (orbited && this.clock.now() - this.drag.time > 100) {
+      this.velocity.yaw = 0;
+      this.velocity.pitch = 0;
+    }
+    this.drag = null;
+    return orbited;
+  }
+
+  onTwistStart() {
+    if (!this.inspecting) return false; // A pinch on the shape blooms
+    this.twist = { yaw: this.yaw, zoom: this.zoom };
+    this.velocity.yaw = 0;
+    this.velocity.pitch = 0;
+    this.hold();
+    return true;
+  }
+
+  onZoom(scale) {
+    if (!this.twist) return false;
+    this.zoom = clampZoom(this.twist.zoom / scale); // Spread to come closer
+    this.hold();
+    return true;
+  }
+
+  onTurn(rotation) {
+    if (!this.twist) return false;
+    this.yaw = this.twist.yaw - rotation;
+    this.hold();
+    return true;
+  }
+
+  onTwistEnd() {
+    if (!this.twist) return false;
+    this.twist = null;
+    return true;
+  }
+
+  onWheel(deltaY) {
+    if (!this.inspecting) return false; // The wheel blooms otherwise
+    this.zoom = clampZoom(this.zoom * Math.exp(deltaY * 0.001));
+    this.hold();
+    return true;
+  }
+
+  // Keeps the shape formed while it is being looked at
+  hold() {
+    this.shakeController.hold(this.clock.now() + this.showcaseTime);
+  }
+
+  stopInspecting() {
+    this.inspecting = false;
+    this.drag = null;
+    this.twist = null;
+    this.velocity.yaw = 0;
+    this.velocity.pitch = 0;
+  }
+
+  update(dt) {
+    if (!this.inspecting) {
+      // Ease back to the default framing the short way round
+      const k = 1 - Math.exp(-3 * dt);
+      const home = Math.round(this.yaw / (Math.PI * 2)) * Math.PI * 2;
+      this.yaw += (home - this.yaw) * k;
+      this.pitch -= this.pitch * k;
+      this.zoom += (1 - this.zoom) * k;
+      if (Math.abs(this.yaw - home) < 1e-4) this.yaw = 0;
+    } else if (!this.drag?.orbiting && !this.twist) {
+      // The fling fades into the showcase turn, in the same direction
+      const k = 1 - Math.exp(-1.5 * dt);
+      const direction = Math.sign(this.velocity.yaw) || 1;
+      this.velocity.yaw += (this.autoSpeed * direction - this.velocity.yaw) * k;
+      this.velocity.pitch -= this.velocity.pitch * k;
+      this.yaw += this.velocity.yaw * dt;
+      const pitch = this.pitch + this.velocity.pitch * dt;
+      this.pitch = clamp(pitch, PITCH_LIMIT);
+    }
+    Object.assign(this.rig.orbit, {
+      yaw: this.yaw,
+      pitch: this.pitch,
+      zoom: this.zoom,
+    });
+  }
+}
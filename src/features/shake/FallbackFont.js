@@ -0,0 +1,90 @@
+// Last-resort glyph source when no bundled font could be parsed. Rasterizes
+// the text with a system font on a 2D canvas and turns every filled scanline
+// run into an M/L path segment, so ShapeGenerator can sample it like any
+// opentype.js path. Needs no network and no font files.
+export class FallbackFont {
+  constructor(family = "Georgia, 'Times New Roman', serif") {
+    this.family = family;
+  }
+
+  createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== "undefined") {
+      return new OffscreenCanvas(width, height);
+    }
+    if (typeof document !== "undefined") {
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+    return null;
+  }
+
+  // Mirrors opentype.js Font.getAdvanceWidth (the canvas applies kerning)
+  getAdvanceWidth(text, fontSize = 72) {
+    const probe = this.createCanvas(1, 1);
+    if (!probe) return 0;
+    const ctx = probe.getContext("2d");
+    ctx.font = `bold ${fontSize}px ${this.family}`;
+    return ctx.measureText(text).width;
+  }
+
+  // Mirrors opentype.js Font.forEachGlyph so callers can work per character
+  forEachGlyph(text, x = 0, y = 0, fontSize = 72, options, callback) {
+    const probe = this.createCanvas(1, 1);
+    if (!probe) return x;
+    const ctx = probe.getContext("2d");
+    ctx.font = `bold ${fontSize}px ${this.family}`;
+
+    const chars = [...text];
+    chars.forEach((char, i) => {
+      const offset = ctx.measureText(chars.slice(0, i).join("")).width;
+      const glyph = {
+        getPath: (gx, gy, size) => this.getPath(char, gx, gy, size),
+      };
+      callback.call(this, glyph, x + offset, y, fontSize, options);
+    });
+    return x + ctx.measureText(text).width;
+  }
+
+  getPath(text, x = 0, y = 0, fontSize = 72) {
+    // Runs cover the glyph interior rather than tracing its outline
+    const commands = [];
+    const font = `bold ${fontSize}px ${this.family}`;
+    const probe = this.createCanvas(1, 1);
+    if (!probe) return { commands, filled: true };
+
+    const probeCtx = probe.getContext("2d");
+    probeCtx.font = font;
+    const width = Math.ceil(probeCtx.measureText(text).width) + 4;
+    const height = Math.ceil(fontSize * 1.5);
+    const baseline = Math.ceil(fontSize * 1.15);
+
+    const canvas = this.createCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    ctx.font = font;
+    ctx.textBaseline = "alphabetic";
+    ctx.fillStyle = "#fff";
+    ctx.fillText(text, 2, baseline);
+
+    const { data } = ctx.getImageData(0, 0, width, height);
+    // Scanline spacing tuned so the run count stays close to outline density
+    const rowStep = Math.max(1, Math.round(fontSize / 40));
+
+    for (let row = 0; row < height; row += rowStep) {
+      let runStart = -1;
+      for (let col = 0; col <= width; col++) {
+        const filled = col < width && data[(row * width + col) * 4 + 3] > 127;
+        if (filled && runStart < 0) runStart = col;
+        if (!filled && runStart >= 0) {
+          const py = y + row - baseline;
+          commands.push({ type: "M", x: x + runStart - 2, y: py });
+          commands.push({ type: "L", x: x + col - 3, y: py });
+          runStart = -1;
+        }
+      }
+    }
+
+    return { commands, filled: true };
+  }
+}
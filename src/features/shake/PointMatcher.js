@@ -0,0 +1,103 @@
+// Pairs the points of one shape with the points of the next so a morph moves
+// every star a short way instead of across the screen. Greedy nearest
+// neighbour over a uniform grid: each target (in random order) takes the
+// closest source nobody has claimed yet. Not optimal, but close to it for
+// shapes of similar size and fast enough for tens of thousands of points.
+//
+// `sources` and `targets` are flat xyz arrays (Float32Array or plain).
+// Returns, per target, the index of its source or -1 once sources run out.
+// `random` drives the visiting order (pass a seeded one for repeatable runs).
+export function matchNearest(sources, targets, random = Math.random) {
+  const sourceCount = Math.floor(sources.length / 3);
+  const targetCount = Math.floor(targets.length / 3);
+  const assignment = new Int32Array(targetCount).fill(-1);
+  if (sourceCount === 0 || targetCount === 0) return assignment;
+
+  // Grid over the sources' xy bounds, ~2 sources per cell
+  let minX = Infinity,
+    maxX = -Infinity,
+    minY = Infinity,
+    maxY = -Infinity;
+  for (let s = 0; s < sourceCount; s++) {
+    const x = sources[s * 3];
+    const y = sources[s * 3 + 1];
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+  const area = Math.max(maxX - minX, 1) * Math.max(maxY - minY, 1);
+  const cell = Math.sqrt((area * 2) / sourceCount) || 1;
+  const cols = Math.floor((maxX - minX) / cell) + 1;
+  const rows = Math.floor((maxY - minY) / cell) + 1;
+  const cells = Array.from({ length: cols * rows }, () => []);
+
+  const clamp = (v, max) => Math.min(max, Math.max(0, v));
+  const colOf = (x) => clamp(Math.floor((x - minX) / cell), cols - 1);
+  const rowOf = (y) => clamp(Math.floor((y - minY) / cell), rows - 1);
+  for (let s = 0; s < sourceCount; s++) {
+    cells[rowOf(sources[s * 3 + 1]) * cols + colOf(sources[s * 3])].push(s);
+  }
+
+  // Random visiting order keeps early targets from hogging one region
+  const order = Array.from({ length: targetCount }, (_, t) => t);
+  for (let k = order.length - 1; k > 0; k--) {
+    const j = Math.floor(random() * (k + 1));
+    [order[k], order[j]] = [order[j], order[k]];
+  }
+
+  let remaining = sourceCount;
+  for (const t of order) {
+    if (remaining === 0) break;
+    const tx = targets[t * 3];
+    const ty = targets[t * 3 + 1];
+    const tz = targets[t * 3 + 2];
+    const col = colOf(tx);
+    const row = rowOf(ty);
+
+    let best = -1;
+    let bestCell = null;
+    let bestSlot = -1;
+    let bestDist = Infinity;
+
+    // Grow square rings until no closer source can exist outside them
+    const maxRing = Math.max(cols, rows);
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Sources in this ring are at least (ring - 1) cells away in xy
+      const floor = Math.max(0, ring - 1) * cell;
+      if (best >= 0 && floor * floor > bestDist) break;
+
+      for (let r = row - ring; r <= row + ring; r++) {
+        if (r < 0 || r >= rows) continue;
+        const edge = r === row - ring || r === row + ring;
+        for (let c = col - ring; c <= col + ring; c += edge ? 1 : 2 * ring) {
+          if (c >= 0 && c < cols) {
+            const list = cells[r * cols + c];
+            for (let slot = 0; slot < list.length; slot++) {
+              const s = list[slot];
+              const dx = sources[s * 3] - tx;
+              const dy = sources[s * 3 + 1] - ty;
+              const dz = sources[s * 3 + 2] - tz;
+              const dist = dx * dx + dy * dy + dz * dz;
+              if (dist < bestDist) {
+                best = s;
+                bestDist = dist;
+                bestCell = list;
+                bestSlot = slot;
+              }
+            }
+          }
+          if (ring === 0) break; // Single cell
+        }
+      }
+    }
+
+    // Claim the source (swap-remove from its cell)
+    bestCell[bestSlot] = bestCell[bestCell.length - 1];
+    bestCell.pop();
+    assignment[t] = best;
+    remaining--;
+  }
+
+  return assignment;
+}
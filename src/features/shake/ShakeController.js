@@ -1,16 +1,45 @@
 import * as THREE from "three";
 import gsap from "gsap";
 import { ShapeGenerator } from "./ShapeGenerator.js";
+import { ShapeImporter } from "./ShapeImporter.js";
+import { ShapeLibrary } from "./ShapeLibrary.js";
+import { matchNearest } from "./PointMatcher.js";
+import { ShapePlaylist } from "./ShapePlaylist.js";
+import { STATE } from "../../core/ParticleStore.js";
+import { systemClock } from "../../core/Clock.js";
+import { InputManager } from "../../core/InputManager.js";
+import { EXPERIENCE, ExperienceMachine } from "../../core/ExperienceMachine.js";
+import { EventBus } from "../../core/EventBus.js";
+import { createHomeProjection } from "../../core/Projection.js";
 
 export class ShakeController {
-  constructor(particleSystem) {
+  // options.random / options.clock / options.viewport replace Math.random,
+  // Date.now and window so the shake logic can run under test;
+  // options.projection is App's (a camera at home otherwise)
+  constructor(particleSystem, options = {}) {
     this.particleSystem = particleSystem;
-    this.shapeGenerator = new ShapeGenerator();
+    this.random = options.random ?? Math.random;
+    this.clock = options.clock ?? systemClock;
+    this.viewport = options.viewport ?? globalThis.window;
+    this.projection =
+      options.projection ?? createHomeProjection(this.viewport);
+    this.input = null; // Set by bindInput()
+    // Owns the shake's claim on the particles (shared with the bloom)
+    this.experience = options.experience ?? new ExperienceMachine();
+    this.experience.register(EXPERIENCE.SHAKING, this);
+    this.experience.guard("shake", () => this.isReady);
+    this.events = options.events ?? new EventBus(); // See EventBus for names
+    this.shapeGenerator = new ShapeGenerator(undefined, {
+      random: this.random,
+    });
+    this.shapeImporter = new ShapeImporter(this.shapeGenerator);
+    this.shapeLibrary = new ShapeLibrary(this.shapeGenerator);
+    this.importedPoints = new Map(); // Playlist entry -> artwork points
 
-    this.shapes = ["Love", "HEART_SHAPE", "Be Mine"];
-    this.currentShapeIndex = 0;
+    this.playlist = new ShapePlaylist(); // Replaced by the card's playlist in init()
     this.shakeThreshold = 8; // Lowered from 15 for better mobile sensitivity
     this.sustainTimeout = 1500; // 1.5s delay after stopping shake as requested
+    this.morphHold = 2000; // How long a formed shape rests before morphing on
     this.isReady = false; // Guard against initial sensor noise
 
     this.colors = [
@@ -22,16 +51,43 @@ export class ShakeController {
       new THREE.Color(0xff0000),
     ];
 
-    this.isShaking = false;
     this.lastShakeTime = 0;
-    this.onDeviceMotion = this.onDeviceMotion.bind(this);
+    this.heldUntil = 0; // See hold()
+    this.formTween = null;
+    this.lease = null; // Stars of the current shape (see leaseStars)
+    this.activeEntry = null;
+    this.formedAt = 0; // When the active entry started forming
     this.checkMotionPermission = this.checkMotionPermission.bind(this);
   }
 
-  async init() {
-    await this.shapeGenerator.load();
+  get isShaking() {
+    return this.experience.is(EXPERIENCE.SHAKING);
+  }
+
+  // ExperienceMachine hooks: form on entering "shaking", explode on leaving
+  // it (the shake settled, or a pinch took the stars)
+  enter() {
+    this.startShaking();
+  }
+
+  exit() {
+    this.stopShaking();
+  }
+
+  // `playlist`: the card's playlist, if App already has one (else loaded
+  // from the ?playlist= / ?words= parameters)
+  async init(playlist = null) {
+    this.playlist = playlist || (await ShapePlaylist.load());
+    if (this.playlist.colors) {
+      this.colors = this.playlist.colors.map((c) => new THREE.Color(c));
+    }
+    await this.shapeGenerator.load(this.playlist.fonts);
+    await this.loadImports();
     this.particleSystem.createPool(this.particleSystem.maxParticles);
     this.setChaosMode(true);
+    this.particleSystem.onResize((count, previous) =>
+      this.colorStars(previous, count),
+    );
     this.setupPermissions();
 
     // Safety delay
@@ -40,26 +96,39 @@ export class ShakeController {
     }, 2000);
   }
 
+  // Device motion drives the shake; a desktop click stands in for one
+  bindInput(input) {
+    this.input = input;
+    input.on("shake", ({ magnitude }) => this.handleShake(magnitude), {
+      priority: 10,
+    });
+    input.on(
+      "press",
+      ({ pointerType }) => {
+        if (pointerType !== "mouse") return false;
+        this.handleShake(20);
+        return true;
+      },
+      { priority: 10 },
+    );
+  }
+
   setupPermissions() {
+    if (!this.input) return;
     const btn = document.getElementById("permission-btn");
-    if (btn) {
-      if (
-        typeof DeviceMotionEvent !== "undefined" &&
-        typeof DeviceMotionEvent.requestPermission === "function"
-      ) {
-        btn.classList.remove("hidden");
-        btn.addEventListener("click", this.checkMotionPermission);
-      } else {
-        window.addEventListener("devicemotion", this.onDeviceMotion);
-      }
+    if (btn && InputManager.needsMotionPermission) {
+      btn.classList.remove("hidden");
+      btn.addEventListener("click", this.checkMotionPermission);
+    } else {
+      this.input.enableMotion();
     }
   }
 
   checkMotionPermission() {
-    DeviceMotionEvent.requestPermission()
-      .then((state) => {
-        if (state === "granted") {
-          window.addEventListener("devicemotion", this.onDeviceMotion);
+    this.input
+      .requestMotionPermission()
+      .then((granted) => {
+        if (granted) {
           document.getElementById("permission-btn").classList.add("hidden");
         }
       })
@@ -76,205 +145,389 @@ export class ShakeController {
     }, 100);
   }
 
-  onDeviceMotion(e) {
-    let mag = 0;
-
-    // Check linear acceleration (most precise)
-    const acc = e.acceleration;
-    if (acc && typeof acc.x === "number" && acc.x !== null) {
-      // Use max absolute component for better axis-independent sensitivity
-      mag = Math.max(Math.abs(acc.x), Math.abs(acc.y), Math.abs(acc.z));
-    }
-    // Fallback to acceleration with gravity
-    else if (e.accelerationIncludingGravity) {
-      const accG = e.accelerationIncludingGravity;
-      if (typeof accG.x === "number") {
-        // Look for deviation from gravity on ANY axis
-        const dx = Math.abs(accG.x);
-        const dy = Math.abs(accG.y);
-        const dz = Math.abs(accG.z);
-        // We look for any component that significantly changes
-        // Since gravity is 9.8 on ONE axis, we look for values far from 0 OR far from 9.8
-        mag = Math.max(dx, dy, Math.abs(dz - 9.8));
-      }
-    }
-    this.handleShake(mag);
-  }
-
   handleShake(magnitude) {
-    if (!this.isReady) return;
-
     // Hysteresis logic:
     // 8.0 to START (aggressive enough)
     // 3.0 to SUSTAIN (keep it alive during slow parts of shake)
     const sustainThreshold = 3.0;
 
     if (magnitude > this.shakeThreshold) {
-      this.lastShakeTime = Date.now();
+      this.lastShakeTime = this.clock.now();
       if (!this.isShaking) {
-        this.startShaking();
+        this.experience.send("shake"); // Guarded until init settles
       }
     } else if (this.isShaking && magnitude > sustainThreshold) {
       // Keep resetting the timer while movement is still detected
-      this.lastShakeTime = Date.now();
+      this.lastShakeTime = this.clock.now();
     }
   }
 
-  startShaking() {
-    this.isShaking = true;
-    const shapeName = this.shapes[this.currentShapeIndex];
-    let points = [];
+  // Keep the formed shape up until `until` (clock ms) without shaking, e.g.
+  // while it is being inspected: it neither explodes nor morphs on meanwhile
+  hold(until) {
+    this.heldUntil = Math.max(this.heldUntil, until);
+  }
 
+  // On to the next entry: a formed shape morphs straight into it, otherwise
+  // the next shake forms it
+  skip() {
+    if (!this.isReady) return;
+    if (this.isShaking) {
+      this.lastShakeTime = this.clock.now();
+      this.morphTo(this.playlist.next());
+    } else {
+      this.playlist.next();
+    }
+  }
+
+  // Artwork is fetched and sampled once up front: startShaking stays sync.
+  // Entries that fail to import form the heart instead.
+  async loadImports() {
+    const isMobile = this.viewport.innerWidth < 600;
+    await Promise.all(
+      this.playlist.imports.map(async (entry) => {
+        try {
+          const points = await this.shapeImporter.load(entry, {
+            size: entry.size || (isMobile ? 300 : 600), // Heart-sized
+            maxPoints: entry.points || 6000,
+          });
+          this.importedPoints.set(entry, points);
+        } catch (err) {
+          console.warn(`Could not import "${entry.value}":`, err);
+        }
+      }),
+    );
+  }
+
+  generatePoints(entry) {
     // RESPONSIVE SCALING
-    const isMobile = window.innerWidth < 600;
+    const isMobile = this.viewport.innerWidth < 600;
     const heartScale = isMobile ? 150 : 300; // Lowered from 220
-    const baseFontSize = isMobile ? 100 : 220; // Lowered from 120
+    const baseFontSize = isMobile ? 100 : 220; // Lowered from 120 (upper bound: text shrinks to fit)
+
+    const imported = this.importedPoints.get(entry);
+    if (imported && imported.length > 0) {
+      // An entry palette overrides the artwork's own colors
+      if (!entry.colors) return imported;
+      const { colors, colorBy } = entry;
+      return this.shapeGenerator.colorize(imported, colors, colorBy);
+    }
 
-    if (shapeName === "HEART_SHAPE") {
-      points = this.shapeGenerator.generateHeartPoints(0, 0, heartScale, 6000);
-    } else {
-      const fontSize = shapeName.length > 5 ? baseFontSize * 0.8 : baseFontSize;
-      points = this.shapeGenerator.generateTextPoints(
-        shapeName,
-        0,
-        0,
-        fontSize,
-        7500,
+    if (entry.type !== "text") {
+      // Artwork that failed to import forms the heart instead
+      const isShape = entry.type === "shape";
+      const points = this.shapeLibrary.generate(
+        isShape ? entry.value : "HEART_SHAPE",
+        {
+          size: (isShape && entry.size) || heartScale,
+          points: entry.points || 6000,
+          thickness: entry.thickness ?? undefined,
+        },
       );
+      if (!entry.colors) return points;
+      return this.shapeGenerator.colorize(points, entry.colors, entry.colorBy);
     }
 
-    const particles = this.particleSystem.particles;
-    const targets = [];
-
-    particles.forEach((p, i) => {
-      if (p.role !== "shape") return;
-
-      if (i < points.length) {
-        p.state = "forming";
-        p.shapeX = points[i].x;
-        p.shapeY = -points[i].y;
-        p.shapeZ = points[i].z || 0;
-        p.vx = 0;
-        p.vy = 0;
-        p.vz = 0;
-        targets.push(p);
-      } else if (p.state !== "chaos" && p.state !== "blooming") {
-        p.state = "chaos";
-        p.shapeMix = 0; // Ensure they don't try to form
-      }
+    return this.shapeGenerator.generateTextPoints(
+      entry.value,
+      0,
+      0,
+      entry.size || baseFontSize,
+      entry.points || 7500,
+      {
+        fit: this.getVisibleBounds(0.85),
+        align: entry.align,
+        lineHeight: entry.lineHeight || undefined,
+        kerning: entry.kerning,
+        font: entry.font,
+        mode: entry.sampling,
+        fillRatio: entry.fillRatio,
+        palette: entry.colors,
+        colorBy: entry.colorBy,
+      },
+    );
+  }
+
+  // Visible area at z=0, shrunk by `margin`
+  getVisibleBounds(margin = 1) {
+    return this.projection.visibleSize({ margin });
+  }
+
+  startShaking() {
+    const entry = this.playlist.current;
+    this.activeEntry = entry;
+    this.formedAt = this.clock.now();
+    const points = this.generatePoints(entry);
+
+    const store = this.particleSystem.store;
+    this.lease = this.leaseStars(points.length);
+    const targets = this.lease.indices.slice(); // Star k forms point k
+
+    targets.forEach((i, k) => {
+      const p = points[k];
+      store.state[i] = STATE.FORMING;
+      store.setShapeTarget(i, p.x, -p.y, p.z || 0);
+      this.particleSystem.setVelocity(i, 0, 0, 0);
+      if (p.color) store.setTintTarget(i, p.color.r, p.color.g, p.color.b);
     });
+    this.particleSystem.markDirty();
 
     // BATCH ANIMATION: Use a proxy to animate shapeMix for all targets
     const proxy = { value: 0 };
-    gsap.killTweensOf(targets); // Kill any existing individual tweens just in case
-    gsap.to(proxy, {
+    if (this.formTween) this.formTween.kill(); // Previous formation loses its targets
+    this.formTween = gsap.to(proxy, {
+      value: 1,
+      duration: entry.transition.duration,
+      ease: entry.transition.ease,
+      onUpdate: () => {
+        const v = proxy.value;
+        targets.forEach((i, k) => {
+          if (store.state[i] !== STATE.FORMING) return;
+          store.setShapeMix(i, v);
+          // Colored points tint in with the shape; plain ones drop any
+          // tint left over from the previous shape
+          store.setTintMix(
+            i,
+            points[k].color ? v : Math.min(store.getTintMix(i), 1 - v),
+          );
+        });
+        this.particleSystem.markDirty();
+      },
+    });
+    this.events.emit("shape:form", { morph: false });
+  }
+
+  // "morph": while the shake goes on, the formed stars flow straight into
+  // the next entry's shape instead of exploding first. Each star travels to
+  // its nearest point of the new shape; points left over recruit stars from
+  // the chaos and stars left over drift off.
+  morphTo(entry) {
+    this.activeEntry = entry;
+    this.formedAt = this.clock.now();
+    const points = this.generatePoints(entry);
+    const store = this.particleSystem.store;
+
+    if (!this.lease) this.lease = this.leaseStars(0);
+    const sources = this.lease.indices.slice();
+    // Where the stars are drawn: those still forming are partway there
+    this.particleSystem.readPositions(sources);
+    const from = new Float32Array(sources.length * 3);
+    const drawn = [0, 0, 0];
+    sources.forEach((i, k) => {
+      from.set(store.getRenderPosition(i, drawn), k * 3);
+    });
+    const to = new Float32Array(points.length * 3);
+    points.forEach((p, k) => {
+      to[k * 3] = p.x;
+      to[k * 3 + 1] = -p.y;
+      to[k * 3 + 2] = p.z || 0;
+    });
+    const assignment = matchNearest(from, to, this.random);
+
+    const claimed = new Uint8Array(sources.length);
+    const targets = new Int32Array(points.length).fill(-1); // Star per point
+    const startTint = new Float32Array(points.length);
+    // Unmatched points recruit fresh stars from the chaos
+    const unmatched = assignment.filter((s) => s < 0).length;
+    const recruits = this.lease.grow(unmatched);
+    let recruit = 0;
+
+    points.forEach((p, k) => {
+      let i;
+      if (assignment[k] >= 0) {
+        const s = assignment[k];
+        i = sources[s];
+        claimed[s] = 1;
+        // Where the star is drawn becomes its base, so blending toward the
+        // new target moves it on in a straight line, formed or not
+        this.particleSystem.setPosition(
+          i,
+          from[s * 3],
+          from[s * 3 + 1],
+          from[s * 3 + 2],
+        );
+      } else {
+        if (recruit >= recruits.length) return; // Pool exhausted
+        i = recruits[recruit++];
+      }
+
+      store.state[i] = STATE.FORMING;
+      store.setShapeTarget(i, to[k * 3], to[k * 3 + 1], to[k * 3 + 2]);
+      store.setShapeMix(i, 0);
+      this.particleSystem.setVelocity(i, 0, 0, 0);
+      targets[k] = i;
+      startTint[k] = store.getTintMix(i);
+    });
+
+    const leftover = sources.filter((_, k) => !claimed[k]);
+    leftover.forEach((i) => this.scatter(i, 40, 60));
+    this.lease.shrink(leftover);
+    this.particleSystem.markDirty();
+    this.events.emit("shape:form", { morph: true });
+
+    // Colors cross-fade through each star's own color: the old tint fades
+    // out over the first half, the new one fades in over the second
+    let recolored = false;
+    const proxy = { value: 0 };
+    if (this.formTween) this.formTween.kill();
+    this.formTween = gsap.to(proxy, {
       value: 1,
-      duration: 1.0,
-      ease: "power3.out",
+      duration: entry.transition.duration,
+      ease: entry.transition.ease,
       onUpdate: () => {
-        targets.forEach((p) => {
-          if (p.state === "forming") p.shapeMix = proxy.value;
+        const v = proxy.value;
+        if (v >= 0.5 && !recolored) {
+          recolored = true;
+          targets.forEach((i, k) => {
+            const color = points[k].color;
+            if (i < 0 || !color) return;
+            store.setTintTarget(i, color.r, color.g, color.b);
+          });
+        }
+        targets.forEach((i, k) => {
+          if (i < 0 || store.state[i] !== STATE.FORMING) return;
+          store.setShapeMix(i, v);
+          const tint = !recolored
+            ? startTint[k] * (1 - 2 * v)
+            : points[k].color
+              ? Math.min(1, 2 * v - 1)
+              : 0;
+          store.setTintMix(i, tint);
         });
+        this.particleSystem.markDirty();
       },
     });
   }
 
+  // Shape stars come from the shared pool. Priority 10 ranks the shake
+  // below the bloom (20); if a feature ever takes them, stop driving them.
+  // A shrinking pool only thins the shape: the form tween skips stars that
+  // are gone (they are no longer FORMING).
+  leaseStars(count) {
+    return this.particleSystem.lease(count, {
+      owner: "shake",
+      priority: 10,
+      onRevoke: () => {
+        if (this.formTween) this.formTween.kill();
+        this.lease = null;
+      },
+      onShrink: () => this.particleSystem.markDirty(),
+    });
+  }
+
+  // Capture the current visual position, kill the shape influence and send
+  // the star off with a random impulse (the shape color fades out on its own)
+  scatter(i, minImpulse, spread) {
+    const impulse = minImpulse + this.random() * spread;
+    const angle = this.random() * Math.PI * 2;
+    this.particleSystem.release(
+      i,
+      Math.cos(angle) * impulse,
+      Math.sin(angle) * impulse,
+      (this.random() - 0.5) * impulse,
+    );
+  }
+
   stopShaking() {
-    this.isShaking = false;
-    this.currentShapeIndex = (this.currentShapeIndex + 1) % this.shapes.length;
+    this.heldUntil = 0;
+    const entry = this.activeEntry || this.playlist.current;
+    this.playlist.next();
 
     // INSTANT SEAMLESS EXPLOSION
-    const shapeParticles = this.particleSystem.particles.filter(
-      (p) => p.state === "forming",
-    );
+    const store = this.particleSystem.store;
+    if (this.formTween) this.formTween.kill();
 
-    shapeParticles.forEach((p) => {
-      // 1. Capture current visual position into the physical 'x'
-      p.x = p.shapeX;
-      p.y = p.shapeY;
-      p.z = p.shapeZ;
-
-      // 2. Kill the influence of the shape formation
-      p.shapeMix = 0;
-
-      // 3. Apply high-speed exit blast
-      p.state = "chaos";
-      const impulse = 250 + Math.random() * 250; // Phase 63: Boosted (150-300 -> 250-500)
-      const angle = Math.random() * Math.PI * 2;
-      p.vx = Math.cos(angle) * impulse;
-      p.vy = Math.sin(angle) * impulse;
-      p.vz = (Math.random() - 0.5) * impulse;
-    });
+    // "dissolve" lets the shape drift apart instead of blasting it
+    const [minImpulse, spread] =
+      entry.transition.type === "dissolve" ? [40, 60] : [250, 250]; // Phase 63: Boosted (150-300 -> 250-500)
+
+    if (this.lease) {
+      this.lease.indices.forEach((i) => {
+        if (store.state[i] === STATE.FORMING) {
+          this.scatter(i, minImpulse, spread);
+        }
+      });
+      this.lease.release();
+      this.lease = null;
+      this.events.emit("shape:explode", { impulse: minImpulse + spread / 2 });
+    }
 
     // Cleanup background stars (optional, ensures they return nicely)
     this.setChaosMode();
   }
 
+  // Chaos star colors (hex). With a `duration` (s) every star cross-fades
+  // to a fresh pick from the new palette; stars in a shape keep their tint.
+  setPalette(colors, duration = 0) {
+    this.colors = colors.map((c) => new THREE.Color(c));
+    const count = this.particleSystem.store.count;
+    const picks = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const color = this.colors[Math.floor(this.random() * this.colors.length)];
+      picks[i * 3] = color.r;
+      picks[i * 3 + 1] = color.g;
+      picks[i * 3 + 2] = color.b;
+    }
+    this.particleSystem.recolor(picks, duration);
+  }
+
+  // Stars the pool grew by (ParticleSystem.resize) take palette colors
+  colorStars(from, to) {
+    for (let i = from; i < to; i++) {
+      const color = this.colors[Math.floor(this.random() * this.colors.length)];
+      this.particleSystem.setBaseColor(i, color.r, color.g, color.b);
+    }
+  }
+
   setChaosMode(initial = false) {
-    const particles = this.particleSystem.particles;
-    const colorAttr = this.particleSystem.geometry.attributes.color;
+    const store = this.particleSystem.store;
 
-    particles.forEach((p, i) => {
-      if (p.state === "blooming") return; // Don't interrupt bloom
+    for (let i = 0; i < store.count; i++) {
+      if (this.particleSystem.isLeased(i)) continue; // Another feature's star
 
-      p.state = "chaos";
-      const radius = 600 + Math.random() * 1200;
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      store.state[i] = STATE.CHAOS;
+      const radius = 600 + this.random() * 1200;
+      const theta = this.random() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random() - 1);
 
       const tx = radius * Math.sin(phi) * Math.cos(theta);
       const ty = radius * Math.sin(phi) * Math.sin(theta);
       const tz = radius * Math.cos(phi);
 
       if (initial) {
-        p.x = tx;
-        p.y = ty;
-        p.z = tz;
+        this.particleSystem.setPosition(i, tx, ty, tz);
         const color =
-          this.colors[Math.floor(Math.random() * this.colors.length)];
-        colorAttr.array[i * 3] = color.r;
-        colorAttr.array[i * 3 + 1] = color.g;
-        colorAttr.array[i * 3 + 2] = color.b;
+          this.colors[Math.floor(this.random() * this.colors.length)];
+        this.particleSystem.setBaseColor(i, color.r, color.g, color.b);
       } else {
         // OPTIMIZED: High-speed explosion back to chaos
-        gsap.killTweensOf(p);
-        const impulse = 120 + Math.random() * 80; // Doubled speed (60-120 -> 120-200)
-        const angle = Math.random() * Math.PI * 2;
-        p.vx = Math.cos(angle) * impulse;
-        p.vy = Math.sin(angle) * impulse;
-        p.vz = (Math.random() - 0.5) * impulse;
+        const impulse = 120 + this.random() * 80; // Doubled speed (60-120 -> 120-200)
+        const angle = this.random() * Math.PI * 2;
+        this.particleSystem.setVelocity(
+          i,
+          Math.cos(angle) * impulse,
+          Math.sin(angle) * impulse,
+          (this.random() - 0.5) * impulse,
+        );
       }
-    });
-    colorAttr.needsUpdate = true;
+    }
+    this.particleSystem.markDirty();
   }
 
   update(dt) {
-    if (
-      this.isShaking &&
-      Date.now() - this.lastShakeTime > this.sustainTimeout
+    const entry = this.activeEntry;
+    const now = this.clock.now();
+    if (!this.isShaking || now < this.heldUntil) return;
+    if (now - this.lastShakeTime > (entry.hold || this.sustainTimeout)) {
+      this.experience.send("settle");
+    } else if (
+      entry.transition.type === "morph" &&
+      this.playlist.entries.length > 1 &&
+      now - this.formedAt > entry.transition.duration * 1000 + this.morphHold
     ) {
-      this.stopShaking();
-    }
-
-    const particles = this.particleSystem.particles;
-    for (const p of particles) {
-      if (p.state === "forming") {
-        // Heartbeat Logic for Shake
-        const time = Date.now() * 0.002;
-        const beat = Math.pow(Math.sin(time * 3.0), 60);
-        const beatTranslate = beat * 1.5; // Slight push outward
-
-        // We can't easily scale the whole shape here without storing the target original position.
-        // So we add a small jitter/push that simulates energy.
-        // OR better: we don't do full shape scaling here because it's complex to reconstruct the center.
-        // Let's just add a "breath" effect to the noise.
-
-        p.x += (Math.random() - 0.5) * (1.5 + beatTranslate);
-        p.y += (Math.random() - 0.5) * (1.5 + beatTranslate);
-        p.z += (Math.random() - 0.5) * (2 + beatTranslate);
-      } else if (p.state === "chaos") {
-        // GALAXY DRIFT handled by ParticleSystem for all background stars
-      }
+      // Continuous shake: flow on to the next entry
+      this.morphTo(this.playlist.next());
     }
+    // Heartbeat "breath" noise for forming particles is handled by ParticleSystem
   }
 }
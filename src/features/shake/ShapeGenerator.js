@@ -1,45 +1,289 @@
+import * as THREE from "three";
 import opentype from "opentype.js";
+import { FallbackFont } from "./FallbackFont.js";
+
+// Bundled through Vite so the app works offline (see assets/fonts/LICENSE.txt)
+export const FONTS = {
+  script: new URL(
+    "../../assets/fonts/dancing-script-latin-700-normal.woff",
+    import.meta.url,
+  ).href,
+  serif: new URL(
+    "../../assets/fonts/playfair-display-latin-700-normal.woff",
+    import.meta.url,
+  ).href,
+  mono: new URL(
+    "../../assets/fonts/source-code-pro-latin-700-normal.woff",
+    import.meta.url,
+  ).href,
+};
+
+export const DEFAULT_FONT = "script";
+
+// Fewest samples a glyph gets, however small the budget
+const MIN_GLYPH_POINTS = 8;
 
 export class ShapeGenerator {
-  constructor() {
-    this.font = null;
-    this.fontUrl =
-      "https://cdnjs.cloudflare.com/ajax/libs/topcoat/0.8.0/font/SourceCodePro-Bold.otf";
+  constructor(fontSources = FONTS, { random = Math.random } = {}) {
+    this.fontSources = fontSources;
+    this.random = random;
+    this.fonts = new Map();
+    this.fallbackFont = new FallbackFont();
   }
 
-  async load() {
+  loadFont(name) {
     return new Promise((resolve, reject) => {
-      opentype.load(this.fontUrl, (err, font) => {
+      opentype.load(this.fontSources[name], (err, font) => {
         if (err) reject(err);
         else {
-          this.font = font;
+          this.fonts.set(name, font);
           resolve(font);
         }
       });
     });
   }
 
-  generateTextPoints(text, x, y, fontSize = 100, maxPoints = 5000) {
-    if (!this.font) return [];
-    const path = this.font.getPath(text, x, y, fontSize);
+  // Never rejects: a font that fails to load falls back to DEFAULT_FONT,
+  // and without any parsed font text goes through FallbackFont
+  async load(names = [DEFAULT_FONT]) {
+    const wanted = [...new Set([DEFAULT_FONT, ...names])].filter(
+      (name) => this.fontSources[name] && !this.fonts.has(name),
+    );
+    const results = await Promise.allSettled(
+      wanted.map((name) => this.loadFont(name)),
+    );
+    results.forEach((result, i) => {
+      if (result.status === "rejected") {
+        console.warn(`Font "${wanted[i]}" failed to load:`, result.reason);
+      }
+    });
+  }
+
+  getFont(name = DEFAULT_FONT) {
+    return (
+      this.fonts.get(name) ||
+      this.fonts.get(DEFAULT_FONT) ||
+      this.fonts.values().next().value ||
+      this.fallbackFont
+    );
+  }
+
+  generateTextPoints(
+    text,
+    x,
+    y,
+    fontSize = 100,
+    maxPoints = 5000,
+    options = {},
+  ) {
+    const { mode = "outline", fillRatio = 0.6, palette, colorBy } = options;
+    const { kerning = true } = options;
+    const font = this.getFont(options.font);
+    const layout = this.layoutText(font, text, fontSize, options);
+
+    // Every line goes into one glyph list, so the budget is shared per
+    // glyph across lines, not per line
+    const glyphs = layout.lines.flatMap((line) =>
+      this.getGlyphShapes(
+        font,
+        line.text,
+        x + line.x,
+        y + line.y,
+        layout.fontSize,
+        kerning,
+      ),
+    );
     const points = [];
 
-    // Adaptive Step based on string length to avoid "eating" all particles
-    // "Love" (4 chars) -> step 0.5
-    // "Be Mine" (7 chars) -> step 0.8
+    // Per-letter palette: the samplers copy each glyph's color to its points
+    if (palette && colorBy === "letter") {
+      glyphs.forEach((g, k) => {
+        g.color = new THREE.Color(palette[k % palette.length]);
+      });
+    }
+
+    // The finest outline spacing: each glyph widens it to fit its share
     const step = text.length > 5 ? 1.0 : 0.6;
 
+    // Split the budget between outline and interior samples
+    const fillShare = mode === "fill" ? 1 : mode === "mixed" ? fillRatio : 0;
+    const fillBudget = Math.round(maxPoints * fillShare);
+    const outlineBudget = maxPoints - fillBudget;
+
+    if (outlineBudget > 0) {
+      this.sampleOutlines(glyphs, outlineBudget, step, points);
+    }
+    if (fillBudget > 0) {
+      this.sampleFills(glyphs, fillBudget, points);
+    }
+
+    const centered = this.centerPoints(points);
+    if (palette && colorBy !== "letter") {
+      this.colorize(centered, palette, colorBy);
+    }
+    return centered;
+  }
+
+  // Gives every point a color from `palette` (hex numbers): a random pick
+  // per point ("point"), or a gradient through the palette across the
+  // shape ("x", "y" or "radial"). Overrides colors already on the points.
+  colorize(points, palette, colorBy = "point") {
+    const colors = palette.map((c) => new THREE.Color(c));
+    if (points.length === 0 || colors.length === 0) return points;
+
+    if (colors.length === 1 || !["x", "y", "radial"].includes(colorBy)) {
+      points.forEach((p) => {
+        p.color = colors[Math.floor(this.random() * colors.length)];
+      });
+      return points;
+    }
+
+    let minX = Infinity,
+      maxX = -Infinity,
+      minY = Infinity,
+      maxY = -Infinity;
+    points.forEach((p) => {
+      if (p.x < minX) minX = p.x;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+    });
+    const cx = (minX + maxX) / 2;
+    const cy = (minY + maxY) / 2;
+    const radius = Math.hypot(maxX - cx, maxY - cy) || 1;
+
+    points.forEach((p) => {
+      let t;
+      if (colorBy === "x") t = (p.x - minX) / (maxX - minX || 1);
+      else if (colorBy === "y") t = (p.y - minY) / (maxY - minY || 1); // Top first
+      else t = Math.hypot(p.x - cx, p.y - cy) / radius;
+
+      const pos = Math.min(t, 1) * (colors.length - 1);
+      const k = Math.min(Math.floor(pos), colors.length - 2);
+      const f = pos - k;
+      const a = colors[k];
+      const b = colors[k + 1];
+      p.color = {
+        r: a.r + (b.r - a.r) * f,
+        g: a.g + (b.g - a.g) * f,
+        b: a.b + (b.b - a.b) * f,
+      };
+    });
+    return points;
+  }
+
+  // Breaks `text` into lines (explicit "\n" plus word wrapping) and places
+  // them: baselines `lineHeight` × fontSize apart, each line aligned
+  // "left", "center" or "right" within the block. With `fit`
+  // ({ width, height } in world units) the text wraps at fit.width and the
+  // font shrinks until the whole block fits.
+  layoutText(font, text, fontSize, options = {}) {
+    const { align = "center", lineHeight = 1.2, kerning = true } = options;
+    const fit = options.fit || null;
+    const maxWidth = fit ? fit.width : Infinity;
+    let size = fontSize;
+
+    for (let attempt = 0; ; attempt++) {
+      const lines = this.wrapText(font, text, size, maxWidth, kerning);
+      const width = Math.max(0, ...lines.map((l) => l.width));
+      // Cap height of the first line plus the baseline steps below it
+      const height = size * (0.8 + lineHeight * (lines.length - 1));
+
+      const fits = !fit || (width <= fit.width && height <= fit.height);
+      if (fits || attempt >= 12) {
+        return {
+          fontSize: size,
+          width,
+          height,
+          lines: lines.map((line, k) => {
+            const slack = width - line.width;
+            return {
+              text: line.text,
+              x: align === "left" ? 0 : align === "right" ? slack : slack / 2,
+              y: k * lineHeight * size,
+              width: line.width,
+            };
+          }),
+        };
+      }
+      // Shrink in proportion to the overflow, at least 8% per pass
+      const ratio = Math.min(fit.width / width, fit.height / height);
+      size *= Math.max(0.5, Math.min(0.92, ratio));
+    }
+  }
+
+  // Greedy word wrap; a single word wider than maxWidth keeps its own line
+  // (layoutText shrinks the font until it fits)
+  wrapText(font, text, fontSize, maxWidth = Infinity, kerning = true) {
+    const measure = (t) => font.getAdvanceWidth(t, fontSize, { kerning });
+    const lines = [];
+
+    text.split(/\r?\n/).forEach((paragraph) => {
+      const words = paragraph.trim().split(/\s+/).filter(Boolean);
+      let line = "";
+      words.forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && measure(candidate) > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(line); // Empty paragraphs keep their blank line
+    });
+
+    return lines.map((line) => ({ text: line, width: measure(line) }));
+  }
+
+  // One entry per visible glyph: flattened contours plus length/area metrics
+  getGlyphShapes(font, text, x, y, fontSize, kerning = true) {
+    const glyphs = [];
+    const flattenStep = Math.max(0.25, fontSize / 80);
+    const onGlyph = (glyph, gx, gy, gSize, o) => {
+      const path = glyph.getPath(gx, gy, gSize, o, font);
+      const contours = this.flattenPath(path, flattenStep);
+      if (contours.length === 0) return; // Spaces
+
+      glyphs.push({
+        contours,
+        ...this.measureContours(contours),
+        // FallbackFont glyphs are scanline runs: already a fill
+        filled: path.filled === true,
+      });
+    };
+
+    font.forEachGlyph(text, x, y, fontSize, { kerning }, onGlyph);
+    return glyphs;
+  }
+
+  measureContours(contours) {
+    let length = 0;
+    let signedArea = 0;
+    contours.forEach((c) => {
+      for (let i = 0; i < c.length; i++) {
+        const a = c[i];
+        const b = c[(i + 1) % c.length];
+        length += Math.hypot(b.x - a.x, b.y - a.y);
+        signedArea += a.x * b.y - b.x * a.y;
+      }
+    });
+    // Holes wind the other way, so the sum is the even-odd (inked) area
+    return { length, area: Math.abs(signedArea) / 2 };
+  }
+
+  flattenPath(path, step) {
+    const contours = [];
+    let contour = null;
     let curX = 0,
       curY = 0;
+
     path.commands.forEach((cmd) => {
       if (cmd.type === "M") {
-        curX = cmd.x;
-        curY = cmd.y;
-        points.push({ x: curX, y: curY });
+        contour = [{ x: cmd.x, y: cmd.y }];
+        contours.push(contour);
       } else if (cmd.type === "L") {
-        this.interpolateLine(curX, curY, cmd.x, cmd.y, step, points);
-        curX = cmd.x;
-        curY = cmd.y;
+        this.interpolateLine(curX, curY, cmd.x, cmd.y, step, contour);
       } else if (cmd.type === "Q") {
         this.interpolateQuad(
           curX,
@@ -49,10 +293,8 @@ export class ShapeGenerator {
           cmd.x,
           cmd.y,
           step,
-          points,
+          contour,
         );
-        curX = cmd.x;
-        curY = cmd.y;
       } else if (cmd.type === "C") {
         this.interpolateBezier(
           curX,
@@ -64,16 +306,143 @@ export class ShapeGenerator {
           cmd.x,
           cmd.y,
           step,
-          points,
+          contour,
         );
+      }
+      if (cmd.type !== "Z") {
         curX = cmd.x;
         curY = cmd.y;
       }
     });
 
-    // Hard CAP points to ensure we never run out of background stars
-    const result = points.slice(0, maxPoints);
-    return this.centerPoints(result);
+    return contours.filter((c) => c.length > 1);
+  }
+
+  // Every glyph gets the same share of the budget, so an "i" reads as
+  // clearly as an "M". Tiny budgets still give each glyph MIN_GLYPH_POINTS
+  // (the total is thinned back to the budget afterwards).
+  glyphBudget(glyphs, budget) {
+    return Math.max(MIN_GLYPH_POINTS, Math.floor(budget / glyphs.length));
+  }
+
+  // Even spacing along each glyph's outline, fitted to its own share
+  sampleOutlines(glyphs, budget, step, points) {
+    if (glyphs.length === 0) return;
+    const share = this.glyphBudget(glyphs, budget);
+    const start = points.length;
+    glyphs.forEach((g) => this.sampleOutline(g, share, step, points));
+    this.thinPoints(points, start, budget);
+  }
+
+  sampleOutline(g, budget, step, points) {
+    if (g.length === 0) return;
+    const spacing = Math.max(step, g.length / budget);
+    const start = points.length;
+
+    g.contours.forEach((c) => {
+      // Runs from FallbackFont are open; real glyph contours are closed
+      const edges = g.filled ? c.length - 1 : c.length;
+      let carry = 0;
+      for (let i = 0; i < edges; i++) {
+        const a = c[i];
+        const b = c[(i + 1) % c.length];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        let d = carry;
+        while (d < len) {
+          const t = d / len;
+          points.push({
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            color: g.color, // Artwork or per-letter palette
+          });
+          d += spacing;
+        }
+        carry = d - len;
+      }
+    });
+
+    this.thinPoints(points, start, budget);
+  }
+
+  // Jittered grid inside each glyph (even-odd rule), fitted to its own share
+  sampleFills(glyphs, budget, points) {
+    if (glyphs.length === 0) return;
+    const share = this.glyphBudget(glyphs, budget);
+    const start = points.length;
+    glyphs.forEach((g) => {
+      // Scanline glyphs are interior samples already
+      if (g.filled) this.sampleOutline(g, share, 0, points);
+      else this.sampleFill(g, share, points);
+    });
+    this.thinPoints(points, start, budget);
+  }
+
+  sampleFill(g, budget, points) {
+    if (g.area === 0) return;
+    let minX = Infinity,
+      maxX = -Infinity,
+      minY = Infinity,
+      maxY = -Infinity;
+    g.contours.forEach((c) =>
+      c.forEach((p) => {
+        if (p.x < minX) minX = p.x;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.y > maxY) maxY = p.y;
+      }),
+    );
+
+    const start = points.length;
+    let spacing = Math.sqrt(g.area / budget);
+    // Thin strokes can slip between grid rows: halve the spacing until the
+    // glyph fills its share
+    for (let pass = 0; pass < 4; pass++) {
+      points.length = start;
+      for (let gy = minY + spacing / 2; gy < maxY; gy += spacing) {
+        for (let gx = minX + spacing / 2; gx < maxX; gx += spacing) {
+          const px = gx + (this.random() - 0.5) * spacing * 0.7;
+          const py = gy + (this.random() - 0.5) * spacing * 0.7;
+          if (this.isInside(px, py, g.contours)) {
+            points.push({ x: px, y: py, color: g.color });
+          }
+        }
+      }
+      if (points.length - start >= budget) break;
+      spacing /= 2;
+    }
+
+    this.thinPoints(points, start, budget);
+  }
+
+  // Even-odd point-in-path test over all contours of a glyph
+  isInside(x, y, contours) {
+    let inside = false;
+    contours.forEach((c) => {
+      for (let i = 0, j = c.length - 1; i < c.length; j = i++) {
+        const a = c[i];
+        const b = c[j];
+        if (
+          a.y > y !== b.y > y &&
+          x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x
+        ) {
+          inside = !inside;
+        }
+      }
+    });
+    return inside;
+  }
+
+  // Evenly drop samples past `start` until at most `budget` remain, so the
+  // cap never cuts off the trailing letters
+  thinPoints(points, start, budget) {
+    const count = points.length - start;
+    if (count <= budget) return;
+    const kept = [];
+    for (let k = 0; k < budget; k++) {
+      kept.push(points[start + Math.floor((k * count) / budget)]);
+    }
+    points.length = start;
+    kept.forEach((p) => points.push(p));
   }
 
   interpolateLine(x1, y1, x2, y2, step, points) {
@@ -122,7 +491,8 @@ export class ShapeGenerator {
     }
   }
 
-  generateHeartPoints(cx, cy, size = 100, numPoints = 1000) {
+  // `depth`: how far the points spread in z (the outline stays 40 wide)
+  generateHeartPoints(cx, cy, size = 100, numPoints = 1000, depth = 80) {
     const points = [];
     const thickness = 40; // Control the volume thickness
 
@@ -143,9 +513,9 @@ export class ShapeGenerator {
 
       // Add volumetric spread (Random point inside a sphere logic, or simple box)
       // Using simple box distribution for uniform thickness
-      const dx = (Math.random() - 0.5) * thickness;
-      const dy = (Math.random() - 0.5) * thickness;
-      const dz = (Math.random() - 0.5) * thickness * 2; // Thicker in Z for 3D feel
+      const dx = (this.random() - 0.5) * thickness;
+      const dy = (this.random() - 0.5) * thickness;
+      const dz = (this.random() - 0.5) * depth; // Thicker in Z for 3D feel
 
       points.push({ x: baseX + dx, y: baseY + dy, z: dz });
     }
@@ -166,6 +536,6 @@ export class ShapeGenerator {
     });
     const cx = minX + (maxX - minX) / 2;
     const cy = minY + (maxY - minY) / 2;
-    return points.map((p) => ({ x: p.x - cx, y: p.y - cy }));
+    return points.map((p) => ({ ...p, x: p.x - cx, y: p.y - cy }));
   }
 }
@@ -0,0 +1,510 @@
+import * as THREE from "three";
+
+// Turns artwork into point clouds for the shake and bloom targets:
+// - SVG files: path/rect/circle/ellipse/line/polyline/polygon elements are
+//   flattened and sampled like glyphs, each point keeping its element's color
+// - Raster images (PNG, JPEG, ...): pixels are picked with a probability
+//   given by their alpha or luminance, each point keeping its pixel's color
+// Points come back centered, y-down (like glyph points) and scaled so the
+// longer side of the artwork spans `size` world units.
+export const IMAGE_CHANNELS = ["alpha", "luminance"];
+
+const SVG_SHAPES = "path, rect, circle, ellipse, line, polyline, polygon";
+const IMAGE_RESOLUTION = 256; // Longest side of the sampling canvas
+const DEFAULT_THRESHOLD = { alpha: 0.5, luminance: 0.2 };
+
+// 2D affine matrices are [a, b, c, d, e, f] like SVG's matrix()
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+function parseTransform(value) {
+  let matrix = IDENTITY;
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = re.exec(value || ""))) {
+    const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+    let m = IDENTITY;
+    if (match[1] === "matrix") m = args;
+    else if (match[1] === "translate") m = [1, 0, 0, 1, args[0], args[1] || 0];
+    else if (match[1] === "scale") {
+      m = [args[0], 0, 0, args[1] ?? args[0], 0, 0];
+    } else if (match[1] === "rotate") {
+      // Rotation about (cx, cy): translate there, rotate, translate back
+      const a = (args[0] * Math.PI) / 180;
+      const [cx = 0, cy = 0] = args.slice(1);
+      const [cos, sin] = [Math.cos(a), Math.sin(a)];
+      const rotation = [cos, sin, -sin, cos, 0, 0];
+      m = multiply(
+        [1, 0, 0, 1, cx, cy],
+        multiply(rotation, [1, 0, 0, 1, -cx, -cy]),
+      );
+    } else if (match[1] === "skewX") {
+      m = [1, 0, Math.tan((args[0] * Math.PI) / 180), 1, 0, 0];
+    } else if (match[1] === "skewY") {
+      m = [1, Math.tan((args[0] * Math.PI) / 180), 0, 1, 0, 0];
+    }
+    matrix = multiply(matrix, m);
+  }
+  return matrix;
+}
+
+// Endpoint arc -> line segments (SVG 1.1 implementation notes, F.6.5)
+function arcToLines(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2, out) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) {
+    out.push({ type: "L", x: x2, y: y2 });
+    return;
+  }
+  const phi = (angle * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const px = cos * dx + sin * dy;
+  const py = -sin * dx + cos * dy;
+
+  const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const num = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+  const den = rx * rx * py * py + ry * ry * px * px;
+  const k =
+    (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+  const cxp = (k * rx * py) / ry;
+  const cyp = (-k * ry * px) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const theta = Math.atan2((py - cyp) / ry, (px - cxp) / rx);
+  let delta = Math.atan2((-py - cyp) / ry, (-px - cxp) / rx) - theta;
+  if (sweep && delta < 0) delta += Math.PI * 2;
+  if (!sweep && delta > 0) delta -= Math.PI * 2;
+
+  const segments = Math.max(4, Math.ceil((Math.abs(delta) / Math.PI) * 16));
+  for (let s = 1; s <= segments; s++) {
+    const t = theta + (delta * s) / segments;
+    out.push({
+      type: "L",
+      x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+      y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos,
+    });
+  }
+}
+
+// Path data -> absolute M/L/Q/C/Z commands (the opentype.js path format)
+export function parsePathData(d) {
+  const tokens = (d || "").match(
+    /[a-df-z]|[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/gi,
+  );
+  const commands = [];
+  if (!tokens) return commands;
+
+  let i = 0;
+  let command = null;
+  let x = 0,
+    y = 0,
+    startX = 0,
+    startY = 0;
+  let lastControl = null; // For S/T reflection
+  const num = () => Number(tokens[i++]);
+
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) command = tokens[i++];
+    else if (!command) break;
+    if (i >= tokens.length && command.toUpperCase() !== "Z") break;
+
+    const rel = command === command.toLowerCase();
+    const ox = rel ? x : 0;
+    const oy = rel ? y : 0;
+    let control = null;
+
+    switch (command.toUpperCase()) {
+      case "M":
+        x = ox + num();
+        y = oy + num();
+        startX = x;
+        startY = y;
+        commands.push({ type: "M", x, y });
+        command = rel ? "l" : "L"; // Extra pairs are implicit line-tos
+        break;
+      case "L":
+        x = ox + num();
+        y = oy + num();
+        commands.push({ type: "L", x, y });
+        break;
+      case "H":
+        x = ox + num();
+        commands.push({ type: "L", x, y });
+        break;
+      case "V":
+        y = oy + num();
+        commands.push({ type: "L", x, y });
+        break;
+      case "C": {
+        const x1 = ox + num();
+        const y1 = oy + num();
+        const x2 = ox + num();
+        const y2 = oy + num();
+        x = ox + num();
+        y = oy + num();
+        commands.push({ type: "C", x1, y1, x2, y2, x, y });
+        control = { type: "C", x: x2, y: y2 };
+        break;
+      }
+      case "S": {
+        const reflect = lastControl && lastControl.type === "C";
+        const x1 = reflect ? 2 * x - lastControl.x : x;
+        const y1 = reflect ? 2 * y - lastControl.y : y;
+        const x2 = ox + num();
+        const y2 = oy + num();
+        x = ox + num();
+        y = oy + num();
+        commands.push({ type: "C", x1, y1, x2, y2, x, y });
+        control = { type: "C", x: x2, y: y2 };
+        break;
+      }
+      case "Q": {
+        const x1 = ox + num();
+        const y1 = oy + num();
+        x = ox + num();
+        y = oy + num();
+        commands.push({ type: "Q", x1, y1, x, y });
+        control = { type: "Q", x: x1, y: y1 };
+        break;
+      }
+      case "T": {
+        const reflect = lastControl && lastControl.type === "Q";
+        const x1 = reflect ? 2 * x - lastControl.x : x;
+        const y1 = reflect ? 2 * y - lastControl.y : y;
+        x = ox + num();
+        y = oy + num();
+        commands.push({ type: "Q", x1, y1, x, y });
+        control = { type: "Q", x: x1, y: y1 };
+        break;
+      }
+      case "A": {
+        const rx = num();
+        const ry = num();
+        const angle = num();
+        const largeArc = num() !== 0;
+        const sweep = num() !== 0;
+        const x2 = ox + num();
+        const y2 = oy + num();
+        arcToLines(x, y, rx, ry, angle, largeArc, sweep, x2, y2, commands);
+        x = x2;
+        y = y2;
+        break;
+      }
+      case "Z":
+        commands.push({ type: "Z" });
+        x = startX;
+        y = startY;
+        command = null; // Takes no arguments, so no implicit repeats
+        break;
+      default:
+        return commands; // Unknown command: keep what parsed so far
+    }
+    lastControl = control;
+  }
+  return commands;
+}
+
+function pointsToCommands(values, close) {
+  const commands = [];
+  for (let k = 0; k + 1 < values.length; k += 2) {
+    const type = k === 0 ? "M" : "L";
+    commands.push({ type, x: values[k], y: values[k + 1] });
+  }
+  if (close && commands.length > 0) commands.push({ type: "Z" });
+  return commands;
+}
+
+function ellipseCommands(cx, cy, rx, ry) {
+  const commands = [{ type: "M", x: cx + rx, y: cy }];
+  arcToLines(cx + rx, cy, rx, ry, 0, false, true, cx - rx, cy, commands);
+  arcToLines(cx - rx, cy, rx, ry, 0, false, true, cx + rx, cy, commands);
+  commands.push({ type: "Z" });
+  return commands;
+}
+
+function elementCommands(el) {
+  const attr = (name) => parseFloat(el.getAttribute(name)) || 0;
+  switch (el.tagName.toLowerCase()) {
+    case "path":
+      return parsePathData(el.getAttribute("d"));
+    case "rect": {
+      const x = attr("x");
+      const y = attr("y");
+      const w = attr("width");
+      const h = attr("height");
+      return pointsToCommands([x, y, x + w, y, x + w, y + h, x, y + h], true);
+    }
+    case "circle":
+      return ellipseCommands(attr("cx"), attr("cy"), attr("r"), attr("r"));
+    case "ellipse":
+      return ellipseCommands(attr("cx"), attr("cy"), attr("rx"), attr("ry"));
+    case "line":
+      return pointsToCommands([attr("x1"), attr("y1"), attr("x2"), attr("y2")]);
+    default: {
+      const values = (el.getAttribute("points") || "")
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map(Number);
+      return pointsToCommands(values, el.tagName.toLowerCase() === "polygon");
+    }
+  }
+}
+
+// Presentation attribute or inline style, inherited from the ancestors
+function inheritedStyle(el, name) {
+  for (let node = el; node && node.getAttribute; node = node.parentNode) {
+    const style = node.getAttribute("style") || "";
+    const match = style.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`));
+    if (match) return match[1].trim();
+    if (node.hasAttribute(name)) return node.getAttribute(name).trim();
+  }
+  return null;
+}
+
+function parseSvgColor(value) {
+  if (!value || value === "none" || value.startsWith("url(")) return null;
+  if (value === "currentColor") return null;
+  const color = new THREE.Color();
+  color.setStyle(value);
+  return color;
+}
+
+export class ShapeImporter {
+  constructor(shapeGenerator) {
+    this.shapeGenerator = shapeGenerator;
+  }
+
+  // Playlist entry ({ type: "image" | "svg", value: url, ... }) -> points
+  async load(entry, { size, maxPoints }) {
+    if (entry.type === "svg") {
+      const response = await fetch(entry.value);
+      if (!response.ok) {
+        throw new Error(`SVG request failed (${response.status})`);
+      }
+      return this.fromSVG(await response.text(), {
+        size,
+        maxPoints,
+        mode: entry.sampling,
+        fillRatio: entry.fillRatio,
+      });
+    }
+    const image = await this.loadImage(entry.value);
+    return this.fromImage(image, {
+      size,
+      maxPoints,
+      channel: entry.channel,
+      threshold: entry.threshold,
+      invert: entry.invert,
+    });
+  }
+
+  loadImage(url) {
+    const image = new Image();
+    image.crossOrigin = "anonymous"; // getImageData needs an untainted canvas
+    image.src = url;
+    return image.decode().then(() => image);
+  }
+
+  fromSVG(markup, options = {}) {
+    const { size = 600, maxPoints = 6000, fillRatio = 0.6 } = options;
+    const doc = new DOMParser().parseFromString(markup, "image/svg+xml");
+    if (doc.querySelector("parsererror")) {
+      throw new Error("Could not parse SVG");
+    }
+
+    const shapes = this.getSvgShapes(doc.documentElement);
+    const contours = shapes.flatMap((s) => s.contours);
+    if (contours.length === 0) return [];
+
+    // Fit the artwork's bounds to `size`
+    let minX = Infinity,
+      maxX = -Infinity,
+      minY = Infinity,
+      maxY = -Infinity;
+    contours.forEach((c) =>
+      c.forEach((p) => {
+        if (p.x < minX) minX = p.x;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.y > maxY) maxY = p.y;
+      }),
+    );
+    const scale = size / Math.max(maxX - minX, maxY - minY, 1e-6);
+    contours.forEach((c) =>
+      c.forEach((p) => {
+        p.x *= scale;
+        p.y *= scale;
+      }),
+    );
+
+    const generator = this.shapeGenerator;
+    const glyphs = shapes.map((s) => ({
+      ...s,
+      ...generator.measureContours(s.contours),
+    }));
+    // Stroke-only artwork has nothing to fill
+    const fillable = glyphs.some((g) => !g.filled);
+    const mode = fillable ? options.mode || "fill" : "outline";
+
+    const fillShare = mode === "fill" ? 1 : mode === "mixed" ? fillRatio : 0;
+    const fillBudget = Math.round(maxPoints * fillShare);
+    const points = [];
+    if (maxPoints - fillBudget > 0) {
+      generator.sampleOutlines(glyphs, maxPoints - fillBudget, 0, points);
+    }
+    if (fillBudget > 0) generator.sampleFills(glyphs, fillBudget, points);
+
+    return generator.centerPoints(points);
+  }
+
+  // One glyph-like shape per element. Open subpaths and unfilled elements
+  // are handed over like FallbackFont scanline runs (filled: true): sampled
+  // along their length only, never closed or grid-filled.
+  getSvgShapes(root) {
+    const shapes = [];
+    root.querySelectorAll(SVG_SHAPES).forEach((el) => {
+      if (el.closest("defs, clipPath, mask, symbol")) return;
+      if (inheritedStyle(el, "display") === "none") return;
+
+      // Compose transforms from the element up to the <svg> root
+      let matrix = IDENTITY;
+      for (let node = el; node !== root.parentNode; node = node.parentNode) {
+        const transform = parseTransform(node.getAttribute("transform"));
+        matrix = multiply(transform, matrix);
+      }
+
+      const fill = inheritedStyle(el, "fill");
+      const stroke = inheritedStyle(el, "stroke");
+      const hasFill = fill !== "none";
+      const color = parseSvgColor(hasFill ? fill : stroke);
+
+      // Flatten per subpath so open and closed pieces can be told apart
+      const closed = [];
+      const open = [];
+      let subpath = [];
+      const flush = () => {
+        if (subpath.length === 0) return;
+        const isClosed = subpath[subpath.length - 1].type === "Z";
+        const flat = this.shapeGenerator.flattenPath(
+          { commands: subpath },
+          0.5,
+        );
+        (isClosed && hasFill ? closed : open).push(...flat);
+        subpath = [];
+      };
+      elementCommands(el).forEach((cmd) => {
+        if (cmd.type === "M") flush();
+        subpath.push(cmd);
+      });
+      flush();
+
+      const transform = (c) =>
+        c.map((p) => ({
+          x: matrix[0] * p.x + matrix[2] * p.y + matrix[4],
+          y: matrix[1] * p.x + matrix[3] * p.y + matrix[5],
+        }));
+      if (closed.length > 0) {
+        shapes.push({ contours: closed.map(transform), filled: false, color });
+      }
+      if (open.length > 0) {
+        shapes.push({ contours: open.map(transform), filled: true, color });
+      }
+    });
+    return shapes;
+  }
+
+  fromImage(image, options = {}) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const scale = Math.min(1, IMAGE_RESOLUTION / Math.max(width, height));
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, w, h);
+    return this.sampleImageData(ctx.getImageData(0, 0, w, h), options);
+  }
+
+  // Rejection sampling: a pixel's weight is its chance of holding a star, so
+  // bright (or opaque) areas come out dense and faint ones sparse
+  sampleImageData(imageData, options = {}) {
+    const { width, height, data } = imageData;
+    const {
+      size = 600,
+      maxPoints = 6000,
+      channel = "alpha",
+      invert = false,
+    } = options;
+    const threshold = options.threshold ?? DEFAULT_THRESHOLD[channel];
+
+    const weights = new Float32Array(width * height);
+    const candidates = [];
+    for (let p = 0; p < width * height; p++) {
+      const alpha = data[p * 4 + 3] / 255;
+      let weight = alpha;
+      if (channel === "luminance") {
+        const luminance =
+          (0.2126 * data[p * 4] +
+            0.7152 * data[p * 4 + 1] +
+            0.0722 * data[p * 4 + 2]) /
+          255;
+        weight = (invert ? 1 - luminance : luminance) * alpha;
+      } else if (invert) {
+        weight = 1 - alpha;
+      }
+      weights[p] = weight;
+      if (weight > threshold) candidates.push(p);
+    }
+    if (candidates.length === 0) return [];
+
+    const random = this.shapeGenerator.random;
+    const unit = size / Math.max(width, height);
+    const points = [];
+    const maxAttempts = maxPoints * 20;
+    for (let a = 0; a < maxAttempts && points.length < maxPoints; a++) {
+      const p = candidates[Math.floor(random() * candidates.length)];
+      if (random() > weights[p]) continue;
+
+      const px = (p % width) + random();
+      const py = Math.floor(p / width) + random();
+      points.push({
+        x: (px - width / 2) * unit,
+        y: (py - height / 2) * unit,
+        z: 0,
+        // Transparent pixels (inverted alpha) have no meaningful color.
+        // Pixels are sRGB: converted like the SVG colors above.
+        color:
+          channel === "alpha" && invert
+            ? null
+            : new THREE.Color().setRGB(
+                data[p * 4] / 255,
+                data[p * 4 + 1] / 255,
+                data[p * 4 + 2] / 255,
+                THREE.SRGBColorSpace,
+              ),
+      });
+    }
+    return points;
+  }
+}
@@ -0,0 +1,326 @@
+// Catalog of procedural shapes for the shake cycle and the pinch bloom.
+// Every generator takes the same parameters:
+//   size      - radius of the shape in world units (HEART_SHAPE's scale)
+//   points    - number of points to return
+//   thickness - depth / spread of the volume in world units (HEART_SHAPE's
+//               z depth)
+// and returns { x, y, z } points in the glyph convention (y-down, centered
+// on the origin), so controllers treat them exactly like text points.
+export const SHAPE_NAMES = [
+  "HEART_SHAPE",
+  "HEART_3D",
+  "ROSE",
+  "RING",
+  "INFINITY",
+  "CUPID_ARROW",
+  "STAR",
+  "GALAXY",
+];
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Random offset inside a disc of the given radius
+function discOffset(radius, random) {
+  const r = radius * Math.sqrt(random());
+  const a = random() * Math.PI * 2;
+  return [r * Math.cos(a), r * Math.sin(a)];
+}
+
+// Taubin's heart surface, z up: negative inside, positive outside
+function heartField(x, y, z) {
+  const a = x * x + 2.25 * y * y + z * z - 1;
+  return a * a * a - x * x * z * z * z - 0.1125 * y * y * z * z * z;
+}
+
+export class ShapeLibrary {
+  constructor(shapeGenerator) {
+    this.shapeGenerator = shapeGenerator;
+    // Shares the generator's source so one seed reproduces every shape
+    this.random = shapeGenerator.random;
+    this.generators = {
+      HEART_SHAPE: (o) =>
+        this.shapeGenerator.generateHeartPoints(
+          0,
+          0,
+          o.size,
+          o.points,
+          o.thickness,
+        ),
+      HEART_3D: (o) => this.generateHeart3D(o),
+      ROSE: (o) => this.generateRose(o),
+      RING: (o) => this.generateRing(o),
+      INFINITY: (o) => this.generateInfinity(o),
+      CUPID_ARROW: (o) => this.generateCupidArrow(o),
+      STAR: (o) => this.generateStar(o),
+      GALAXY: (o) => this.generateGalaxy(o),
+    };
+  }
+
+  generate(name, { size = 300, points = 6000, thickness } = {}) {
+    const generator = this.generators[name];
+    if (!generator) throw new Error(`Unknown shape "${name}"`);
+    // Volumes scale with the shape, except HEART_SHAPE's classic 80 deep
+    const depth = thickness ?? (name === "HEART_SHAPE" ? 80 : size * 0.1);
+    return generator({ size, points, thickness: depth });
+  }
+
+  // Volumetric heart: rays from the center are bisected onto the implicit
+  // surface, then pushed inward by up to `thickness`
+  generateHeart3D({ size, points, thickness }) {
+    const out = [];
+    const scale = size / 1.2; // The surface spans x in [-1.14, 1.14]
+
+    for (let i = 0; i < points; i++) {
+      // Uniform direction on the sphere
+      const z = 2 * this.random() - 1;
+      const a = this.random() * Math.PI * 2;
+      const s = Math.sqrt(1 - z * z);
+      const dx = s * Math.cos(a);
+      const dy = s * Math.sin(a);
+      const dz = z;
+
+      // The origin is inside (field -1): step out until the sign flips
+      let lo = 0;
+      let hi = 0.1;
+      while (hi < 2 && heartField(dx * hi, dy * hi, dz * hi) < 0) {
+        lo = hi;
+        hi += 0.1;
+      }
+      for (let k = 0; k < 16; k++) {
+        const mid = (lo + hi) / 2;
+        if (heartField(dx * mid, dy * mid, dz * mid) < 0) lo = mid;
+        else hi = mid;
+      }
+      const r = Math.max(0, lo * scale - this.random() * thickness);
+
+      // Field axes: x across, y depth, z up -> y-down world points
+      out.push({ x: dx * r, y: -(dz * r) + size * 0.1, z: dy * r });
+    }
+    return out;
+  }
+
+  // Layered polar-rose petals, cupped toward the viewer
+  generateRose({ size, points, thickness }) {
+    const out = [];
+    const layers = [
+      { radius: 1.0, petals: 5, turn: 0 },
+      { radius: 0.72, petals: 5, turn: Math.PI / 5 },
+      { radius: 0.45, petals: 4, turn: Math.PI / 9 },
+      { radius: 0.22, petals: 3, turn: Math.PI / 3 },
+    ];
+    const weight = layers.reduce((sum, l) => sum + l.radius, 0);
+
+    layers.forEach((layer) => {
+      const count = Math.round((points * layer.radius) / weight);
+      const k = layer.petals;
+      for (let i = 0; i < count; i++) {
+        const t = this.random() * Math.PI * 2;
+        // |cos| gives k petals over a full turn; the fill factor packs the
+        // interior a little so petals read as surfaces, not wires
+        const fill = Math.pow(this.random(), 0.35);
+        const r = size * layer.radius * Math.abs(Math.cos((k * t) / 2)) * fill;
+        const angle = t + layer.turn;
+        const cup = Math.pow(r / size, 2) * size * 0.5;
+        const [jx, jy] = discOffset(thickness * 0.3, this.random);
+        out.push({
+          x: Math.cos(angle) * r + jx,
+          y: Math.sin(angle) * r + jy,
+          z:
+            cup -
+            size * layer.radius * 0.3 +
+            gaussian(this.random) * thickness * 0.3,
+        });
+      }
+    });
+    return out.slice(0, points);
+  }
+
+  // Torus band with a small octahedral gem on top
+  generateRing({ size, points, thickness }) {
+    const out = [];
+    const gemPoints = Math.round(points * 0.15);
+    const radius = size * 0.85;
+    const tube = Math.max(1, thickness);
+
+    for (let i = 0; i < points - gemPoints; i++) {
+      const u = this.random() * Math.PI * 2;
+      const v = this.random() * Math.PI * 2;
+      const r = radius + tube * Math.cos(v);
+      out.push({
+        x: r * Math.cos(u),
+        y: r * Math.sin(u),
+        z: tube * Math.sin(v),
+      });
+    }
+
+    // Gem: points on an octahedron surface (|x| + |y| + |z| = 1)
+    const gem = size * 0.22;
+    for (let i = 0; i < gemPoints; i++) {
+      let x = this.random();
+      let y = this.random();
+      if (x + y > 1) {
+        x = 1 - x;
+        y = 1 - y;
+      }
+      const z = 1 - x - y;
+      const sx = this.random() < 0.5 ? -1 : 1;
+      const sy = this.random() < 0.5 ? -1 : 1;
+      const sz = this.random() < 0.5 ? -1 : 1;
+      out.push({
+        x: sx * x * gem,
+        y: -radius - tube - gem + sy * y * gem, // Sits on the band (y-down)
+        z: sz * z * gem,
+      });
+    }
+    return out;
+  }
+
+  // Lemniscate of Bernoulli swept as a tube
+  generateInfinity({ size, points, thickness }) {
+    const out = [];
+    for (let i = 0; i < points; i++) {
+      const t = (i / points) * Math.PI * 2;
+      const d = 1 + Math.sin(t) * Math.sin(t);
+      const [jy, jz] = discOffset(thickness, this.random);
+      out.push({
+        x: (size * Math.cos(t)) / d + (this.random() - 0.5) * thickness * 0.5,
+        y: (size * Math.sin(t) * Math.cos(t)) / d + jy,
+        z: jz,
+      });
+    }
+    return out;
+  }
+
+  // Heart pierced by an arrow: shaft, arrowhead and fletching
+  generateCupidArrow({ size, points, thickness }) {
+    const heartCount = Math.round(points * 0.55);
+    const out = this.shapeGenerator
+      .generateHeartPoints(0, 0, size * 0.7, heartCount)
+      .map((p) => ({ x: p.x, y: p.y, z: p.z * (thickness / 40) }));
+
+    // The arrow rises to the right (y-down: negative y is up)
+    const dir = { x: Math.cos(-0.45), y: Math.sin(-0.45) };
+    const normal = { x: -dir.y, y: dir.x };
+    const half = size * 1.35;
+    const along = (d, n, z = 0) => ({
+      x: dir.x * d + normal.x * n,
+      y: dir.y * d + normal.y * n,
+      z,
+    });
+
+    const rest = points - heartCount;
+    const shaftCount = Math.round(rest * 0.55);
+    const headCount = Math.round(rest * 0.2);
+    const featherCount = rest - shaftCount - headCount;
+    const jitter = () => (this.random() - 0.5) * thickness * 0.15;
+
+    for (let i = 0; i < shaftCount; i++) {
+      const d = -half + this.random() * half * 1.8;
+      out.push(along(d, jitter(), jitter()));
+    }
+
+    // Arrowhead: filled triangle at the front end
+    const head = size * 0.3;
+    for (let i = 0; i < headCount; i++) {
+      let a = this.random();
+      let b = this.random();
+      if (a + b > 1) {
+        a = 1 - a;
+        b = 1 - b;
+      }
+      const d = half * 0.8 + head * (1 - a - b);
+      const n = (a - b) * head * 0.55;
+      out.push(along(d, n, jitter()));
+    }
+
+    // Fletching: slanted barbs on both sides of the tail
+    const tail = size * 0.35;
+    for (let i = 0; i < featherCount; i++) {
+      const side = i % 2 === 0 ? 1 : -1;
+      const f = this.random();
+      const barb = Math.floor(this.random() * 4) / 4;
+      const d = -half + barb * tail - f * tail * 0.35;
+      out.push(along(d, side * f * tail * 0.45, jitter()));
+    }
+    return out;
+  }
+
+  // Five-pointed star: outline plus a lighter fill, extruded by thickness
+  generateStar({ size, points, thickness }) {
+    const out = [];
+    const corners = [];
+    for (let k = 0; k < 10; k++) {
+      const r = k % 2 === 0 ? size : size * 0.42;
+      const a = -Math.PI / 2 + (k * Math.PI) / 5; // First point straight up
+      corners.push({ x: Math.cos(a) * r, y: Math.sin(a) * r });
+    }
+
+    const outlineCount = Math.round(points * 0.6);
+    for (let i = 0; i < outlineCount; i++) {
+      const t = (i / outlineCount) * 10;
+      const k = Math.floor(t);
+      const a = corners[k];
+      const b = corners[(k + 1) % 10];
+      const f = t - k;
+      out.push({
+        x: a.x + (b.x - a.x) * f,
+        y: a.y + (b.y - a.y) * f,
+        z: (this.random() - 0.5) * thickness,
+      });
+    }
+
+    // Fill: random points in the ten center-to-edge triangles
+    for (let i = outlineCount; i < points; i++) {
+      const k = Math.floor(this.random() * 10);
+      const a = corners[k];
+      const b = corners[(k + 1) % 10];
+      let u = this.random();
+      let v = this.random();
+      if (u + v > 1) {
+        u = 1 - u;
+        v = 1 - v;
+      }
+      out.push({
+        x: a.x * u + b.x * v,
+        y: a.y * u + b.y * v,
+        z: (this.random() - 0.5) * thickness,
+      });
+    }
+    return out;
+  }
+
+  // Two-armed spiral galaxy with a central bulge, tilted for depth
+  generateGalaxy({ size, points, thickness }) {
+    const out = [];
+    const arms = 2;
+    const bulgeCount = Math.round(points * 0.2);
+    const tilt = 0.45; // Radians around the x axis
+    const cos = Math.cos(tilt);
+    const sin = Math.sin(tilt);
+
+    for (let i = 0; i < points; i++) {
+      let x, y, z;
+      if (i < bulgeCount) {
+        const r = size * 0.18;
+        x = gaussian(this.random) * r;
+        y = gaussian(this.random) * r;
+        z = gaussian(this.random) * r * 0.6;
+      } else {
+        // Denser toward the core; arms wind 1.5 turns out to the rim
+        const d = Math.pow(this.random(), 0.7);
+        const arm = (i % arms) * ((Math.PI * 2) / arms);
+        const angle = arm + d * Math.PI * 3;
+        const spread = size * (0.04 + d * 0.12);
+        x = Math.cos(angle) * d * size + gaussian(this.random) * spread;
+        y = Math.sin(angle) * d * size + gaussian(this.random) * spread;
+        z = gaussian(this.random) * thickness * 0.3 * (1 - d * 0.7);
+      }
+      out.push({ x, y: y * cos - z * sin, z: y * sin + z * cos });
+    }
+    return out;
+  }
+}
@@ -0,0 +1,244 @@
+import { IMAGE_CHANNELS } from "./ShapeImporter.js";
+import { SHAPE_NAMES } from "./ShapeLibrary.js";
+
+// Ordered list of what the shake cycle forms. Comes from a JSON file
+// (?playlist=cards/anniversary.json) or straight from the query string
+// (?words=Happy Anniversary|HEART_SHAPE|Sam&colors=ff1493,ffffff&hold=3000
+//  &font=serif&sampling=fill).
+//
+// JSON format:
+// {
+//   "colors": ["#ff1493", "#ffffff"],          // chaos palette (optional)
+//   "font": "serif",                           // default font (optional)
+//   "entries": [
+//     "Love",                                  // plain text
+//     { "shape": "HEART_SHAPE", "points": 6000, "size": 300 },
+//     { "shape": "GALAXY", "thickness": 60 },    // see ShapeLibrary
+//     { "text": "Be Mine", "font": "mono", "sampling": "mixed", "fillRatio": 0.6,
+//       "colors": ["#dc143c", "#ffffff"], "colorBy": "x", "hold": 3000,
+//       "transition": { "type": "explode", "duration": 1.2, "ease": "power3.out" } },
+//     { "text": "Happy\nAnniversary, Sam", "align": "left", "lineHeight": 1.1,
+//       "kerning": false },                    // wraps and fits the screen
+//     { "svg": "cards/rose.svg", "sampling": "fill" },
+//     { "image": "cards/us.png", "channel": "luminance", "threshold": 0.3 }
+//   ],
+//   "bloom": { "image": "cards/us.png" }         // pinch target (optional)
+// }
+export const BUILT_IN_SHAPES = SHAPE_NAMES;
+// How a shape leaves: "morph" flows into the next entry while the shake goes
+// on (and explodes once it stops), "explode" and "dissolve" hold the shape
+// for as long as the shake lasts
+export const TRANSITIONS = ["morph", "explode", "dissolve"];
+export const SAMPLING_MODES = ["outline", "fill", "mixed"];
+// How an entry's `colors` spread over its points: random pick, one color per
+// letter, or a gradient through the palette along x, y or from the center
+export const COLOR_MODES = ["point", "letter", "x", "y", "radial"];
+export const ALIGNMENTS = ["left", "center", "right"];
+
+export const DEFAULT_PLAYLIST = ["Love", "HEART_SHAPE", "Be Mine"];
+
+const DEFAULT_TRANSITION = { type: "morph", duration: 1.0, ease: "power3.out" };
+
+function parseColor(value) {
+  if (typeof value === "number") return value;
+  const hex = String(value).trim().replace(/^#/, "");
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new Error(`Invalid playlist color "${value}"`);
+  }
+  return parseInt(hex, 16);
+}
+
+function parsePalette(colors) {
+  if (colors == null) return null;
+  const list = Array.isArray(colors) ? colors : String(colors).split(",");
+  const palette = list.filter((c) => String(c).trim() !== "").map(parseColor);
+  return palette.length > 0 ? palette : null;
+}
+
+function positiveNumber(value, name) {
+  if (value == null) return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) {
+    throw new Error(`Invalid playlist ${name} "${value}"`);
+  }
+  return n;
+}
+
+function parseTransition(value) {
+  const transition =
+    typeof value === "string" ? { type: value } : { ...(value || {}) };
+  const type = transition.type || DEFAULT_TRANSITION.type;
+  if (!TRANSITIONS.includes(type)) {
+    throw new Error(`Unknown playlist transition "${type}"`);
+  }
+  return {
+    type,
+    duration:
+      positiveNumber(transition.duration, "transition duration") ||
+      DEFAULT_TRANSITION.duration,
+    ease: transition.ease || DEFAULT_TRANSITION.ease,
+  };
+}
+
+export function normalizeEntry(entry, defaults = {}) {
+  const raw = typeof entry === "string" ? { text: entry } : entry || {};
+  const source = ["shape", "svg", "image", "text"].find((key) => raw[key]);
+  let type = source || "text";
+  let value = raw[type];
+
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new Error("Playlist entry needs a text, shape, svg or image");
+  }
+  // Bare strings naming a built-in shape ("HEART_SHAPE") form that shape
+  if (type === "text" && BUILT_IN_SHAPES.includes(value)) type = "shape";
+  if (type === "shape" && !BUILT_IN_SHAPES.includes(value)) {
+    throw new Error(`Unknown playlist shape "${value}"`);
+  }
+
+  // Artwork reads best filled; glyphs read best as outlines
+  const sampling =
+    raw.sampling || defaults.sampling || (type === "svg" ? "fill" : "outline");
+  if (!SAMPLING_MODES.includes(sampling)) {
+    throw new Error(`Unknown playlist sampling "${sampling}"`);
+  }
+  const fillRatio = raw.fillRatio ?? defaults.fillRatio ?? 0.6;
+  if (!(fillRatio >= 0 && fillRatio <= 1)) {
+    throw new Error(`Invalid playlist fillRatio "${fillRatio}"`);
+  }
+
+  const colorBy = raw.colorBy || defaults.colorBy || "point";
+  if (!COLOR_MODES.includes(colorBy)) {
+    throw new Error(`Unknown playlist colorBy "${colorBy}"`);
+  }
+
+  const align = raw.align || defaults.align || "center";
+  if (!ALIGNMENTS.includes(align)) {
+    throw new Error(`Unknown playlist align "${align}"`);
+  }
+
+  const channel = raw.channel || "alpha";
+  if (!IMAGE_CHANNELS.includes(channel)) {
+    throw new Error(`Unknown playlist channel "${channel}"`);
+  }
+  const threshold = raw.threshold ?? null;
+  if (threshold !== null && !(threshold >= 0 && threshold < 1)) {
+    throw new Error(`Invalid playlist threshold "${threshold}"`);
+  }
+
+  return {
+    type,
+    value,
+    sampling,
+    fillRatio: Number(fillRatio),
+    font: raw.font || defaults.font || null,
+    colors: parsePalette(raw.colors),
+    colorBy,
+    points: positiveNumber(raw.points, "points"),
+    size: positiveNumber(raw.size, "size"),
+    thickness: positiveNumber(raw.thickness, "thickness"),
+    hold: positiveNumber(raw.hold, "hold"),
+    transition: parseTransition(raw.transition),
+    // Text layout
+    align,
+    lineHeight: positiveNumber(raw.lineHeight, "lineHeight"),
+    kerning: raw.kerning !== false,
+    // Image sampling
+    channel,
+    threshold: threshold === null ? null : Number(threshold),
+    invert: raw.invert === true,
+  };
+}
+
+export class ShapePlaylist {
+  constructor(entries = DEFAULT_PLAYLIST, options = {}) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error("Playlist needs at least one entry");
+    }
+    this.entries = entries.map((e) => normalizeEntry(e, options));
+    this.colors = parsePalette(options.colors);
+    this.bloom = options.bloom ? normalizeEntry(options.bloom, options) : null;
+    this.index = 0;
+  }
+
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    if (Array.isArray(data)) return new ShapePlaylist(data);
+    return new ShapePlaylist(data.entries, {
+      colors: data.colors,
+      font: data.font,
+      sampling: data.sampling,
+      fillRatio: data.fillRatio,
+      colorBy: data.colorBy,
+      align: data.align,
+      bloom: data.bloom,
+    });
+  }
+
+  // A decoded ?card= link (see core/CardLink.js)
+  static fromCard(card) {
+    return new ShapePlaylist(card.entries, {
+      colors: card.palette,
+      font: card.font,
+      bloom: card.bloomShape ? { shape: card.bloomShape } : undefined,
+    });
+  }
+
+  // Query string shorthand: words are "|" separated so messages can keep commas
+  static fromQuery(params) {
+    const words = params.get("words");
+    if (!words) return null;
+
+    const hold = params.get("hold");
+    const entries = words
+      .split("|")
+      .map((w) => w.trim())
+      .filter(Boolean)
+      .map((w) => ({ text: w, hold }));
+    return new ShapePlaylist(entries, {
+      colors: params.get("colors"),
+      font: params.get("font"),
+      sampling: params.get("sampling"),
+      fillRatio: params.get("fillRatio") ?? undefined,
+      align: params.get("align"),
+    });
+  }
+
+  static async load(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const url = params.get("playlist");
+
+    try {
+      if (url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`Playlist request failed (${response.status})`);
+        }
+        return ShapePlaylist.fromJSON(await response.json());
+      }
+      return ShapePlaylist.fromQuery(params) || new ShapePlaylist();
+    } catch (err) {
+      // A broken card link should still show the default experience
+      console.warn("Falling back to the default playlist:", err);
+      return new ShapePlaylist();
+    }
+  }
+
+  // Font names the entries ask for (so only those get downloaded)
+  get fonts() {
+    return [...new Set(this.entries.map((e) => e.font).filter(Boolean))];
+  }
+
+  // Entries whose points come from artwork files
+  get imports() {
+    return this.entries.filter((e) => e.type === "svg" || e.type === "image");
+  }
+
+  get current() {
+    return this.entries[this.index];
+  }
+
+  next() {
+    this.index = (this.index + 1) % this.entries.length;
+    return this.current;
+  }
+}
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { CameraRig } from "../src/core/CameraRig.js";
+
+function createRig(options) {
+  const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 4000);
+  camera.position.z = 600;
+  return { camera, rig: new CameraRig(camera, options) };
+}
+
+const settle = (rig, seconds = 3) => {
+  for (let t = 0; t < seconds; t += 1 / 60) rig.update(1 / 60);
+};
+
+test("the camera eases toward the pointer, looking at the center", () => {
+  const { camera, rig } = createRig({ range: 90 });
+  rig.pointTo(1, 0);
+  rig.update(1 / 60);
+  assert.ok(camera.position.x > 0 && camera.position.x < 10); // Smoothed
+  settle(rig);
+  assert.ok(Math.abs(camera.position.x - 90) < 0.5);
+  assert.equal(camera.position.z, 600);
+
+  // Still aimed at the origin
+  const forward = camera.getWorldDirection(new THREE.Vector3());
+  const toCenter = camera.position.clone().negate().normalize();
+  assert.ok(forward.distanceTo(toCenter) < 1e-6);
+});
+
+test("deflection is limited to the range, diagonals included", () => {
+  const { camera, rig } = createRig({ range: 90 });
+  rig.pointTo(3, 3);
+  settle(rig);
+  assert.ok(Math.hypot(camera.position.x, camera.position.y) <= 90.01);
+});
+
+test("tilt is measured from the first pose, and recenter resets it", () => {
+  const { rig } = createRig({ maxTilt: 20 });
+  rig.orient({ beta: 60, gamma: 5 });
+  assert.deepEqual(rig.target, { x: 0, y: 0 });
+  rig.orient({ beta: 70, gamma: 15 });
+  assert.ok(Math.abs(rig.target.x - 0.5) < 1e-9);
+  assert.ok(Math.abs(rig.target.y - 0.5) < 1e-9);
+
+  rig.recenter();
+  rig.orient({ beta: 70, gamma: 15 });
+  assert.deepEqual(rig.target, { x: 0, y: 0 });
+
+  // A rotated screen turns the axes and takes a new neutral pose
+  rig.orient({ beta: 70, gamma: 15 }, 90);
+  rig.orient({ beta: 70, gamma: 25 }, 90);
+  assert.ok(Math.abs(rig.target.x) < 1e-9);
+  assert.ok(Math.abs(rig.target.y - 0.5) < 1e-9);
+});
+
+test("switched off, the camera returns home and ignores input", () => {
+  const { camera, rig } = createRig();
+  rig.pointTo(0, 1);
+  settle(rig);
+  rig.setEnabled(false);
+  rig.pointTo(1, 1);
+  settle(rig, 5);
+  assert.ok(camera.position.distanceTo(new THREE.Vector3(0, 0, 600)) < 0.1);
+});
+
+test("the orbit turns the camera around the center", () => {
+  const { camera, rig } = createRig();
+  rig.orbit.yaw = Math.PI / 2;
+  rig.orbit.zoom = 0.5;
+  rig.update(1 / 60);
+  assert.ok(camera.position.distanceTo(new THREE.Vector3(300, 0, 0)) < 1e-6);
+
+  rig.orbit.yaw = 0;
+  rig.orbit.pitch = -Math.PI / 4; // From above
+  rig.orbit.zoom = 1;
+  rig.update(1 / 60);
+  assert.ok(camera.position.y > 400 && camera.position.z > 400);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeCard, encodeCard, readCard } from "../src/core/CardLink.js";
+import { ShapePlaylist } from "../src/features/shake/ShapePlaylist.js";
+
+const CARD = {
+  entries: ["Happy Anniversary, Sam ❤️", "ROSE", "Je t'aime"],
+  message: "Forever yours",
+  bloomShape: "INFINITY",
+  palette: [0xff1493, 0xffffff, 0x000001],
+  background: [0x100008, 0x000000],
+  font: "serif",
+  theme: "wedding-gold",
+};
+
+test("cards survive the round trip in a URL-safe code", () => {
+  const code = encodeCard(CARD);
+  assert.match(code, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCard(code), CARD);
+});
+
+test("unset fields stay out of the code", () => {
+  const code = encodeCard({ entries: ["HEART_SHAPE"] });
+  assert.equal(code.length, 6); // Version, flags, count, shape tag
+  assert.deepEqual(decodeCard(code), {
+    entries: ["HEART_SHAPE"],
+    message: null,
+    bloomShape: null,
+    palette: null,
+    background: null,
+    font: null,
+    theme: null,
+  });
+});
+
+test("bad cards are rejected on both ends", () => {
+  assert.throws(() => encodeCard({ entries: [] }), /Invalid card link/);
+  assert.throws(
+    () => encodeCard({ entries: ["Hi"], font: "comic" }),
+    /unknown font/,
+  );
+  assert.throws(
+    () => encodeCard({ entries: ["Hi"], theme: "halloween" }),
+    /unknown theme/,
+  );
+  assert.throws(
+    () => encodeCard({ entries: ["Hi"], palette: [0x1000000] }),
+    /color/,
+  );
+  const code = encodeCard(CARD);
+  assert.throws(() => decodeCard(code.slice(0, -4)), /Invalid card link/);
+  assert.throws(() => decodeCard(`${code}AA`), /trailing data/);
+  assert.throws(() => decodeCard("AgA"), /unknown version/);
+});
+
+test("pages read ?card= and ignore broken links", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  assert.deepEqual(readCard(`?card=${encodeCard(CARD)}`), CARD);
+  assert.equal(readCard("?words=Hi"), null);
+  assert.equal(readCard("?card=%%%"), null);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("a card becomes the shake playlist", () => {
+  const playlist = ShapePlaylist.fromCard(CARD);
+  assert.deepEqual(
+    playlist.entries.map((e) => [e.type, e.value, e.font]),
+    [
+      ["text", "Happy Anniversary, Sam ❤️", "serif"],
+      ["shape", "ROSE", "serif"],
+      ["text", "Je t'aime", "serif"],
+    ],
+  );
+  assert.deepEqual(playlist.colors, CARD.palette);
+  assert.equal(playlist.bloom.value, "INFINITY");
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ManualClock, SteppableClock } from "../src/core/Clock.js";
+
+test("a held clock only moves by fixed steps", () => {
+  const source = new ManualClock(1000);
+  const clock = new SteppableClock(source);
+  assert.equal(clock.now(), 1000);
+
+  clock.hold();
+  source.advance(5000); // A slow frame does not count
+  assert.equal(clock.advance(40), 1040);
+  assert.equal(clock.now(), 1040);
+});
+
+test("resuming carries on from the held time", () => {
+  const source = new ManualClock(0);
+  const clock = new SteppableClock(source);
+  clock.hold();
+  clock.advance(100);
+  source.advance(3000);
+  clock.resume();
+  assert.equal(clock.now(), 100);
+  source.advance(16);
+  assert.equal(clock.now(), 116);
+  assert.throws(() => clock.advance(1), /held/);
+});
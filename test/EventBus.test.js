@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventBus } from "../src/core/EventBus.js";
+
+test("listeners hear their own event type with its detail", () => {
+  const events = new EventBus();
+  const heard = [];
+  events.on("pulse", (detail) => heard.push(detail.strength));
+  events.on("bloom:full", () => heard.push("full"));
+
+  events.emit("pulse", { strength: 600 });
+  events.emit("shape:form"); // Nobody listens
+  assert.deepEqual(heard, [600]);
+});
+
+test("unsubscribing stops one listener, even mid-emit", () => {
+  const events = new EventBus();
+  const heard = [];
+  const off = events.on("pulse", () => {
+    heard.push("a");
+    off();
+  });
+  events.on("pulse", () => heard.push("b"));
+
+  events.emit("pulse");
+  events.emit("pulse");
+  assert.deepEqual(heard, ["a", "b", "b"]);
+});
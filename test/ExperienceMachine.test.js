@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  EXPERIENCE,
+  ExperienceMachine,
+} from "../src/core/ExperienceMachine.js";
+
+function feature(name, log) {
+  return {
+    enter: (from, payload) => log.push(`enter ${name} from ${from}`, payload),
+    exit: (to) => log.push(`exit ${name} to ${to}`),
+  };
+}
+
+test("starts idle and follows the transition table", () => {
+  const machine = new ExperienceMachine();
+  assert.equal(machine.state, EXPERIENCE.IDLE);
+
+  assert.equal(machine.send("settle"), false); // Not handled in idle
+  assert.equal(machine.send("shake"), true);
+  assert.equal(machine.state, EXPERIENCE.SHAKING);
+  assert.equal(machine.send("bloom"), true); // A pinch interrupts the shape
+  assert.equal(machine.send("shake"), false); // Ignored mid-bloom
+  assert.equal(machine.state, EXPERIENCE.BLOOMING);
+  assert.equal(machine.send("release"), true);
+  assert.equal(machine.state, EXPERIENCE.IDLE);
+});
+
+test("the old owner exits before the new one enters", () => {
+  const machine = new ExperienceMachine();
+  const log = [];
+  machine.register(EXPERIENCE.SHAKING, feature("shake", log));
+  machine.register(EXPERIENCE.BLOOMING, feature("bloom", log));
+
+  machine.send("shake");
+  machine.send("bloom", { x: 1 });
+  assert.deepEqual(log, [
+    "enter shake from idle",
+    undefined,
+    "exit shake to blooming",
+    "enter bloom from shaking",
+    { x: 1 },
+  ]);
+});
+
+test("guards can veto a transition", () => {
+  const machine = new ExperienceMachine();
+  let ready = false;
+  machine.guard("shake", () => ready);
+
+  assert.equal(machine.can("shake"), false);
+  assert.equal(machine.send("shake"), false);
+  ready = true;
+  assert.equal(machine.send("shake"), true);
+});
+
+test("hooks cannot start a nested transition", () => {
+  const machine = new ExperienceMachine();
+  machine.register(EXPERIENCE.SHAKING, {
+    enter: () => assert.equal(machine.send("settle"), false),
+  });
+  machine.send("shake");
+  assert.equal(machine.state, EXPERIENCE.SHAKING);
+});
+
+test("change listeners hear every transition until unsubscribed", () => {
+  const machine = new ExperienceMachine();
+  const changes = [];
+  const off = machine.onChange((to, from, event) =>
+    changes.push([from, event, to]),
+  );
+  machine.send("bloom");
+  off();
+  machine.send("release");
+  assert.deepEqual(changes, [["idle", "bloom", "blooming"]]);
+});
+
+test("unknown events and states are errors", () => {
+  const machine = new ExperienceMachine();
+  assert.throws(() => machine.send("explode"), /Unknown experience event/);
+  assert.throws(() => machine.register("formed", {}), /Unknown experience/);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GifEncoder, quantize } from "../src/features/capture/GifEncoder.js";
+import { createRandom } from "../src/core/Random.js";
+
+// Reads back the palette indices of every frame (enough GIF to check ours)
+function decodeFrames(bytes) {
+  let at = 13 + 19; // Header + screen descriptor, NETSCAPE loop block
+  const frames = [];
+  while (bytes[at] !== 0x3b) {
+    at += 8; // Graphic control extension
+    assert.equal(bytes[at], 0x2c);
+    const width = bytes[at + 5] | (bytes[at + 6] << 8);
+    const height = bytes[at + 7] | (bytes[at + 8] << 8);
+    at += 10 + 256 * 3;
+    const minCodeSize = bytes[at++];
+    const data = [];
+    while (bytes[at] !== 0) {
+      const size = bytes[at++];
+      data.push(...bytes.subarray(at, at + size));
+      at += size;
+    }
+    at++;
+    frames.push(lzwDecode(data, minCodeSize, width * height));
+  }
+  return frames;
+}
+
+function lzwDecode(data, minCodeSize, length) {
+  const clear = 1 << minCodeSize;
+  const out = [];
+  let table = [];
+  let codeSize = minCodeSize + 1;
+  let previous = null;
+  let bit = 0;
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+    return code;
+  };
+  const reset = () => {
+    table = Array.from({ length: clear + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+  for (;;) {
+    const code = read();
+    if (code === clear) {
+      reset();
+      continue;
+    }
+    if (code === clear + 1) break;
+    let entry;
+    if (code < table.length) entry = table[code];
+    else entry = [...previous, previous[0]];
+    out.push(...entry);
+    if (previous) table.push([...previous, entry[0]]);
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+  assert.equal(out.length, length);
+  return out;
+}
+
+test("frames survive LZW, including table resets", () => {
+  const random = createRandom(5);
+  const width = 120;
+  const height = 90;
+  const gif = new GifEncoder(width, height, { delay: 5 });
+  const expected = [];
+  for (let f = 0; f < 2; f++) {
+    // Noisy frames fill the 4096-entry table several times over
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < rgba.length; i++) rgba[i] = (random() * 64) | 0;
+    gif.addFrame(rgba);
+    expected.push([...quantize(rgba, width * height).indices]);
+  }
+
+  const bytes = gif.finish();
+  assert.equal(String.fromCharCode(...bytes.subarray(0, 6)), "GIF89a");
+  assert.deepEqual(decodeFrames(bytes), expected);
+});
+
+test("a palette keeps the most common colours exactly", () => {
+  const rgba = new Uint8ClampedArray(4 * 4);
+  rgba.set([255, 20, 147, 255, 255, 20, 147, 255, 8, 0, 4, 255, 250, 250, 250]);
+  const { palette, indices } = quantize(rgba, 4);
+  assert.deepEqual([...palette.subarray(0, 3)], [255, 20, 147]);
+  assert.equal(indices[0], 0);
+  assert.equal(indices[1], 0);
+  assert.notEqual(indices[2], indices[3]);
+});
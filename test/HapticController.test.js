@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventBus } from "../src/core/EventBus.js";
+import { BEAT_SPEED } from "../src/core/ParticleSimulation.js";
+import {
+  HAPTIC_PATTERNS,
+  HapticController,
+} from "../src/features/haptics/HapticController.js";
+
+function createHaptics({ vibrate = true, active = true, storage } = {}) {
+  const calls = [];
+  const navigator = {
+    userActivation: { hasBeenActive: active },
+    ...(vibrate && { vibrate: (pattern) => calls.push(pattern) > 0 }),
+  };
+  const events = new EventBus();
+  const haptics = new HapticController(events, { navigator, storage });
+  haptics.init();
+  return { haptics, events, calls };
+}
+
+// Simulation time of the k-th beat peak, sin(time * BEAT_SPEED) = 1
+const peak = (k) => (Math.PI / 2 + k * Math.PI * 2) / BEAT_SPEED;
+
+test("shapes and the full bloom play their patterns", () => {
+  const { events, calls } = createHaptics();
+  events.emit("shape:form", { morph: false });
+  events.emit("shape:form", { morph: true });
+  events.emit("shape:explode", { impulse: 300 });
+  events.emit("bloom:full");
+  assert.deepEqual(calls, [
+    HAPTIC_PATTERNS.form,
+    HAPTIC_PATTERNS.morph,
+    HAPTIC_PATTERNS.explode,
+    HAPTIC_PATTERNS.pop,
+  ]);
+});
+
+test("the heartbeat lands on each beat peak while a shape is held", () => {
+  const { haptics, events, calls } = createHaptics();
+  const beatsBetween = (from, to) => {
+    calls.length = 0;
+    for (let t = from; t <= to; t += 0.05) haptics.update(t);
+    return calls.filter((p) => p === HAPTIC_PATTERNS.heartbeat).length;
+  };
+
+  assert.equal(beatsBetween(0, peak(3)), 0); // Nothing formed
+  events.emit("shape:form", { morph: false });
+  assert.equal(beatsBetween(peak(3) + 0.01, peak(6) + 0.01), 3);
+  events.emit("shape:explode", { impulse: 300 });
+  events.emit("bloom:change", { factor: 0.5 });
+  assert.equal(beatsBetween(peak(6) + 0.02, peak(8) + 0.01), 2);
+  events.emit("bloom:change", { factor: 0 });
+  assert.equal(beatsBetween(peak(8) + 0.02, peak(10) + 0.01), 0);
+});
+
+test("switched off, nothing vibrates and the setting is kept", () => {
+  const saved = new Map();
+  const storage = {
+    getItem: (key) => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+  };
+  const { haptics, events, calls } = createHaptics({ storage });
+  haptics.setEnabled(false);
+  assert.deepEqual(calls, [0]); // Cancels what was playing
+  events.emit("bloom:full");
+  assert.deepEqual(calls, [0]);
+
+  assert.equal(createHaptics({ storage }).haptics.enabled, false);
+});
+
+test("unsupported devices and pages without a gesture are no-ops", () => {
+  const unsupported = createHaptics({ vibrate: false });
+  unsupported.events.emit("shape:form", { morph: false });
+  unsupported.haptics.setEnabled(false);
+  assert.equal(unsupported.haptics.vibrate([10]), false);
+
+  const inactive = createHaptics({ active: false });
+  inactive.events.emit("bloom:full");
+  assert.deepEqual(inactive.calls, []);
+});
@@ -0,0 +1,195 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { InputManager } from "../src/core/InputManager.js";
+import { ManualClock } from "../src/core/Clock.js";
+
+// Node has EventTarget but no PointerEvent: plain events carry the fields
+function pointer(type, pointerId, clientX, clientY, extra = {}) {
+  return Object.assign(new Event(type), {
+    pointerId,
+    clientX,
+    clientY,
+    pointerType: "touch",
+    ...extra,
+  });
+}
+
+function createInput() {
+  const target = new EventTarget();
+  const clock = new ManualClock();
+  const input = new InputManager(target, { clock }).attach();
+  const log = [];
+  const record = (name) => (g) => void log.push([name, g]);
+  ["press", "release", "tap", "pinchstart", "pinch", "pinchend"].forEach(
+    (name) => input.on(name, record(name)),
+  );
+  return { target, clock, input, log, names: () => log.map(([n]) => n) };
+}
+
+test("a short still press is a tap", () => {
+  const { target, clock, names } = createInput();
+  target.dispatchEvent(pointer("pointerdown", 1, 100, 100));
+  clock.advance(100);
+  target.dispatchEvent(pointer("pointerup", 1, 104, 102));
+  assert.deepEqual(names(), ["press", "release", "tap"]);
+});
+
+test("a moved or slow press is not a tap", () => {
+  const { target, clock, names } = createInput();
+  target.dispatchEvent(pointer("pointerdown", 1, 100, 100));
+  target.dispatchEvent(pointer("pointermove", 1, 150, 100));
+  target.dispatchEvent(pointer("pointerup", 1, 150, 100));
+  target.dispatchEvent(pointer("pointerdown", 2, 100, 100));
+  clock.advance(400);
+  target.dispatchEvent(pointer("pointerup", 2, 100, 100));
+  assert.deepEqual(names(), ["press", "release", "press", "release"]);
+});
+
+test("a second finger turns the press into a pinch without a tap", () => {
+  const { target, log, names } = createInput();
+  target.dispatchEvent(pointer("pointerdown", 1, 100, 100));
+  target.dispatchEvent(pointer("pointerdown", 2, 200, 100));
+  target.dispatchEvent(pointer("pointermove", 2, 300, 100));
+  target.dispatchEvent(pointer("pointerup", 2, 300, 100));
+  target.dispatchEvent(pointer("pointerup", 1, 100, 100));
+
+  assert.deepEqual(names(), [
+    "press",
+    "release",
+    "pinchstart",
+    "pinch",
+    "pinchend",
+  ]);
+  assert.equal(log[1][1].cancelled, true);
+  const pinch = log[3][1];
+  assert.equal(pinch.startDistance, 100);
+  assert.equal(pinch.scale, 2);
+  assert.deepEqual([pinch.x, pinch.y], [200, 100]);
+});
+
+test("two-finger moves also report rotation and pan", () => {
+  const { target, input } = createInput();
+  let rotate = null;
+  let pan = null;
+  input.on("rotate", (g) => (rotate = g));
+  input.on("pan", (g) => (pan = g));
+  target.dispatchEvent(pointer("pointerdown", 1, 0, 0));
+  target.dispatchEvent(pointer("pointerdown", 2, 100, 0));
+  target.dispatchEvent(pointer("pointermove", 2, 0, 100));
+
+  assert.ok(Math.abs(rotate.rotation - Math.PI / 2) < 1e-9);
+  assert.deepEqual([pan.dx, pan.dy], [-50, 50]);
+});
+
+test("higher priorities run first and can consume", () => {
+  const { target, input, names } = createInput();
+  const order = [];
+  input.on("press", () => void order.push("low"), { priority: -1 });
+  input.on(
+    "press",
+    (g) => {
+      order.push("high");
+      return g.shiftKey;
+    },
+    { priority: 10 },
+  );
+
+  target.dispatchEvent(pointer("pointerdown", 1, 0, 0));
+  target.dispatchEvent(pointer("pointerup", 1, 0, 0));
+  assert.deepEqual(order, ["high", "low"]);
+  assert.deepEqual(names(), ["press", "release", "tap"]);
+
+  // A consumed press owns its pointer: no tap afterwards
+  target.dispatchEvent(pointer("pointerdown", 2, 0, 0, { shiftKey: true }));
+  target.dispatchEvent(pointer("pointerup", 2, 0, 0));
+  assert.deepEqual(order, ["high", "low", "high"]);
+  assert.deepEqual(names(), ["press", "release", "tap", "release"]);
+});
+
+test("a consumed wheel prevents the default", () => {
+  const { target, input } = createInput();
+  const wheel = (deltaY) =>
+    Object.assign(new Event("wheel", { cancelable: true }), { deltaY });
+
+  const first = wheel(10);
+  target.dispatchEvent(first);
+  assert.equal(first.defaultPrevented, false);
+
+  input.on("wheel", (g) => g.deltaY > 0);
+  const second = wheel(10);
+  target.dispatchEvent(second);
+  assert.equal(second.defaultPrevented, true);
+});
+
+test("detach drops listeners and subscribers", () => {
+  const { target, input, log } = createInput();
+  const off = input.on("press", () => assert.fail("unsubscribed"));
+  off();
+  target.dispatchEvent(pointer("pointerdown", 1, 0, 0));
+  assert.equal(log.length, 1);
+
+  input.detach();
+  target.dispatchEvent(pointer("pointerup", 1, 0, 0));
+  target.dispatchEvent(pointer("pointerdown", 2, 0, 0));
+  assert.equal(log.length, 1);
+  assert.equal(input.handlers.size, 0);
+});
+
+test("unknown gestures are rejected", () => {
+  const input = new InputManager(new EventTarget());
+  assert.throws(() => input.on("swipe", () => {}), /Unknown gesture/);
+});
+
+test("presses on page controls are left to them", () => {
+  const { target, names } = createInput();
+  const down = pointer("pointerdown", 1, 0, 0);
+  const button = { closest: (selector) => selector.includes("button") };
+  Object.defineProperty(down, "target", { value: button });
+  target.dispatchEvent(down);
+  target.dispatchEvent(pointer("pointerup", 1, 0, 0));
+  assert.deepEqual(names(), []);
+});
+
+test("device motion is classified into motion gestures", () => {
+  const target = new EventTarget();
+  const clock = new ManualClock();
+  const input = new InputManager(target, {
+    clock,
+    motion: { storage: null },
+  }).attach();
+  input.enableMotion();
+  const heard = [];
+  input.on("shake", ({ magnitude }) => void heard.push(magnitude));
+
+  const motion = (x) =>
+    Object.assign(new Event("devicemotion"), {
+      acceleration: { x, y: 0, z: 0 },
+      accelerationIncludingGravity: { x, y: 9.81, z: 0 },
+    });
+  // Upright and still: gravity alone is no shake
+  for (let t = 0; t < 500; t += 20) {
+    clock.advance(20);
+    target.dispatchEvent(motion(0));
+  }
+  assert.deepEqual(heard, []);
+  for (let t = 0; t < 1000; t += 20) {
+    clock.advance(20);
+    target.dispatchEvent(motion(15 * Math.sin((2 * Math.PI * 5 * t) / 1000)));
+  }
+  assert.ok(heard.length > 0);
+  assert.ok(heard.every((magnitude) => magnitude > 8));
+});
+
+test("orientation readings pass through; sensorless nulls do not", () => {
+  const target = new EventTarget();
+  const input = new InputManager(target, { motion: { storage: null } });
+  input.attach().enableMotion();
+  const heard = [];
+  input.on("orientation", (angles) => void heard.push(angles));
+  const orientation = (beta, gamma) =>
+    Object.assign(new Event("deviceorientation"), { alpha: 0, beta, gamma });
+
+  target.dispatchEvent(orientation(null, null));
+  target.dispatchEvent(orientation(45, -10));
+  assert.deepEqual(heard, [{ alpha: 0, beta: 45, gamma: -10 }]);
+});
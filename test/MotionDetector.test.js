@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MotionDetector } from "../src/core/MotionDetector.js";
+import { createRandom } from "../src/core/Random.js";
+
+const STEP = 1000 / 60; // ms between samples
+const FLAT = { x: 0, y: 0, z: 9.81 }; // Lying face up
+const UPRIGHT = { x: 0, y: 9.81, z: 0 };
+
+// Feeds `ms` of samples: gravity (a function of time or a vector) plus the
+// hand's acceleration, both in accelerationIncludingGravity as most phones
+// deliver it. Returns every gesture, stamped with its time.
+function run(detector, ms, { gravity = FLAT, hand = () => [0, 0, 0] } = {}) {
+  const gestures = [];
+  const from = detector.lastTime === null ? 0 : detector.lastTime + STEP;
+  for (let t = from; t < from + ms; t += STEP) {
+    const g = typeof gravity === "function" ? gravity(t - from) : gravity;
+    const [x, y, z] = hand(t - from);
+    const event = {
+      acceleration: null,
+      accelerationIncludingGravity: { x: g.x + x, y: g.y + y, z: g.z + z },
+    };
+    detector.sample(event, t).forEach((g) => gestures.push({ ...g, t }));
+  }
+  return gestures;
+}
+
+const sideways = (amplitude, hz) => (t) => [
+  amplitude * Math.sin((2 * Math.PI * hz * t) / 1000),
+  0,
+  0,
+];
+const count = (gestures, type) => gestures.filter((g) => g.type === type);
+
+test("a vigorous shake is a shake; holding the phone upright is not", () => {
+  const detector = new MotionDetector({ storage: null });
+  assert.deepEqual(run(detector, 2000, { gravity: UPRIGHT }), []);
+
+  const shaking = run(detector, 1000, {
+    gravity: UPRIGHT,
+    hand: sideways(15, 5),
+  });
+  assert.ok(count(shaking, "shake").length > 20);
+  const { magnitude, frequency } = shaking.at(-1);
+  assert.ok(magnitude > 8);
+  assert.ok(Math.abs(frequency - 5) < 1, `frequency ${frequency}`);
+
+  // It ends a moment after the hand stops
+  const after = run(detector, 1000, { gravity: UPRIGHT });
+  assert.ok(after.every((g) => g.type !== "shake" || g.t < 3300));
+});
+
+test("walking and a single knock are not shakes", () => {
+  const detector = new MotionDetector({ storage: null });
+  // Two steps a second, each with a heel strike
+  const walking = (t) => {
+    const step = Math.sin((2 * Math.PI * 2 * t) / 1000);
+    return [0, 0, 4 * step + 6 * Math.max(0, step) ** 8];
+  };
+  assert.deepEqual(count(run(detector, 4000, { hand: walking }), "shake"), []);
+
+  const knock = (t) => [t < 60 ? 25 * Math.sin((Math.PI * t) / 60) : 0, 0, 0];
+  assert.deepEqual(count(run(detector, 1000, { hand: knock }), "shake"), []);
+});
+
+test("two short shakes with a pause make a double-shake", () => {
+  const detector = new MotionDetector({ storage: null });
+  run(detector, 500);
+  const burst = () => run(detector, 400, { hand: sideways(15, 5) });
+  const gestures = [...burst(), ...run(detector, 300), ...burst()];
+  assert.equal(count(gestures, "doubleshake").length, 1);
+
+  // A long shake after a long pause is just a shake
+  run(detector, 2000);
+  const single = [
+    ...run(detector, 1500, { hand: sideways(15, 5) }),
+    ...run(detector, 1000),
+    ...run(detector, 1500, { hand: sideways(15, 5) }),
+  ];
+  assert.equal(count(single, "doubleshake").length, 0);
+});
+
+test("calibration learns the sensor's scale and noise and is kept", () => {
+  const saved = new Map();
+  const storage = {
+    getItem: (key) => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+    removeItem: (key) => saved.delete(key),
+  };
+  // A sensor reporting in g instead of m/s², with some jitter
+  const detector = new MotionDetector({ storage });
+  const random = createRandom(7);
+  const jitter = () => (random() - 0.5) * 0.02;
+  run(detector, 1500, {
+    gravity: { x: 0, y: 0, z: 1 },
+    hand: () => [jitter(), jitter(), jitter()],
+  });
+  assert.ok(Math.abs(detector.calibration.scale - 9.81) < 0.2);
+  assert.ok(detector.calibration.noise > 0);
+
+  // Scaled up, a shake of 1.5 g registers
+  const shaking = run(detector, 1000, {
+    gravity: { x: 0, y: 0, z: 1 },
+    hand: sideways(1.5, 5),
+  });
+  assert.ok(count(shaking, "shake").length > 0);
+
+  assert.deepEqual(
+    new MotionDetector({ storage }).calibration,
+    detector.calibration,
+  );
+  detector.recalibrate();
+  assert.equal(new MotionDetector({ storage }).calibration, null);
+});
+
+test("a held tilt reports its direction once; turning over is a flip", () => {
+  const detector = new MotionDetector({ storage: null });
+  run(detector, 2000); // Settles flat: the rest orientation
+
+  // Right edge down 45°: gravity leans toward -x
+  const s = Math.sin(Math.PI / 4) * 9.81;
+  const rightDown = { x: -s, y: 0, z: s };
+  const tilts = count(run(detector, 1000, { gravity: rightDown }), "tilt");
+  assert.equal(tilts.length, 1);
+  assert.equal(tilts[0].direction, "right");
+
+  run(detector, 2000); // Back flat, settled again
+  const topDown = { x: 0, y: -s, z: s };
+  const forward = count(run(detector, 1000, { gravity: topDown }), "tilt");
+  assert.deepEqual(forward.map((g) => g.direction), ["forward"]);
+
+  run(detector, 2000);
+  const over = run(detector, 1000, { gravity: { x: 0, y: 0, z: -9.81 } });
+  assert.deepEqual(count(over, "flip").map((g) => g.faceDown), [true]);
+  const back = run(detector, 1000);
+  assert.deepEqual(count(back, "flip").map((g) => g.faceDown), [false]);
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { OrbitController } from "../src/features/orbit/OrbitController.js";
+import { ManualClock } from "../src/core/Clock.js";
+import {
+  EXPERIENCE,
+  ExperienceMachine,
+} from "../src/core/ExperienceMachine.js";
+
+// The rig and shake surfaces OrbitController uses
+function createOrbit() {
+  const clock = new ManualClock(10000);
+  const experience = new ExperienceMachine();
+  const rig = { orbit: { yaw: 0, pitch: 0, zoom: 1 } };
+  const shake = {
+    heldUntil: 0,
+    get isShaking() {
+      return experience.is(EXPERIENCE.SHAKING);
+    },
+    hold(until) {
+      this.heldUntil = until;
+    },
+  };
+  const orbit = new OrbitController(rig, shake, { clock, experience });
+  return { orbit, rig, shake, clock, experience };
+}
+
+// A one-finger drag from (100, 100) by `dx`, `dy` in `steps` moves
+function drag(orbit, clock, dx, dy, steps = 4) {
+  const pressed = orbit.onPress({ x: 100, y: 100 });
+  let consumed = false;
+  for (let k = 1; k <= steps; k++) {
+    clock.advance(16);
+    const x = 100 + (dx * k) / steps;
+    const y = 100 + (dy * k) / steps;
+    consumed =
+      orbit.onMove({ x, y, dx: x - 100, dy: y - 100, pressed: true }) ||
+      consumed;
+  }
+  return { pressed, consumed };
+}
+
+const settle = (orbit, seconds) => {
+  for (let t = 0; t < seconds; t += 1 / 60) orbit.update(1 / 60);
+};
+
+test("dragging a formed shape orbits and holds it; otherwise nothing", () => {
+  const { orbit, rig, shake, clock, experience } = createOrbit();
+  assert.deepEqual(drag(orbit, clock, 100, 0), {
+    pressed: false,
+    consumed: false,
+  });
+  assert.equal(orbit.inspecting, false);
+
+  experience.send("shake");
+  const { pressed, consumed } = drag(orbit, clock, 100, -50);
+  assert.equal(pressed, false); // A click still reaches the shake
+  assert.equal(consumed, true);
+  assert.equal(orbit.inspecting, true);
+  orbit.update(1 / 60);
+  assert.ok(rig.orbit.yaw < 0); // Dragged right: the camera goes left
+  assert.ok(rig.orbit.pitch > 0);
+  assert.equal(shake.heldUntil, clock.now() + orbit.showcaseTime);
+});
+
+test("a released spin eases into the showcase turn", () => {
+  const { orbit, clock, experience } = createOrbit();
+  experience.send("shake");
+  drag(orbit, clock, -300, 0);
+  orbit.onRelease();
+  assert.ok(orbit.velocity.yaw > 1); // Flung: the spin carries on
+
+  settle(orbit, 5);
+  assert.ok(Math.abs(orbit.velocity.yaw - orbit.autoSpeed) < 0.01);
+  assert.ok(Math.abs(orbit.velocity.pitch) < 0.01);
+});
+
+test("two fingers zoom and turn only while inspecting", () => {
+  const { orbit, shake, clock, experience } = createOrbit();
+  experience.send("shake");
+  assert.equal(orbit.onTwistStart(), false); // Still the bloom's pinch
+
+  drag(orbit, clock, 50, 0);
+  orbit.onRelease();
+  const yaw = orbit.yaw;
+  assert.equal(orbit.onTwistStart(), true);
+  orbit.onZoom(2);
+  orbit.onTurn(0.5);
+  assert.equal(orbit.zoom, 0.5);
+  assert.equal(orbit.yaw, yaw - 0.5);
+  clock.advance(5000);
+  orbit.onTurn(0.8); // Turning alone keeps the shape too
+  assert.equal(shake.heldUntil, clock.now() + orbit.showcaseTime);
+  orbit.onZoom(10);
+  assert.equal(orbit.zoom, 0.45); // Clamped
+  assert.equal(orbit.onTwistEnd(), true);
+});
+
+test("once the shape goes, the camera eases back to its framing", () => {
+  const { orbit, rig, clock, experience } = createOrbit();
+  experience.send("shake");
+  drag(orbit, clock, 400, 200);
+  orbit.onRelease();
+  orbit.onWheel(-300);
+  settle(orbit, 1);
+  assert.notEqual(rig.orbit.zoom, 1);
+
+  experience.send("settle"); // Exploded
+  assert.equal(orbit.inspecting, false);
+  settle(orbit, 4);
+  assert.ok(Math.abs(rig.orbit.yaw) < 1e-3);
+  assert.ok(Math.abs(rig.orbit.pitch) < 1e-3);
+  assert.ok(Math.abs(rig.orbit.zoom - 1) < 1e-3);
+});
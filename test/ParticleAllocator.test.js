@@ -0,0 +1,175 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ParticleAllocator } from "../src/core/ParticleAllocator.js";
+import { ParticleSimulation } from "../src/core/ParticleSimulation.js";
+import { ParticleSystem } from "../src/core/ParticleSystem.js";
+import { ROLE, STATE } from "../src/core/ParticleStore.js";
+
+function createAllocator(count = 10) {
+  const allocator = new ParticleAllocator(count);
+  allocator.reset(Array.from({ length: count }, (_, i) => i));
+  return allocator;
+}
+
+test("leases never share stars and return them on release", () => {
+  const allocator = createAllocator(10);
+  const a = allocator.lease(4, { owner: "a" });
+  const b = allocator.lease(4, { owner: "b" });
+  assert.deepEqual(a.indices, [0, 1, 2, 3]);
+  assert.deepEqual(b.indices, [4, 5, 6, 7]);
+  assert.equal(allocator.free, 2);
+  assert.equal(allocator.ownerOf(5), b);
+
+  a.release();
+  assert.equal(a.active, false);
+  assert.equal(allocator.free, 6);
+  assert.equal(allocator.isLeased(0), false);
+  assert.deepEqual(allocator.lease(3).indices, [0, 1, 2]);
+});
+
+test("requests get what is free unless partial is off", () => {
+  const allocator = createAllocator(10);
+  allocator.lease(8);
+  assert.equal(allocator.lease(5).size, 2);
+  assert.equal(allocator.lease(5, { partial: false }), null);
+});
+
+test("higher priorities revoke the lowest, newest leases first", () => {
+  const allocator = createAllocator(10);
+  const revoked = [];
+  const onRevoke = (lease) => revoked.push([lease.owner, lease.size]);
+  const old = allocator.lease(3, { owner: "old", priority: 1, onRevoke });
+  const low = allocator.lease(3, { owner: "low", priority: 0, onRevoke });
+  const fresh = allocator.lease(3, { owner: "fresh", priority: 1, onRevoke });
+
+  const bloom = allocator.lease(4, { owner: "bloom", priority: 5 });
+  assert.equal(bloom.size, 4);
+  assert.deepEqual(revoked, [["low", 3]]);
+  assert.equal(low.active, false);
+  assert.equal(low.size, 0);
+
+  allocator.lease(6, { owner: "top", priority: 9 });
+  assert.deepEqual(revoked, [
+    ["low", 3],
+    ["fresh", 3],
+    ["old", 3],
+  ]);
+  assert.equal(old.active && fresh.active, false);
+  assert.equal(bloom.active, true);
+});
+
+test("equal priorities never preempt each other", () => {
+  const allocator = createAllocator(4);
+  const first = allocator.lease(4, { priority: 2 });
+  assert.equal(allocator.lease(2, { priority: 2 }).size, 0);
+  assert.equal(first.size, 4);
+});
+
+test("leases grow from free stars and shrink early", () => {
+  const allocator = createAllocator(6);
+  const lease = allocator.lease(2);
+  assert.deepEqual(lease.grow(2), [2, 3]);
+  lease.shrink([0, 3]);
+  assert.deepEqual(lease.indices, [1, 2]);
+  assert.equal(allocator.free, 4);
+});
+
+test("only shape stars can be leased from a simulation", () => {
+  const sim = new ParticleSimulation({ count: 100 });
+  sim.createPool();
+  const lease = sim.lease(100);
+  assert.equal(lease.size, 70);
+  lease.indices.forEach((i) => assert.equal(sim.store.role[i], ROLE.SHAPE));
+});
+
+test("rebuilding the pool revokes every lease", () => {
+  const sim = new ParticleSimulation({ count: 100 });
+  sim.createPool();
+  let revoked = false;
+  sim.lease(10, { onRevoke: () => (revoked = true) });
+  sim.createPool();
+  assert.equal(revoked, true);
+  assert.equal(sim.allocator.free, 70);
+});
+
+test("a limit keeps leases off the stars above it", () => {
+  const allocator = createAllocator(10);
+  const revoked = [];
+  const onRevoke = (lease) => revoked.push(lease.owner);
+  const low = allocator.lease(4, { owner: "low", onRevoke });
+  allocator.lease(4, { owner: "high", onRevoke });
+
+  assert.deepEqual(allocator.limit(6), [4, 5, 6, 7]);
+  assert.deepEqual(revoked, ["high"]);
+  assert.equal(low.active, true);
+  assert.equal(allocator.free, 2);
+  assert.deepEqual(allocator.lease(5).indices, [4, 5]);
+
+  allocator.limit(10);
+  assert.equal(allocator.free, 4);
+});
+
+test("switching stars off sends their shapes back to chaos", () => {
+  const sim = new ParticleSimulation({ count: 100 });
+  sim.createPool();
+  const lease = sim.lease(60);
+  lease.indices.forEach((i) => {
+    sim.store.state[i] = STATE.FORMING;
+    sim.store.setShapeMix(i, 1);
+  });
+
+  assert.equal(sim.setActiveCount(40), true);
+  assert.equal(lease.active, false);
+  for (let i = 0; i < 60; i++) assert.equal(sim.store.state[i], STATE.CHAOS);
+  assert.equal(sim.lease(100).size, 28); // The shape stars among the 40
+  assert.equal(sim.setActiveCount(40), false);
+});
+
+test("on the GPU, stars switched off are baked where they were drawn", () => {
+  const system = new ParticleSystem(null, {
+    isMobile: false,
+    maxParticles: 100,
+  });
+  system.createPool();
+  const baked = [];
+  system.gpuSimulation = {
+    bake: (i, shapeMix) => baked.push([i, shapeMix]),
+    setVelocity: () => {},
+  };
+  const lease = system.lease(60);
+  const held = [...lease.indices];
+  held.forEach((i) => system.store.setShapeMix(i, 1));
+
+  system.setActiveCount(40);
+  assert.equal(lease.active, false);
+  // Each revoked star, with the shape blend it was drawn at
+  assert.deepEqual(
+    baked.sort((a, b) => a[0] - b[0]),
+    held.map((i) => [i, 1]),
+  );
+});
+
+test("a shrinking pool trims or revokes the leases on cut stars", () => {
+  const allocator = createAllocator(10);
+  const events = [];
+  const kept = allocator.lease(4, {
+    onShrink: (lease, lost) => events.push(["shrink", lease.indices, lost]),
+  });
+  const gone = allocator.lease(4, { onRevoke: () => events.push(["revoke"]) });
+
+  // Revoked leases hand back the stars they had left
+  assert.deepEqual(allocator.resize(6), [4, 5]);
+  assert.deepEqual(events, [["revoke"]]);
+  assert.equal(gone.active, false);
+  assert.equal(allocator.free, 2);
+
+  assert.deepEqual(allocator.resize(2), []);
+  assert.deepEqual(events.at(-1), ["shrink", [0, 1], [2, 3]]);
+  assert.equal(kept.active, true);
+  assert.equal(allocator.owners.length, 2);
+
+  allocator.resize(4);
+  assert.equal(allocator.free, 0); // New stars wait for setEligible
+  allocator.setEligible(3, true);
+  assert.deepEqual(kept.grow(2), [3]);
+});
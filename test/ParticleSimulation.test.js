@@ -0,0 +1,206 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ParticleSimulation } from "../src/core/ParticleSimulation.js";
+import { ROLE, STATE } from "../src/core/ParticleStore.js";
+import { ManualClock } from "../src/core/Clock.js";
+import { createRandom } from "../src/core/Random.js";
+
+const vec = (array, i) => [array[i * 3], array[i * 3 + 1], array[i * 3 + 2]];
+
+function createSimulation(count = 1000, seed = 1) {
+  return new ParticleSimulation({
+    count,
+    random: createRandom(seed),
+    clock: new ManualClock(),
+  });
+}
+
+test("createRandom repeats its sequence for the same seed", () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  const c = createRandom(43);
+  const first = Array.from({ length: 5 }, a);
+  assert.deepEqual(Array.from({ length: 5 }, b), first);
+  assert.notDeepEqual(Array.from({ length: 5 }, c), first);
+  first.forEach((v) => assert.ok(v >= 0 && v < 1));
+});
+
+test("createPool gives 70% of the pool the shape role, spread evenly", () => {
+  const sim = createSimulation(1000);
+  sim.createPool();
+  const { role, state } = sim.store;
+  const shapes = (count) =>
+    role.subarray(0, count).filter((r) => r === ROLE.SHAPE).length;
+
+  assert.equal(shapes(1000), 700);
+  for (let count = 10; count <= 1000; count += 10) {
+    assert.equal(shapes(count), Math.round(count * 0.7)); // Any first N
+  }
+  state.forEach((s) => assert.equal(s, STATE.CHAOS));
+});
+
+test("a quality cut thins both roles alike", () => {
+  const sim = createSimulation(1000);
+  sim.createPool();
+  sim.setActiveCount(0.4 * 1000);
+  const active = [...sim.store.role.subarray(0, sim.activeCount)];
+  assert.equal(active.filter((r) => r === ROLE.SHAPE).length, 280);
+  assert.equal(active.filter((r) => r === ROLE.BACKGROUND).length, 120);
+});
+
+test("createPool is deterministic for a seeded random", () => {
+  const a = createSimulation(200, 7);
+  const b = createSimulation(200, 7);
+  a.createPool();
+  b.createPool();
+  assert.deepEqual(a.store.position, b.store.position);
+  assert.deepEqual(a.store.velocity, b.store.velocity);
+});
+
+test("createPool starts background stars 600-1800 units out", () => {
+  const sim = createSimulation(1000);
+  sim.createPool();
+  for (let i = 0; i < 1000; i++) {
+    if (sim.store.role[i] !== ROLE.BACKGROUND) continue;
+    const r = Math.hypot(...vec(sim.store.position, i));
+    assert.ok(r >= 600 && r <= 1800, `star ${i} at radius ${r}`);
+  }
+});
+
+test("stars beyond the 4000 radius respawn on the 2500 shell", () => {
+  const sim = createSimulation(10);
+  sim.createPool();
+  const { store } = sim;
+
+  store.setPosition(0, 4100, 0, 0);
+  store.setVelocity(0, 100, 0, 0);
+  store.setPosition(1, 100, 0, 0);
+  store.setVelocity(1, 0, 0, 0);
+  sim.step(1 / 60, 0);
+
+  const respawned = Math.hypot(...vec(store.position, 0));
+  assert.ok(Math.abs(respawned - 2500) < 1e-3, `radius ${respawned}`);
+  // Heads back in at 120-270 units/s
+  const speed = Math.hypot(...vec(store.velocity, 0));
+  assert.ok(speed >= 120 && speed <= 270, `speed ${speed}`);
+
+  assert.ok(Math.hypot(...vec(store.position, 1)) < 200);
+});
+
+test("pulses push stars on their shell outward", () => {
+  // random() = 0.5 switches off every jitter term
+  const sim = new ParticleSimulation({ count: 2, random: () => 0.5 });
+  sim.createPool();
+  const { store } = sim;
+  // One star on the pulse's shell, one far outside it
+  store.setPosition(0, 60, 0, 0);
+  store.setPosition(1, -1000, 0, 0);
+  store.setVelocity(0, 0, 0, 0);
+  store.setVelocity(1, 0, 0, 0);
+
+  sim.addPulse(0, 0, 400, 300);
+  sim.pulses[0].life = 0.8; // Shell radius 300 * 0.2 = 60
+  sim.step(1 / 60, 0);
+
+  const [vx, vy] = vec(store.velocity, 0);
+  assert.ok(vx > 4, `vx ${vx}`);
+  assert.ok(Math.abs(vy) < 1e-6);
+  assert.deepEqual(vec(store.velocity, 1), [0, 0, 0]);
+});
+
+test("pulses reach stars where they appear from the camera", () => {
+  const sim = new ParticleSimulation({ count: 1, random: () => 0.5 });
+  sim.createPool();
+  const { store } = sim;
+  // Halfway to a camera drifted 300 to the right, this star shows 60 units
+  // right of the center: 300 + (180 - 300) * 2. From home it would be 360.
+  store.setPosition(0, 180, 0, 300);
+  store.setVelocity(0, 0, 0, 0);
+  sim.addPulse(0, 0, 400, 300);
+  sim.pulses[0].life = 0.8; // Shell radius 60
+  sim.step(1 / 60, 0);
+  assert.deepEqual(vec(store.velocity, 0), [0, 0, 0]);
+
+  sim.viewpoint = { x: 300, y: 0, z: 600 };
+  sim.step(1 / 60, 0);
+  assert.ok(store.velocity[0] > 1);
+});
+
+test("pulses decay and are capped at ten", () => {
+  const sim = createSimulation(1);
+  for (let i = 0; i < 12; i++) sim.addPulse(0, 0);
+  assert.equal(sim.pulses.length, 10);
+
+  sim.updatePulses(0.5);
+  assert.equal(sim.pulses.length, 10);
+  sim.updatePulses(0.5);
+  assert.equal(sim.pulses.length, 0);
+});
+
+test("a lower pulse cap drops the oldest first", () => {
+  const sim = createSimulation(1);
+  sim.maxPulses = 3;
+  for (let k = 0; k < 5; k++) sim.addPulse(k, 0);
+  assert.deepEqual(sim.pulses.map((p) => p.x), [2, 3, 4]);
+});
+
+test("pointer moves spawn hover pulses past 10 units", () => {
+  const sim = createSimulation(1);
+  sim.updatePulses(0, 0, 0);
+  assert.equal(sim.pulses.length, 1);
+  sim.updatePulses(0, 5, 0);
+  assert.equal(sim.pulses.length, 1);
+  sim.updatePulses(0, 20, 0);
+  assert.equal(sim.pulses.length, 2);
+});
+
+test("time follows the injected clock", () => {
+  const clock = new ManualClock(1000);
+  const sim = new ParticleSimulation({ count: 1, clock });
+  assert.equal(sim.time, 0);
+  clock.advance(500);
+  assert.equal(sim.time, 1);
+});
+
+test("recolor cross-fades star colors over fadeColors steps", () => {
+  const sim = createSimulation(2);
+  sim.store.setColor(0, 0, 0, 0);
+  sim.store.setColor(1, 1, 1, 1);
+  const target = Float32Array.of(1, 0, 0, 0, 0, 1);
+
+  sim.recolor(target, 2);
+  assert.equal(sim.fadeColors(1), true);
+  assert.deepEqual(vec(sim.store.color, 0), [0.5, 0, 0]);
+  assert.deepEqual(vec(sim.store.color, 1), [0.5, 0.5, 1]);
+  assert.equal(sim.fadeColors(1), true);
+  assert.deepEqual([...sim.store.color], [...target]);
+  assert.equal(sim.fadeColors(1), false); // Done
+
+  sim.recolor(Float32Array.of(0, 1, 0, 0, 1, 0));
+  assert.deepEqual(vec(sim.store.color, 1), [0, 1, 0]);
+  assert.throws(() => sim.recolor(new Float32Array(3)), /Expected 2/);
+});
+
+test("resizing keeps surviving stars and the shape ratio", () => {
+  const sim = createSimulation(100);
+  sim.createPool();
+  const before = vec(sim.store.position, 10);
+  const lease = sim.lease(20, { onShrink: () => {} });
+  lease.indices.forEach((i) => (sim.store.state[i] = STATE.FORMING));
+  const roles = () => sim.store.role.filter((r) => r === ROLE.SHAPE).length;
+
+  sim.resize(200);
+  assert.equal(sim.store.count, 200);
+  assert.equal(sim.renderPositions.length, 600);
+  assert.deepEqual(vec(sim.store.position, 10), before);
+  assert.equal(sim.store.state[10], STATE.FORMING);
+  assert.equal(roles(), 140);
+  assert.equal(sim.allocator.free, 120);
+  assert.ok(vec(sim.store.position, 150).some((v) => v !== 0)); // Spawned
+
+  sim.resize(40);
+  assert.equal(roles(), 28); // Free shape stars retired, leased ones kept
+  assert.equal(lease.size, 20);
+  assert.equal(sim.activeCount, 40);
+  lease.indices.forEach((i) => assert.equal(sim.store.state[i], STATE.FORMING));
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchNearest } from "../src/features/shake/PointMatcher.js";
+import { createRandom } from "../src/core/Random.js";
+
+// `count` points scattered over a 400 x 400 square
+function scatter(count, random) {
+  return Float32Array.from({ length: count * 3 }, (_, k) =>
+    k % 3 === 2 ? 0 : (random() - 0.5) * 400,
+  );
+}
+
+test("every target gets its own source", () => {
+  const random = createRandom(1);
+  const sources = scatter(500, random);
+  const targets = scatter(500, random);
+  const assignment = matchNearest(sources, targets, random);
+
+  assert.equal(assignment.length, 500);
+  assert.equal(new Set(assignment).size, 500);
+  assignment.forEach((s) => assert.ok(s >= 0 && s < 500));
+});
+
+test("each target takes the closest free source", () => {
+  // Two rows: each target sits right above one source
+  const sources = [0, 0, 0, 100, 0, 0, 200, 0, 0];
+  const targets = [200, 5, 0, 0, 5, 0, 100, 5, 0];
+  assert.deepEqual(
+    [...matchNearest(sources, targets, createRandom(2))],
+    [2, 0, 1],
+  );
+});
+
+test("targets past the sources get -1", () => {
+  const random = createRandom(3);
+  const assignment = matchNearest(
+    scatter(100, random),
+    scatter(150, random),
+    random,
+  );
+
+  const matched = [...assignment].filter((s) => s >= 0);
+  assert.equal(matched.length, 100);
+  assert.equal(new Set(matched).size, 100);
+  assert.equal(assignment.filter((s) => s === -1).length, 50);
+  assert.deepEqual([...matchNearest([], [0, 0, 0])], [-1]);
+});
+
+test("a seed makes the match repeatable", () => {
+  const random = createRandom(4);
+  const sources = scatter(300, random);
+  const targets = scatter(300, random);
+  const run = (seed) => [...matchNearest(sources, targets, createRandom(seed))];
+
+  assert.deepEqual(run(7), run(7));
+  assert.notDeepEqual(run(7), run(8));
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { CameraRig } from "../src/core/CameraRig.js";
+import { Projection, createCamera } from "../src/core/Projection.js";
+
+const PHONE = { innerWidth: 390, innerHeight: 844 };
+
+function createProjection(viewport = PHONE) {
+  const camera = createCamera(viewport.innerWidth / viewport.innerHeight);
+  return { camera, projection: new Projection(camera, viewport) };
+}
+
+const near = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(
+    Math.abs(actual - expected) < tolerance,
+    `${actual} is not ${expected}`,
+  );
+
+test("from home, the screen maps onto the stage by FOV and aspect", () => {
+  const { projection } = createProjection();
+  const center = projection.screenToWorld(195, 422);
+  near(center.x, 0);
+  near(center.y, 0);
+  near(center.z, 0);
+
+  // 75° FOV from 600 units: half the height is 600 * tan(37.5°)
+  const halfHeight = 600 * Math.tan((37.5 * Math.PI) / 180);
+  const top = projection.screenToWorld(195, 0);
+  near(top.y, halfHeight);
+  const corner = projection.screenToWorld(390, 844);
+  near(corner.x, halfHeight * (390 / 844));
+  near(corner.y, -halfHeight);
+
+  const { width, height } = projection.visibleSize({ margin: 0.5 });
+  near(height, halfHeight);
+  near(width, halfHeight * (390 / 844));
+});
+
+test("picked points land under the pixel wherever the camera went", () => {
+  const { camera, projection } = createProjection();
+  const rig = new CameraRig(camera);
+  rig.pointTo(0.6, -0.4);
+  Object.assign(rig.orbit, { yaw: 0.8, pitch: -0.3, zoom: 0.7 });
+  rig.update(1);
+
+  const pixel = { x: 80, y: 600 };
+  const world = projection.screenToWorld(pixel.x, pixel.y);
+  near(world.z, 0);
+  const back = world.clone().project(camera);
+  const ndc = projection.toNDC(pixel.x, pixel.y);
+  near(back.x, ndc.x);
+  near(back.y, ndc.y);
+});
+
+test("any plane can be picked; one seen edge-on gives null", () => {
+  const { camera, projection } = createProjection();
+  const deeper = new THREE.Plane(new THREE.Vector3(0, 0, 1), 200); // z=-200
+  const point = projection.screenToWorld(195, 422, deeper);
+  near(point.z, -200);
+  near(point.x, 0);
+
+  // Looking along the stage from its side
+  camera.position.set(600, 0, 0);
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld();
+  assert.equal(projection.screenToWorld(195, 422), null);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  QUALITY_TIERS,
+  QualityGovernor,
+} from "../src/core/QualityGovernor.js";
+
+// Feeds `windows` full windows of frames at `frameMs`; returns the switches
+function run(governor, frameMs, windows) {
+  const switches = [];
+  for (let k = 0; k < windows * governor.windowSize; k++) {
+    const tier = governor.sample(frameMs);
+    if (tier) switches.push(tier.name);
+  }
+  return switches;
+}
+
+test("starts on the top tier", () => {
+  const governor = new QualityGovernor();
+  assert.equal(governor.tier, QUALITY_TIERS.at(-1));
+  assert.equal(governor.tier.name, "high");
+});
+
+test("slow windows step down one tier at a time", () => {
+  const governor = new QualityGovernor({ windowSize: 10 });
+  assert.deepEqual(run(governor, 50, 1), []); // One slow window is a blip
+  assert.deepEqual(run(governor, 50, 1), ["medium"]);
+  assert.deepEqual(run(governor, 50, 4), ["low"]);
+  assert.equal(governor.tier.name, "low");
+});
+
+test("frame times inside the hysteresis band hold the tier", () => {
+  const governor = new QualityGovernor({ windowSize: 10, start: "medium" });
+  assert.deepEqual(run(governor, 20, 20), []); // 50 fps
+  assert.equal(governor.tier.name, "medium");
+});
+
+test("fast windows step up, slower after each step down", () => {
+  const governor = new QualityGovernor({ windowSize: 10, start: "medium" });
+  assert.deepEqual(run(governor, 16, 4), ["high"]);
+  assert.deepEqual(run(governor, 30, 2), ["medium"]);
+  // Back up takes twice as long now
+  assert.deepEqual(run(governor, 16, 7), []);
+  assert.deepEqual(run(governor, 16, 1), ["high"]);
+});
+
+test("stalls and a locked tier are ignored", () => {
+  const governor = new QualityGovernor({ windowSize: 10 });
+  assert.deepEqual(run(governor, 1000, 5), []); // Hidden tab
+  assert.equal(governor.lock("low").name, "low");
+  assert.deepEqual(run(governor, 5, 10), []);
+  governor.unlock();
+  assert.deepEqual(run(governor, 5, 4), ["medium"]);
+});
+
+test("switches notify listeners and unknown tiers throw", () => {
+  const governor = new QualityGovernor({ windowSize: 1, downAfter: 1 });
+  const seen = [];
+  const stop = governor.onChange((tier) => seen.push(tier.name));
+  governor.sample(100);
+  stop();
+  governor.sample(100);
+  assert.deepEqual(seen, ["medium"]);
+  assert.throws(() => governor.lock("ultra"), /Unknown quality tier "ultra"/);
+  assert.throws(() => new QualityGovernor({ start: 5 }), /Unknown quality/);
+});
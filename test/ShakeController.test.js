@@ -0,0 +1,211 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import gsap from "gsap";
+import { ShakeController } from "../src/features/shake/ShakeController.js";
+import { ShapePlaylist } from "../src/features/shake/ShapePlaylist.js";
+import { ParticleSimulation } from "../src/core/ParticleSimulation.js";
+import { STATE } from "../src/core/ParticleStore.js";
+import { ManualClock } from "../src/core/Clock.js";
+import { createRandom } from "../src/core/Random.js";
+import {
+  EXPERIENCE,
+  ExperienceMachine,
+} from "../src/core/ExperienceMachine.js";
+
+// The ParticleSystem surface ShakeController uses, minus the rendering
+function createParticleSystem(count, random) {
+  const simulation = new ParticleSimulation({ count, random });
+  const store = simulation.store;
+  return {
+    store,
+    maxParticles: count,
+    createPool: (n) => simulation.createPool(n),
+    release: (i, vx, vy, vz) => simulation.release(i, vx, vy, vz),
+    setPosition: (i, x, y, z) => store.setPosition(i, x, y, z),
+    setVelocity: (i, vx, vy, vz) => store.setVelocity(i, vx, vy, vz),
+    setBaseColor: (i, r, g, b) => store.setColor(i, r, g, b),
+    readPositions() {}, // Always fresh on the CPU
+    lease: (n, options) => simulation.lease(n, options),
+    isLeased: (i) => simulation.allocator.isLeased(i),
+    markDirty() {},
+  };
+}
+
+const STAR = { shape: "STAR", points: 500 };
+const RING = { shape: "RING", points: 500 };
+
+function createController(entries = [STAR, RING], experience) {
+  const random = createRandom(3);
+  const clock = new ManualClock(10000);
+  const particleSystem = createParticleSystem(2000, random);
+  const controller = new ShakeController(particleSystem, {
+    random,
+    clock,
+    viewport: { innerWidth: 390, innerHeight: 844 },
+    experience,
+  });
+  controller.playlist = new ShapePlaylist(entries);
+  particleSystem.createPool();
+  controller.isReady = true;
+  return { controller, clock, store: particleSystem.store };
+}
+
+const countForming = (store) =>
+  store.state.filter((s) => s === STATE.FORMING).length;
+
+afterEach(() => gsap.globalTimeline.clear());
+
+test("a shake must cross the start threshold", () => {
+  const { controller, store } = createController();
+  controller.handleShake(5);
+  assert.equal(controller.isShaking, false);
+
+  controller.handleShake(9);
+  assert.equal(controller.isShaking, true);
+  assert.equal(countForming(store), 500);
+});
+
+test("sensor noise before init finishes is ignored", () => {
+  const { controller } = createController();
+  controller.isReady = false;
+  controller.handleShake(20);
+  assert.equal(controller.isShaking, false);
+});
+
+test("gentle motion above 3 keeps the shape formed", () => {
+  const { controller, clock } = createController();
+  controller.handleShake(9);
+
+  for (let t = 0; t < 5; t++) {
+    clock.advance(1000);
+    controller.handleShake(4);
+    controller.update(1 / 60);
+  }
+  assert.equal(controller.isShaking, true);
+});
+
+test("the shape explodes after the sustain timeout", () => {
+  const { controller, clock, store } = createController();
+  controller.handleShake(9);
+
+  clock.advance(1000);
+  controller.handleShake(2); // Below sustain: does not refresh the timer
+  controller.update(1 / 60);
+  assert.equal(controller.isShaking, true);
+
+  clock.advance(600);
+  controller.update(1 / 60);
+  assert.equal(controller.isShaking, false);
+  assert.equal(countForming(store), 0);
+  assert.equal(controller.lease, null); // Stars went back to the pool
+  assert.equal(controller.playlist.current.value, "RING");
+});
+
+test("an entry's hold replaces the sustain timeout", () => {
+  const { controller, clock } = createController([{ ...STAR, hold: 4000 }]);
+  controller.handleShake(9);
+
+  clock.advance(3000);
+  controller.update(1 / 60);
+  assert.equal(controller.isShaking, true);
+  clock.advance(1500);
+  controller.update(1 / 60);
+  assert.equal(controller.isShaking, false);
+});
+
+test("a continued shake morphs into the next entry", () => {
+  const { controller, clock, store } = createController();
+  controller.handleShake(9);
+  const first = controller.activeEntry;
+  const hold = first.transition.duration * 1000 + controller.morphHold;
+
+  for (let t = 0; t <= hold; t += 500) {
+    clock.advance(500);
+    controller.handleShake(9);
+    controller.update(1 / 60);
+  }
+  assert.equal(controller.isShaking, true);
+  assert.notEqual(controller.activeEntry, first);
+  assert.equal(controller.activeEntry.value, "RING");
+  assert.equal(countForming(store), 500);
+  assert.equal(controller.lease.size, 500);
+});
+
+test("a morph mid-form moves stars on from where they are drawn", () => {
+  const { controller, store } = createController();
+  controller.handleShake(9);
+  const drawn = new Map();
+  controller.lease.indices.forEach((i) => {
+    store.setShapeMix(i, 0.5); // Halfway through the form tween
+    drawn.set(i, store.getRenderPosition(i, [0, 0, 0]));
+  });
+
+  controller.skip(); // Morphs into the ring right away
+  assert.equal(controller.activeEntry.value, "RING");
+  const moved = controller.lease.indices.filter((i) => drawn.has(i));
+  assert.ok(moved.length > 400);
+  moved.forEach((i) => {
+    assert.equal(store.getShapeMix(i), 0);
+    const now = store.getRenderPosition(i, [0, 0, 0]);
+    now.forEach((v, k) => assert.ok(Math.abs(v - drawn.get(i)[k]) < 1e-3));
+  });
+});
+
+test("a bloom takes over the stars of a formed shape", () => {
+  const experience = new ExperienceMachine();
+  const { controller, store } = createController([STAR, RING], experience);
+  let formingAtBloom = null;
+  experience.register(EXPERIENCE.BLOOMING, {
+    enter: () => (formingAtBloom = countForming(store)),
+  });
+
+  controller.handleShake(9);
+  assert.equal(countForming(store), 500);
+  assert.equal(experience.send("bloom"), true);
+  assert.equal(formingAtBloom, 0); // Exploded before the bloom claimed any
+  assert.equal(controller.isShaking, false);
+
+  controller.handleShake(20); // Shakes are ignored mid-bloom
+  assert.equal(controller.isShaking, false);
+  assert.equal(countForming(store), 0);
+});
+
+test("forming and exploding are announced on the event bus", () => {
+  const { controller, clock } = createController();
+  const heard = [];
+  controller.events.on("shape:form", (detail) => heard.push(["form", detail]));
+  controller.events.on("shape:explode", () => heard.push(["explode"]));
+
+  controller.handleShake(9);
+  clock.advance(2000);
+  controller.update(1 / 60);
+  assert.deepEqual(heard, [["form", { morph: false }], ["explode"]]);
+});
+
+test("skipping morphs a formed shape, or queues the next one", () => {
+  const { controller } = createController([STAR, RING, STAR]);
+  controller.skip();
+  assert.equal(controller.playlist.current.value, "RING");
+
+  controller.handleShake(9);
+  assert.equal(controller.activeEntry.value, "RING");
+  controller.skip();
+  assert.equal(controller.isShaking, true);
+  assert.equal(controller.activeEntry.value, "STAR");
+});
+
+test("a held shape neither explodes nor morphs until the hold ends", () => {
+  const { controller, clock } = createController();
+  controller.handleShake(9);
+  controller.hold(clock.now() + 8000);
+
+  for (let t = 0; t < 7; t++) {
+    clock.advance(1000);
+    controller.update(1 / 60);
+  }
+  assert.equal(controller.isShaking, true);
+  assert.equal(controller.activeEntry.value, "STAR");
+  clock.advance(1500);
+  controller.update(1 / 60);
+  assert.equal(controller.isShaking, false);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import opentype from "opentype.js";
+import {
+  ShapeGenerator,
+  FONTS,
+  DEFAULT_FONT,
+} from "../src/features/shake/ShapeGenerator.js";
+import { createRandom } from "../src/core/Random.js";
+
+// The bundled script font, parsed from disk (opentype.load wants a browser)
+function createGenerator(seed = 1) {
+  const generator = new ShapeGenerator(FONTS, { random: createRandom(seed) });
+  const file = readFileSync(new URL(FONTS[DEFAULT_FONT]));
+  const buffer = file.buffer.slice(
+    file.byteOffset,
+    file.byteOffset + file.byteLength,
+  );
+  generator.fonts.set(DEFAULT_FONT, opentype.parse(buffer));
+  return generator;
+}
+
+// One color per letter of "Be Mine" (the space has no glyph)
+const LETTERS = [0xff0000, 0x00ff00, 0x0000ff, 0xffff00, 0xff00ff, 0x00ffff];
+
+for (const mode of ["outline", "fill", "mixed"]) {
+  test(`a small ${mode} budget puts points in every letter`, () => {
+    const generator = createGenerator();
+    const points = generator.generateTextPoints("Be Mine", 0, 0, 100, 12, {
+      mode,
+      palette: LETTERS,
+      colorBy: "letter",
+    });
+
+    // Narrow letters get as many points as wide ones (mixed splits the 12
+    // between outlines and fills, so some letters get one fewer)
+    assert.ok(points.length <= 12);
+    const least = mode === "mixed" ? 1 : 2;
+    LETTERS.forEach((hex) => {
+      const count = points.filter((p) => p.color.getHex() === hex).length;
+      assert.ok(count >= least, `${hex.toString(16)}: ${count}`);
+    });
+  });
+}
+
+test("thinPoints drops samples evenly past start", () => {
+  const generator = new ShapeGenerator(FONTS);
+  const points = Array.from({ length: 12 }, (_, k) => k);
+
+  generator.thinPoints(points, 2, 5);
+  assert.deepEqual(points, [0, 1, 2, 4, 6, 8, 10]);
+
+  // Within the budget: untouched
+  generator.thinPoints(points, 2, 5);
+  assert.deepEqual(points, [0, 1, 2, 4, 6, 8, 10]);
+});
+
+// Every character half the font size wide
+const MONO = {
+  getAdvanceWidth: (text, fontSize) => text.length * fontSize * 0.5,
+};
+
+test("layoutText shrinks the font until the text fits", () => {
+  const generator = new ShapeGenerator(FONTS);
+
+  // "Happy Anniversary": 17 characters are 850 wide at 100
+  const free = generator.layoutText(MONO, "Happy Anniversary", 100);
+  assert.equal(free.fontSize, 100);
+  assert.equal(free.lines.length, 1);
+
+  // Wrapped onto two lines, "Anniversary" (550) still needs shrinking
+  const fit = { width: 400, height: 400 };
+  const layout = generator.layoutText(MONO, "Happy Anniversary", 100, { fit });
+  assert.ok(layout.fontSize < 100);
+  assert.ok(layout.width <= fit.width && layout.height <= fit.height);
+  assert.deepEqual(layout.lines.map((l) => l.text), ["Happy", "Anniversary"]);
+  // Centered under the widest line
+  assert.equal(layout.lines[0].x, (layout.width - layout.lines[0].width) / 2);
+
+  // Never below half the size per pass, and gives up after 12
+  const tiny = generator.layoutText(MONO, "Hi", 100, {
+    fit: { width: 1e-6, height: 1e-6 },
+  });
+  assert.equal(tiny.fontSize, 100 * 0.5 ** 12);
+});
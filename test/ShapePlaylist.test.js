@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ShapePlaylist,
+  DEFAULT_PLAYLIST,
+  normalizeEntry,
+} from "../src/features/shake/ShapePlaylist.js";
+
+test("entries get their type and defaults", () => {
+  const text = normalizeEntry("Love");
+  assert.equal(text.type, "text");
+  assert.equal(text.value, "Love");
+  assert.equal(text.sampling, "outline");
+  assert.equal(text.colorBy, "point");
+  assert.equal(text.align, "center");
+  assert.equal(text.hold, null);
+  assert.deepEqual(text.transition, {
+    type: "morph",
+    duration: 1.0,
+    ease: "power3.out",
+  });
+
+  // Bare strings naming a built-in shape form that shape
+  assert.equal(normalizeEntry("HEART_SHAPE").type, "shape");
+  assert.equal(normalizeEntry({ svg: "rose.svg" }).sampling, "fill");
+  assert.equal(normalizeEntry("Hi", { sampling: "mixed" }).sampling, "mixed");
+
+  const entry = normalizeEntry({
+    text: "Be Mine",
+    colors: ["#dc143c", "ffffff"],
+    hold: "3000",
+    transition: "explode",
+  });
+  assert.deepEqual(entry.colors, [0xdc143c, 0xffffff]);
+  assert.equal(entry.hold, 3000);
+  assert.equal(entry.transition.type, "explode");
+});
+
+test("invalid entries are rejected", () => {
+  assert.throws(() => normalizeEntry({}), /needs a text, shape/);
+  assert.throws(() => normalizeEntry({ text: "  " }), /needs a text, shape/);
+  assert.throws(() => normalizeEntry({ shape: "CUBE" }), /Unknown .* shape/);
+  assert.throws(
+    () => normalizeEntry({ text: "Hi", sampling: "dots" }),
+    /sampling/,
+  );
+  assert.throws(
+    () => normalizeEntry({ text: "Hi", fillRatio: 2 }),
+    /fillRatio/,
+  );
+  assert.throws(() => normalizeEntry({ text: "Hi", colorBy: "z" }), /colorBy/);
+  assert.throws(() => normalizeEntry({ text: "Hi", align: "up" }), /align/);
+  assert.throws(
+    () => normalizeEntry({ image: "a.png", channel: "hue" }),
+    /channel/,
+  );
+  assert.throws(
+    () => normalizeEntry({ image: "a.png", threshold: 1 }),
+    /threshold/,
+  );
+  assert.throws(() => normalizeEntry({ text: "Hi", colors: ["red"] }), /color/);
+  assert.throws(() => normalizeEntry({ text: "Hi", hold: -1 }), /hold/);
+  assert.throws(
+    () => normalizeEntry({ text: "Hi", transition: "fade" }),
+    /transition/,
+  );
+  assert.throws(() => new ShapePlaylist([]), /at least one entry/);
+});
+
+test("?words= splits on | and holds every entry", () => {
+  const params = new URLSearchParams(
+    "words=Happy, Anniversary| HEART_SHAPE ||Sam&hold=3000&colors=ff1493,ffffff",
+  );
+  const playlist = ShapePlaylist.fromQuery(params);
+
+  assert.deepEqual(
+    playlist.entries.map((e) => [e.type, e.value, e.hold]),
+    [
+      ["text", "Happy, Anniversary", 3000],
+      ["shape", "HEART_SHAPE", 3000],
+      ["text", "Sam", 3000],
+    ],
+  );
+  assert.deepEqual(playlist.colors, [0xff1493, 0xffffff]);
+  assert.equal(ShapePlaylist.fromQuery(new URLSearchParams("hold=3")), null);
+});
+
+test("load falls back to the default playlist", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const values = (playlist) => playlist.entries.map((e) => e.value);
+
+  assert.deepEqual(values(await ShapePlaylist.load("")), DEFAULT_PLAYLIST);
+  assert.deepEqual(values(await ShapePlaylist.load("?words=Hi|Sam")), [
+    "Hi",
+    "Sam",
+  ]);
+  assert.equal(warn.mock.callCount(), 0);
+
+  // A broken query or an unreachable playlist file
+  assert.deepEqual(
+    values(await ShapePlaylist.load("?words=Hi&hold=soon")),
+    DEFAULT_PLAYLIST,
+  );
+  t.mock.method(globalThis, "fetch", async () => ({
+    ok: false,
+    status: 404,
+  }));
+  assert.deepEqual(
+    values(await ShapePlaylist.load("?playlist=cards/missing.json")),
+    DEFAULT_PLAYLIST,
+  );
+  assert.equal(warn.mock.callCount(), 2);
+});
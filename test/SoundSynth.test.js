@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SAMPLE_RATE,
+  encodeWav,
+  renderAmbient,
+  renderChime,
+  renderPad,
+  renderSparkle,
+  renderTap,
+  renderWhoosh,
+} from "../src/features/audio/SoundSynth.js";
+import { createRandom } from "../src/core/Random.js";
+
+const peak = (samples) =>
+  samples.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+
+test("every sound stays within [-1, 1] and is not silent", () => {
+  const random = createRandom(5);
+  const sounds = [
+    renderChime(),
+    renderWhoosh(random),
+    renderPad(2),
+    renderSparkle(random),
+    renderTap(),
+    renderAmbient(2),
+  ];
+  sounds.forEach((samples) => {
+    assert.ok(samples.every(Number.isFinite));
+    assert.ok(peak(samples) <= 1);
+    assert.ok(peak(samples) > 0.4);
+  });
+});
+
+test("loops join their end to their start without a click", () => {
+  [renderPad(2), renderAmbient(2)].forEach((samples) => {
+    assert.equal(samples.length, 2 * SAMPLE_RATE);
+    // The step across the seam is no bigger than any step inside
+    const seam = Math.abs(samples[0] - samples[samples.length - 1]);
+    let largest = 0;
+    for (let i = 1; i < samples.length; i++) {
+      largest = Math.max(largest, Math.abs(samples[i] - samples[i - 1]));
+    }
+    assert.ok(seam <= largest * 1.01, `seam ${seam} > ${largest}`);
+  });
+});
+
+test("encodeWav writes a 16-bit mono PCM file", () => {
+  const bytes = encodeWav(new Float32Array([0, 1, -1, 2]), 8000);
+  const view = new DataView(bytes.buffer);
+  const text = (offset) =>
+    String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+  assert.equal(bytes.length, 44 + 8);
+  assert.equal(text(0), "RIFF");
+  assert.equal(view.getUint32(4, true), 36 + 8);
+  assert.equal(text(8), "WAVE");
+  assert.equal(view.getUint16(22, true), 1); // Mono
+  assert.equal(view.getUint32(24, true), 8000);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(text(36), "data");
+  assert.deepEqual(
+    [0, 1, 2, 3].map((i) => view.getInt16(44 + i * 2, true)),
+    [0, 32767, -32767, 32767], // Out-of-range samples clip
+  );
+});
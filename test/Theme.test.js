@@ -0,0 +1,129 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import gsap from "gsap";
+import {
+  DEFAULT_THEME,
+  THEME_NAMES,
+  THEMES,
+  resolveTheme,
+} from "../src/core/Theme.js";
+import { ThemeManager } from "../src/core/ThemeManager.js";
+
+afterEach(() => {
+  gsap.globalTimeline.clear();
+});
+
+test("every preset resolves and is listed for card links", () => {
+  assert.deepEqual(THEME_NAMES.toSorted(), Object.keys(THEMES).toSorted());
+  THEME_NAMES.forEach((name) => {
+    const theme = resolveTheme(name);
+    assert.equal(theme.name, name);
+    assert.equal(theme.label, THEMES[name].label);
+  });
+  assert.equal(resolveTheme().name, DEFAULT_THEME);
+});
+
+test("theme objects fill their gaps from the base preset", () => {
+  const theme = resolveTheme(
+    { palette: [0x123456], bloom: { strength: 2 } },
+    "birthday",
+  );
+  assert.equal(theme.name, null);
+  assert.equal(theme.label, "Custom");
+  assert.deepEqual(theme.palette, [0x123456]);
+  assert.deepEqual(theme.background, THEMES.birthday.background);
+  assert.equal(theme.star, THEMES.birthday.star);
+  assert.deepEqual(theme.bloom, { ...THEMES.birthday.bloom, strength: 2 });
+});
+
+test("unknown or broken themes are rejected", () => {
+  assert.throws(() => resolveTheme("halloween"), /Unknown theme "halloween"/);
+  assert.throws(() => resolveTheme({}, "halloween"), /Unknown theme/);
+  assert.throws(() => resolveTheme({ palette: [] }), /at least one color/);
+  assert.throws(() => resolveTheme({ palette: [-1] }), /Invalid theme color/);
+  assert.throws(() => resolveTheme({ background: [0] }), /center and an edge/);
+  assert.throws(() => resolveTheme({ star: "moon" }), /Unknown theme star/);
+  assert.throws(
+    () => resolveTheme({ bloom: { radius: NaN } }),
+    /Invalid theme bloom radius/,
+  );
+});
+
+// Records what ThemeManager hands each module
+function createTargets() {
+  const calls = [];
+  const colors = [new THREE.Color(0, 0, 0), new THREE.Color(0, 0, 0)];
+  return {
+    calls,
+    colors,
+    targets: {
+      background: {
+        getColors: () => colors.map((c) => c.clone()),
+        setColors: (center, edge) => {
+          colors[0].copy(center);
+          colors[1].copy(edge);
+        },
+      },
+      bloomPass: { strength: 0, radius: 0, threshold: 0 },
+      particleSystem: {
+        setSprite: (shape) => calls.push(["sprite", shape]),
+        setSpriteMix: (t) => calls.push(["mix", t]),
+      },
+      shakeController: {
+        setPalette: (palette, duration) =>
+          calls.push(["palette", palette, duration]),
+      },
+      root: {
+        style: { setProperty: (key, value) => calls.push([key, value]) },
+      },
+    },
+  };
+}
+
+test("apply with no duration dresses every module at once", () => {
+  const { calls, colors, targets } = createTargets();
+  const themes = new ThemeManager(targets);
+  const seen = [];
+  themes.onChange((theme) => seen.push(theme.name));
+
+  themes.apply("lunar-new-year", { duration: 0 });
+  const preset = THEMES["lunar-new-year"];
+  assert.deepEqual(calls, [
+    ["palette", preset.palette, 0],
+    ["sprite", "round"],
+    ["--accent-color", preset.accent],
+    ["mix", 1],
+  ]);
+  assert.equal(colors[0].getHex(THREE.LinearSRGBColorSpace), 0x0c0100);
+  assert.deepEqual({ ...targets.bloomPass }, preset.bloom);
+  assert.deepEqual(seen, ["lunar-new-year"]);
+  assert.equal(themes.theme.name, "lunar-new-year");
+});
+
+test("phones get the mobile bloom overrides", () => {
+  const { targets } = createTargets();
+  new ThemeManager(targets, { isMobile: true }).apply("valentine", {
+    duration: 0,
+  });
+  assert.deepEqual(
+    { ...targets.bloomPass },
+    { ...THEMES.valentine.bloom, ...THEMES.valentine.mobileBloom },
+  );
+});
+
+test("a cross-fade blends bloom and lands when the next one starts", () => {
+  const { calls, targets } = createTargets();
+  const themes = new ThemeManager(targets);
+  themes.apply("valentine", { duration: 0 });
+
+  themes.apply("birthday", { duration: 1 });
+  themes.tween.progress(0.5);
+  const { strength } = targets.bloomPass;
+  assert.ok(strength > 1.0 && strength < 1.1);
+
+  themes.apply("wedding-gold", { duration: 1 }); // Lands the birthday fade
+  assert.ok(calls.some(([name, t]) => name === "mix" && t === 1));
+  themes.tween.progress(1);
+  assert.deepEqual({ ...targets.bloomPass }, THEMES["wedding-gold"].bloom);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WebMMuxer, encodeSize } from "../src/features/capture/WebMMuxer.js";
+
+function count(bytes, pattern) {
+  let hits = 0;
+  for (let i = 0; i <= bytes.length - pattern.length; i++) {
+    if (pattern.every((b, j) => bytes[i + j] === b)) hits++;
+  }
+  return hits;
+}
+
+test("sizes use the shortest EBML varint", () => {
+  assert.deepEqual([...encodeSize(5)], [0x85]);
+  assert.deepEqual([...encodeSize(127)], [0x40, 0x7f]); // 0xff means unknown
+  assert.deepEqual([...encodeSize(300)], [0x41, 0x2c]);
+});
+
+test("frames land in clusters that start at key frames", () => {
+  const muxer = new WebMMuxer({ width: 64, height: 48, frameDuration: 50 });
+  for (let i = 0; i < 6; i++) {
+    muxer.addFrame(Uint8Array.of(0xee, i), i * 50, i % 3 === 0);
+  }
+  const bytes = muxer.finish();
+
+  assert.deepEqual([...bytes.subarray(0, 4)], [0x1a, 0x45, 0xdf, 0xa3]);
+  assert.equal(count(bytes, [0x77, 0x65, 0x62, 0x6d]), 1); // "webm"
+  assert.equal(count(bytes, [0x1f, 0x43, 0xb6, 0x75]), 2); // Clusters
+  // Frame 4 sits 50ms into the second cluster, not a key frame
+  assert.equal(count(bytes, [0xa3, 0x86, 0x81, 0x00, 0x32, 0x00, 0xee, 4]), 1);
+  // First frame: key flag set, offset 0
+  assert.equal(count(bytes, [0xa3, 0x86, 0x81, 0x00, 0x00, 0x80, 0xee, 0]), 1);
+});
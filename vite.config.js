@@ -1,4 +1,5 @@
 import { defineConfig } from "vite";
+import { fileURLToPath } from "node:url";
 
 export default defineConfig({
   root: ".",
@@ -7,6 +8,13 @@ export default defineConfig({
     outDir: "dist",
     emptyOutDir: true,
     sourcemap: true,
+    // Two pages: the experience and the card composer
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL("./index.html", import.meta.url)),
+        composer: fileURLToPath(new URL("./composer.html", import.meta.url)),
+      },
+    },
   },
   server: {
     port: 3000,